@@ -13,18 +13,43 @@ module.exports = {
           "/check `<contract_address>` - Check a specific token\n" +
           "/favorites - View and manage your favorite tokens\n" +
           "/recent - See your recently checked tokens\n" +
-          "/topstat - View community token statistics\n\n" +
+          "/topstat - View community token statistics\n" +
+          "/groupstats - In a group: top tokens, trends and most active members of the group\n" +
+          "/alerts - Manage price and holder alerts for your favorites\n" +
+          "/compare `<address1>` `<address2>` - Compare tokens side by side\n" +
+          "/history `<contract_address>` - See how a token's distribution changed over time\n" +
+          "/wallet `<wallet_address>` - Check the tokens a wallet holds and flag poorly distributed ones\n" +
+          "/whereami `<contract_address>` `<wallet_address>` - Find a wallet in a token's bubble map\n" +
+          "/chart - Choose between native charts and BubbleMaps screenshots\n" +
+          "/digest - Subscribe to a daily or weekly digest of trending tokens and your favorites\n" +
+          "/settings - In a group: configure auto-detection, reports and cooldowns (admins only)\n\n" +
+          "You can also look up tokens from any chat by typing `@bubblemapstelegrambot <contract_address>`.\n\n" +
           "The bot automatically detects which blockchain your token belongs to, supporting: ETH, BSC, FTM, AVAX, CRO, ARBI, POLY, BASE, SOL, SONIC.\n\n",
     invalidContract: "❌ Invalid contract address. Please check the address and try again.",
+    invalidDeepLink: "❌ This link is invalid or has been modified. Please open the original link again or send me the contract address directly.",
+    unknownDeepLink: "❌ This link is not supported by the bot. Send me a contract address to check a token.",
     processing: "⏳ Processing your request...",
+    checkProgress: {
+      queued: "⏳ Waiting in queue…",
+      detecting_chain: "🔎 Detecting chain…",
+      fetching: "📊 Fetching holders…",
+      rendering: "🖼 Rendering map…"
+    },
     error: "❌ An error occurred. Please try again later.",
     dataNotAvailable: "❌ Data not available for this token. It may not be computed by Bubblemaps yet.",
     screenshotError: "⚠️ Couldn't generate visualization image, but here's the token data:",
     tokenDataError: "❌ Error fetching token data. Please try again later.",
+    multipleChains: "🔀 This contract exists on several chains. Which one do you want to check?",
+    multipleChainsGroup: "🔀 Found on several chains (decentralisation score shown), pick one:",
     chainSet: "✅ Default chain set to: ",
     adminOnly: "⚠️ This command is for admins only.",
-    broadcastInit: "📣 Enter the message you want to broadcast to all users:",
-    broadcastSent: "✅ Broadcast message sent to all users.",
+    broadcastInit: "📣 Send the message to broadcast (text, or a photo with a caption).\n\nTo target or schedule it, end the message with a line containing only --- followed by options, one per line:\naudience: users | groups | all\nactive: 7 (active in the last 7 days)\nchain: eth\ntoken: 0x... (checked this token)\nlang: en\nbutton: Text | https://example.com\nat: 2025-01-31 14:00 (UTC)\n\nYou'll see a preview before anything is sent.",
+    apiKeyUsage: "🔑 Manage REST API keys:\n/apikey list - Show all keys\n/apikey create <name> [requests per window] - Create a key\n/apikey revoke <prefix> - Revoke a key",
+    apiKeyNotFound: "⚠️ No active API key starts with that prefix.",
+    webhookUsage: "🪝 Send bot events to your own systems:\n/webhooks list - Show webhooks\n/webhooks add <url> [events] - Add a webhook (events comma separated, all by default: token.checked, token.rated, favorite.added, group.joined, alert.fired)\n/webhooks remove <id> - Remove a webhook",
+    webhookNotFound: "⚠️ No webhook with that ID.",
+    broadcastInvalid: "⚠️ The broadcast wasn't created. Fix these and send it again:",
+    broadcastControlFailed: "⚠️ Couldn't update the broadcast. It may already be finished or cancelled.",
     broadcastCancelled: "❌ Broadcast cancelled.",
     selectChain: "Please select a blockchain:",
     noFavorites: "You don't have any favorite tokens yet. Add tokens to your favorites by using the ⭐️ button after checking a token.",
@@ -36,7 +61,47 @@ module.exports = {
     manageFavoritesTitle: "Select tokens to remove from your favorites:",
     tokenLiked: "👍 You liked this token",
     tokenDisliked: "👎 You disliked this token",
-    ratingRemoved: "Rating removed"
+    ratingRemoved: "Rating removed",
+    alertsTitle: "🔔 *Your Alerts*\n\nPick a favorite token to manage its alert rules:",
+    noAlertFavorites: "Alerts are set on favorite tokens. Add a token to your favorites with the ⭐️ button after checking it, then come back to /alerts.",
+    alertSaved: "✅ Alert saved",
+    alertRemoved: "❌ Alert removed",
+    alertUsage: "Usage: /alerts `<contract_address>` `<price|holder|score>` `<value>`\n\n" +
+                "• *price 10* - price moves ±10% in 24h\n" +
+                "• *holder 20* - top holder exceeds 20%\n" +
+                "• *score 40* - decentralisation score drops below 40\n\n" +
+                "The token must be in your favorites.",
+    compareUsage: "Usage: /compare `<address1>` `<address2>` `[address3...]`\n\n" +
+                  "Compares price, market cap, decentralisation score, supply distribution and community rating side by side.",
+    historyUsage: "Usage: /history `<contract_address>`\n\n" +
+                  "Shows how holder concentration, decentralisation score and price changed between checks of a token.",
+    walletUsage: "Usage: /wallet `<wallet_address>`\n\n" +
+                 "Lists the tokens a wallet holds with their decentralisation score and flags positions in poorly distributed tokens.",
+    whereamiUsage: "Usage: /whereami `<contract_address>` `<wallet_address>`\n\n" +
+                   "Finds the wallet among the token's holders: its rank, share of supply and the wallets it is linked to by transfers.",
+    whereamiPrompt: "📍 Send the wallet address to find in this token's bubble map:",
+    walletNotHolder: "🔍 This wallet isn't among the holders on this token's bubble map (only the largest holders are mapped).",
+    walletUnavailable: "👛 Wallet reports are not available right now.",
+    walletEmpty: "📭 No tokens found for this wallet.",
+    noHistory: "📭 No history for this token yet. Check it with /check to record the first snapshot.",
+    chartStyleTitle: "🖼 *Chart style*\n\n" +
+                     "• *Native chart* - drawn by the bot from Bubblemaps data, fast and always available\n" +
+                     "• *BubbleMaps screenshot* - a capture of the BubbleMaps page, slower and may fail\n\n" +
+                     "Current style: ",
+    chartStyleSet: "✅ Chart style set to: ",
+    groupAdminOnly: "⚠️ Only group admins can change this setting.",
+    settingsGroupOnly: "⚙️ /settings configures the bot in a group. Add me to a group and send /settings there as an admin.",
+    groupSettingsTitle: "⚙️ *Group settings*\n\nTap a button to change a setting.\n\n",
+    groupSettingsDefaultChainTitle: "⚙️ *Default chain*\n\nUsed when a contract exists on several chains or its chain can't be detected.",
+    groupSettingsAllowedChainsTitle: "⚙️ *Allowed chains*\n\nReports are only posted for checked chains. With none checked, every chain is allowed.",
+    groupChainNotAllowed: "🚫 This token is not on a chain enabled for this group.",
+    repeatedToken: "🔁 This token was checked here recently, see the report above.",
+    rateLimited: "⏳ You're checking tokens too quickly. Please try again in ",
+    groupStatsGroupOnly: "📊 /groupstats shows the token statistics of a group. Send it in a group where I check contracts.",
+    noGroupStats: "📊 No tokens have been checked in this group yet. Paste a contract address to get started.",
+    digestTitle: "📰 *Digest*\n\nA summary of trending tokens, top rated tokens, decentralisation score changes among your favorites and the most checked chains.\n\n",
+    groupDigestTitle: "📰 *Group digest*\n\nA summary of trending tokens, top rated tokens and the most checked chains, posted in this group.\n\n",
+    digestPrivateOnly: "📰 Group admins set up the group digest with /settings. Send /digest to me in private for your own digest."
   },
   
   // Available chains
@@ -81,6 +146,105 @@ module.exports = {
     DISLIKE_TOKEN: "dislike_token",
     UNDISLIKE_TOKEN: "undislike_token",
     VIEW_TOP_RATED: "view_top_rated",
-    VIEW_USER_LIST: "view_user_list"
+    VIEW_USER_LIST: "view_user_list",
+    INLINE_QUERY: "inline_query",
+    VIEW_ALERTS: "view_alerts",
+    SET_ALERT: "set_alert",
+    REMOVE_ALERT: "remove_alert",
+    COMPARE_TOKENS: "compare_tokens",
+    VIEW_HISTORY: "view_history",
+    LOCATE_WALLET: "locate_wallet",
+    CHANGE_CHART_STYLE: "change_chart_style",
+    CHANGE_GROUP_SETTINGS: "change_group_settings",
+    VIEW_GROUP_STATS: "view_group_stats",
+    CHANGE_DIGEST: "change_digest",
+    CHECK_WALLET: "check_wallet",
+    MANAGE_API_KEYS: "manage_api_keys",
+    MANAGE_WEBHOOKS: "manage_webhooks"
+  },
+  
+  // Stages of a queued token check (shown in the processing message)
+  checkStages: {
+    QUEUED: "queued",
+    DETECTING_CHAIN: "detecting_chain",
+    FETCHING: "fetching",
+    RENDERING: "rendering"
+  },
+  
+  // How token reports are illustrated
+  chartStyles: {
+    NATIVE: "native",
+    SCREENSHOT: "screenshot"
+  },
+  defaultChartStyle: "native",
+  
+  // Group settings choices
+  groupReportFormats: {
+    BRIEF: "brief",
+    FULL: "full"
+  },
+  groupFailureModes: {
+    REPLY: "reply",
+    SILENT: "silent"
+  },
+  groupRepeatModes: {
+    LINK: "link",
+    SILENT: "silent"
+  },
+  groupCooldownOptions: [0, 5, 15, 30, 60, 240],
+  defaultGroupTokenCooldown: 5,
+  
+  // Digest subscriptions
+  digestFrequencies: {
+    DAILY: "daily",
+    WEEKLY: "weekly"
+  },
+  digestWeekday: 1, // Weekly digests are posted on Mondays (UTC)
+  defaultDigestHour: 9,
+  
+  // Broadcasts
+  broadcastAudiences: {
+    USERS: "users",
+    GROUPS: "groups",
+    ALL: "all"
+  },
+  broadcastStatuses: {
+    DRAFT: "draft",
+    SCHEDULED: "scheduled",
+    PENDING: "pending",
+    IN_PROGRESS: "in_progress",
+    PAUSED: "paused",
+    COMPLETED: "completed",
+    CANCELLED: "cancelled",
+    FAILED: "failed"
+  },
+  
+  // Outbound webhook events
+  webhookEvents: {
+    TOKEN_CHECKED: "token.checked",
+    TOKEN_RATED: "token.rated",
+    FAVORITE_ADDED: "favorite.added",
+    GROUP_JOINED: "group.joined",
+    ALERT_FIRED: "alert.fired"
+  },
+  
+  // Maximum number of tokens in one /compare
+  maxCompareTokens: 5,
+  
+  // Positions per page of a /wallet report
+  walletPageSize: 5,
+  
+  // Alert rule types for favorite tokens
+  alertTypes: {
+    PRICE_CHANGE: "price_change",
+    TOP_HOLDER: "top_holder",
+    DECENTRALISATION: "decentralisation_score"
+  },
+  
+  // Preset thresholds offered as buttons for each alert rule type
+  alertPresets: {
+    price_change: [5, 10, 20, 50],
+    top_holder: [10, 20, 30, 50],
+    decentralisation_score: [20, 40, 60, 80]
   }
 }; 
\ No newline at end of file
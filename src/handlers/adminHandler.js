@@ -1,6 +1,8 @@
 const logger = require('../utils/logger');
 const userService = require('../services/userService');
 const adminService = require('../services/adminService');
+const broadcastService = require('../services/broadcastService');
+const eventWebhookService = require('../services/eventWebhookService');
 const formatters = require('../utils/formatters');
 const constants = require('../../config/constants');
 const moment = require('moment');
@@ -166,6 +168,16 @@ async function handleGroupStats(bot, query, user) {
   }
 }
 
+// How the bot's status in a group reads in the group list
+const groupBotStatusLabels = {
+  admin: 'admin',
+  member: 'member',
+  restricted: 'restricted',
+  left: 'left the group',
+  kicked: 'removed',
+  unknown: 'unknown'
+};
+
 /**
  * Handle admin command to view group list
  * @param {Object} bot - Telegram bot instance
@@ -218,9 +230,12 @@ async function handleGroupList(bot, query, user, options = {}) {
           const displayName = group.name || 'Unknown Group';
           const displayUsername = group.username ? `@${group.username}` : '';
           const lastActive = group.lastActivity ? moment(group.lastActivity).fromNow() : 'Unknown';
+          const lastChange = (group.membershipHistory || [])[(group.membershipHistory || []).length - 1];
+          const since = lastChange ? ` since ${moment(lastChange.at).fromNow()}` : '';
           
-          message += `*${skip + index + 1}.* ${displayName} ${displayUsername}\n`;
+          message += `*${skip + index + 1}.* ${group.isActive ? '' : '🚫 '}${displayName} ${displayUsername}\n`;
           message += `   👁️ ${group.tokensChecked} checks • Members: ${group.memberCount || 'Unknown'}\n`;
+          message += `   🤖 Bot: ${groupBotStatusLabels[group.botStatus] || group.botStatus}${since}\n`;
           message += `   🕒 Last active: ${lastActive}\n\n`;
         });
       }
@@ -325,56 +340,250 @@ async function handleBroadcast(bot, msg, user) {
 }
 
 /**
- * Send broadcast message to users
+ * Build the buttons under a broadcast summary for its current status
+ * @param {Object} broadcast - BroadcastMessage document
+ * @returns {Object} - Inline keyboard markup
+ */
+function buildBroadcastKeyboard(broadcast) {
+  const id = broadcast._id;
+  const statuses = constants.broadcastStatuses;
+  const cancel = { text: '✖️ Cancel', callback_data: `bc:cancel:${id}` };
+  let buttons = [];
+
+  switch (broadcast.status) {
+    case statuses.DRAFT:
+      buttons = [[{ text: broadcast.scheduledAt ? '🕒 Schedule' : '✅ Send', callback_data: `bc:confirm:${id}` }, cancel]];
+      break;
+    case statuses.SCHEDULED:
+      buttons = [[cancel]];
+      break;
+    case statuses.IN_PROGRESS:
+      buttons = [[{ text: '⏸ Pause', callback_data: `bc:pause:${id}` }, cancel]];
+      break;
+    case statuses.PAUSED:
+      buttons = [[{ text: '▶️ Resume', callback_data: `bc:resume:${id}` }, cancel]];
+      break;
+  }
+
+  return { inline_keyboard: buttons };
+}
+
+/**
+ * Turn the admin's broadcast message into a draft and show a preview to confirm
  * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message with the broadcast (text, or photo with caption)
  * @param {Object} user - Admin user document
- * @param {string} message - Message to broadcast
+ * @returns {Promise<boolean>} - True if a draft was created, false if the message needs fixing
  */
-async function sendBroadcast(bot, user, message) {
+async function previewBroadcast(bot, msg, user) {
+  const chatId = msg.chat.id;
+  const { broadcast, errors } = await broadcastService.createDraft(user, msg);
+
+  if (!broadcast) {
+    await bot.sendMessage(chatId, `${constants.messages.broadcastInvalid}\n\n${errors.map(e => `• ${e}`).join('\n')}`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'cancel_broadcast' }]
+        ]
+      }
+    });
+    return false;
+  }
+
+  // Show the message exactly as recipients will get it
   try {
-    // Create broadcast
-    const broadcast = await adminService.broadcastMessage(user, message);
-    
-    // Track interaction
-    await userService.trackInteraction(user, constants.interactionTypes.BROADCAST, { 
-      messageId: broadcast._id 
+    await broadcastService.deliver(chatId, broadcast);
+  } catch (error) {
+    // Usually Telegram refusing the Markdown of the message; nothing can be sent until it is fixed
+    logger.warn(`Preview of broadcast ${broadcast._id} failed for admin ${user.telegramId}: ${error.message}`);
+    await broadcastService.discardDraft(broadcast);
+    await bot.sendMessage(chatId, `${constants.messages.broadcastInvalid}\n\n• Telegram couldn't send the message (check for unclosed *, _, \` or [): ${error.message}`, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'Cancel', callback_data: 'cancel_broadcast' }]
+        ]
+      }
     });
+    return false;
+  }
+
+  const recipientCount = (await broadcastService.resolveRecipients(broadcast.segment)).length;
+  await bot.sendMessage(chatId, formatters.formatBroadcastSummary(broadcast, recipientCount), {
+    parse_mode: 'Markdown',
+    reply_markup: buildBroadcastKeyboard(broadcast)
+  });
+
+  logger.info(`Admin ${user.telegramId} previewed broadcast ${broadcast._id} (${recipientCount} recipients)`);
+  return true;
+}
+
+/**
+ * Handle the confirm/cancel/pause/resume buttons under a broadcast summary
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Callback query (bc:<action>:<id>)
+ * @param {Object} user - Admin user document
+ */
+async function handleBroadcastControl(bot, callbackQuery, user) {
+  const chatId = callbackQuery.message.chat.id;
+  const messageId = callbackQuery.message.message_id;
+  const [, action, broadcastId] = callbackQuery.data.split(':');
+
+  try {
+    if (!user.isAdmin) {
+      await bot.sendMessage(chatId, constants.messages.adminOnly);
+      return;
+    }
+
+    let broadcast;
+    switch (action) {
+      case 'confirm':
+        broadcast = await broadcastService.confirm(broadcastId, user);
+        await userService.trackInteraction(user, constants.interactionTypes.BROADCAST, {
+          messageId: broadcast._id,
+          status: broadcast.status
+        });
+        break;
+      case 'pause':
+        broadcast = await broadcastService.pause(broadcastId, user);
+        break;
+      case 'resume':
+        broadcast = await broadcastService.resume(broadcastId, user);
+        break;
+      case 'cancel':
+        broadcast = await broadcastService.cancel(broadcastId, user);
+        break;
+      default:
+        return;
+    }
+
+    await bot.editMessageText(formatters.formatBroadcastSummary(broadcast), {
+      chat_id: chatId,
+      message_id: messageId,
+      parse_mode: 'Markdown',
+      reply_markup: buildBroadcastKeyboard(broadcast)
+    });
+
+    logger.info(`Admin ${user.telegramId} ${action} broadcast ${broadcastId}: now ${broadcast.status}`);
+  } catch (error) {
+    logger.error(`Error handling broadcast ${action} for admin ${user.telegramId}: ${error.message}`);
+    await bot.sendMessage(chatId, constants.messages.broadcastControlFailed);
+  }
+}
+
+/**
+ * Handle /apikey: list, create and revoke REST API keys
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ * @param {Array} args - Command arguments (action, then name/prefix)
+ */
+async function handleApiKeys(bot, msg, user, args = []) {
+  const chatId = msg.chat.id;
+  const [action = 'list', ...rest] = args;
+  
+  try {
+    if (!user.isAdmin) {
+      await bot.sendMessage(chatId, constants.messages.adminOnly);
+      return;
+    }
     
-    // Send confirmation
-    await bot.sendMessage(user.telegramId, `Broadcasting message to ${broadcast.targetCount} users...`);
-    
-    // Send the broadcast to each user
-    let successCount = 0;
-    let failCount = 0;
+    await userService.trackInteraction(user, constants.interactionTypes.MANAGE_API_KEYS, { action });
     
-    for (const detail of broadcast.deliveryDetails) {
-      try {
-        await bot.sendMessage(detail.userId, `*Announcement*\n\n${message}`, {
-          parse_mode: 'Markdown'
-        });
+    switch (action) {
+      case 'list':
+        await bot.sendMessage(chatId, formatters.formatApiKeyList(await adminService.listApiKeys()), { parse_mode: 'Markdown' });
+        break;
         
-        // Update status
-        await broadcast.updateDeliveryStatus(detail.userId, true);
-        successCount++;
-      } catch (error) {
-        logger.error(`Error sending broadcast to user ${detail.userId}:`, error.message);
-        await broadcast.updateDeliveryStatus(detail.userId, false, error.message);
-        failCount++;
+      case 'create': {
+        // An optional trailing number is the key's own rate limit
+        const rateLimit = rest.length > 1 && /^\d+$/.test(rest[rest.length - 1]) ? parseInt(rest.pop(), 10) : null;
+        const name = rest.join(' ').trim();
+        if (!name) {
+          await bot.sendMessage(chatId, constants.messages.apiKeyUsage);
+          return;
+        }
+        
+        const { apiKey, key } = await adminService.createApiKey(user, name, rateLimit);
+        await bot.sendMessage(chatId,
+          `🔑 API key created for ${apiKey.name}:\n\n${key}\n\nStore it now, it won't be shown again. ` +
+          'Send it in the X-API-Key header (or Authorization: Bearer).');
+        break;
       }
-      
-      // Small delay to avoid hitting rate limits
-      await new Promise(resolve => setTimeout(resolve, 50));
+        
+      case 'revoke': {
+        const apiKey = rest[0] ? await adminService.revokeApiKey(user, rest[0]) : null;
+        await bot.sendMessage(chatId, apiKey ? `🚫 API key ${apiKey.prefix} (${apiKey.name}) revoked.` : constants.messages.apiKeyNotFound);
+        break;
+      }
+        
+      default:
+        await bot.sendMessage(chatId, constants.messages.apiKeyUsage);
+    }
+  } catch (error) {
+    logger.error(`Error handling /apikey for admin ${user.telegramId}: ${error.message}`);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Handle /webhooks: list, add and remove URLs that receive bot events
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ * @param {Array} args - Command arguments (action, then URL and events, or subscription ID)
+ */
+async function handleWebhooks(bot, msg, user, args = []) {
+  const chatId = msg.chat.id;
+  const [action = 'list', ...rest] = args;
+  
+  try {
+    if (!user.isAdmin) {
+      await bot.sendMessage(chatId, constants.messages.adminOnly);
+      return;
     }
     
-    // Send summary
-    await bot.sendMessage(user.telegramId, `Broadcast complete!\n${successCount} messages delivered, ${failCount} failed.`);
-    
-    logger.info(`Admin ${user.telegramId} sent broadcast to ${broadcast.targetCount} users`);
+    await userService.trackInteraction(user, constants.interactionTypes.MANAGE_WEBHOOKS, { action });
     
-    return { successCount, failCount, totalCount: broadcast.targetCount };
+    switch (action) {
+      case 'list':
+        await bot.sendMessage(chatId, formatters.formatWebhookSubscriptions(await eventWebhookService.listSubscriptions()), {
+          parse_mode: 'Markdown',
+          disable_web_page_preview: true
+        });
+        break;
+        
+      case 'add': {
+        const [url, eventList = ''] = rest;
+        const events = eventList.split(',').map(event => event.trim()).filter(Boolean);
+        const unknown = events.filter(event => !Object.values(constants.webhookEvents).includes(event));
+        if (!url || !/^https?:\/\/\S+$/.test(url) || unknown.length > 0) {
+          await bot.sendMessage(chatId, constants.messages.webhookUsage);
+          return;
+        }
+        
+        const subscription = await eventWebhookService.subscribe(user, url, events);
+        await bot.sendMessage(chatId,
+          `🪝 Webhook ${subscription._id} added for ${subscription.events.join(', ')}.\n\n` +
+          `Signing secret:\n${subscription.secret}\n\nStore it now, it won't be shown again. ` +
+          'Each delivery carries X-Webhook-Signature: sha256=HMAC-SHA256(secret, "<X-Webhook-Timestamp>.<body>").',
+          { disable_web_page_preview: true });
+        break;
+      }
+        
+      case 'remove': {
+        const subscription = rest[0] ? await eventWebhookService.unsubscribe(user, rest[0]) : null;
+        await bot.sendMessage(chatId, subscription ? `🗑 Webhook to ${subscription.url} removed.` : constants.messages.webhookNotFound, {
+          disable_web_page_preview: true
+        });
+        break;
+      }
+        
+      default:
+        await bot.sendMessage(chatId, constants.messages.webhookUsage);
+    }
   } catch (error) {
-    logger.error(`Error sending broadcast for admin ${user.telegramId}:`, error.message);
-    throw error;
+    logger.error(`Error handling /webhooks for admin ${user.telegramId}: ${error.message}`);
+    await bot.sendMessage(chatId, constants.messages.error);
   }
 }
 
@@ -568,7 +777,10 @@ async function handleUserList(bot, msg, user, options = {}) {
 module.exports = {
   handleStats,
   handleBroadcast,
-  sendBroadcast,
+  previewBroadcast,
+  handleBroadcastControl,
+  handleApiKeys,
+  handleWebhooks,
   showAdminOptions,
   handleUserList,
   handleGroupList
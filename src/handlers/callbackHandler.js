@@ -9,6 +9,7 @@ const tokenRatingService = require('../services/tokenRatingService');
 const formatters = require('../utils/formatters');
 const statisticsService = require('../services/statisticsService');
 const marketDataService = require('../services/marketDataService');
+const alertService = require('../services/alertService');
 
 /**
  * Handle callback queries from inline keyboards
@@ -24,8 +25,10 @@ async function handleCallback(bot, callbackQuery, user) {
   try {
     logger.info(`Callback from user ${user.telegramId}: ${data}`);
     
-    // Acknowledge the callback
-    await bot.answerCallbackQuery(callbackQuery.id);
+    // Acknowledge the callback (group settings and chart style buttons answer themselves, to alert non-admins privately)
+    if (!data.startsWith('gset:') && !data.startsWith('chart_style:')) {
+      await bot.answerCallbackQuery(callbackQuery.id);
+    }
     
     // Handle the callback based on the data
     if (data === 'help') {
@@ -59,6 +62,8 @@ async function handleCallback(bot, callbackQuery, user) {
       await adminHandler.showAdminOptions(bot, chatId);
     } else if (data === 'cancel_broadcast') {
       await handleCancelBroadcastCallback(bot, callbackQuery, user);
+    } else if (data.startsWith('bc:')) {
+      await adminHandler.handleBroadcastControl(bot, callbackQuery, user);
     } else if (data === 'favorites') {
       await handleFavoritesCallback(bot, chatId, user);
     } else if (data === 'recent') {
@@ -95,6 +100,31 @@ async function handleCallback(bot, callbackQuery, user) {
       await handleLikeTokenCallback(bot, chatId, user, data, callbackQuery.message);
     } else if (data.startsWith('dislike_token:')) {
       await handleDislikeTokenCallback(bot, chatId, user, data, callbackQuery.message);
+    } else if (data === 'alerts') {
+      await commandHandler.handleAlerts(bot, { chat: { id: chatId } }, user);
+    } else if (data.startsWith('alerts_fav:')) {
+      await handleTokenAlertsCallback(bot, chatId, user, data, callbackQuery.message);
+    } else if (data.startsWith('alset:')) {
+      await handleSetAlertCallback(bot, chatId, user, data, callbackQuery.message);
+    } else if (data.startsWith('alert_toggle:') || data.startsWith('alert_del:')) {
+      await handleUpdateAlertCallback(bot, chatId, user, data, callbackQuery.message);
+    } else if (data.startsWith('health:')) {
+      await handleHealthBreakdownCallback(bot, chatId, user, data);
+    } else if (data.startsWith('chart_style:')) {
+      const style = data.split(':')[1];
+      await commandHandler.applyChartStyle(bot, callbackQuery.message.chat, user, style, callbackQuery.message, callbackQuery);
+    } else if (data.startsWith('gset:')) {
+      await commandHandler.handleGroupSettingsCallback(bot, callbackQuery, user);
+    } else if (data.startsWith('digest:')) {
+      await commandHandler.handleDigestCallback(bot, callbackQuery, user);
+    } else if (data.startsWith('whereami:')) {
+      const [_, chain, contractAddress] = data.split(':');
+      await commandHandler.promptWalletLocation(bot, chatId, user, contractAddress, chain);
+    } else if (data.startsWith('wallet:')) {
+      await commandHandler.handleWalletPageCallback(bot, callbackQuery, user);
+    } else if (data.startsWith('history:')) {
+      const [_, chain, contractAddress] = data.split(':');
+      await commandHandler.showTokenHistory(bot, chatId, user, contractAddress, chain);
     } else {
       logger.warn(`Unknown callback data from user ${user.telegramId}: ${data}`);
     }
@@ -614,6 +644,213 @@ async function handleDislikeTokenCallback(bot, chatId, user, data, message) {
   }
 }
 
+/**
+ * Show the alert rules of a favorite token, editing the message when possible
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {Object} favorite - Favorite token entry
+ * @param {Object} message - Message to edit (optional)
+ */
+async function showTokenAlerts(bot, chatId, user, favorite, message = null) {
+  const alerts = await alertService.getUserAlerts(user, favorite);
+  const text = formatters.formatTokenAlerts(favorite, alerts);
+  
+  // One row per existing rule with pause/remove controls
+  const keyboard = {
+    inline_keyboard: alerts.map(alert => ([
+      {
+        text: `${alert.isActive ? '⏸ Pause' : '▶️ Resume'}: ${formatters.describeAlertRule(alert.type, alert.threshold)}`,
+        callback_data: `alert_toggle:${alert._id}`
+      },
+      { text: '❌', callback_data: `alert_del:${alert._id}` }
+    ]))
+  };
+  
+  // Preset rows to add or change a rule
+  const presetLabels = {
+    [constants.alertTypes.PRICE_CHANGE]: (value) => `±${value}%`,
+    [constants.alertTypes.TOP_HOLDER]: (value) => `Top >${value}%`,
+    [constants.alertTypes.DECENTRALISATION]: (value) => `Score <${value}`
+  };
+  
+  Object.entries(constants.alertPresets).forEach(([type, values]) => {
+    keyboard.inline_keyboard.push(values.map(value => ({
+      text: presetLabels[type](value),
+      callback_data: `alset:${favorite._id}:${type}:${value}`
+    })));
+  });
+  
+  keyboard.inline_keyboard.push([
+    { text: "⬅️ Back to Alerts", callback_data: "alerts" }
+  ]);
+  
+  const options = {
+    parse_mode: 'Markdown',
+    reply_markup: keyboard
+  };
+  
+  if (message && message.text) {
+    await bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: message.message_id,
+      ...options
+    });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+}
+
+/**
+ * Handle token alerts callback
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} data - Callback data
+ * @param {Object} message - The message object to update
+ */
+async function handleTokenAlertsCallback(bot, chatId, user, data, message) {
+  try {
+    const favoriteId = data.split(':')[1];
+    const favorite = user.favorites.id(favoriteId);
+    
+    if (!favorite) {
+      await bot.sendMessage(chatId, constants.messages.noAlertFavorites);
+      return;
+    }
+    
+    await showTokenAlerts(bot, chatId, user, favorite, message);
+    
+    logger.info(`User ${user.telegramId} viewed alerts for ${favorite.contractAddress} on ${favorite.chain}`);
+  } catch (error) {
+    logger.error(`Error handling alerts_fav callback for user ${user.telegramId}: ${error.message}`);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Handle set alert callback
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} data - Callback data
+ * @param {Object} message - The message object to update
+ */
+async function handleSetAlertCallback(bot, chatId, user, data, message) {
+  try {
+    const [_, favoriteId, type, value] = data.split(':');
+    const favorite = user.favorites.id(favoriteId);
+    
+    if (!favorite) {
+      await bot.sendMessage(chatId, constants.messages.noAlertFavorites);
+      return;
+    }
+    
+    const threshold = parseFloat(value);
+    await alertService.setAlert(user, favorite, type, threshold);
+    
+    // Track the interaction
+    await userService.trackInteraction(user, constants.interactionTypes.SET_ALERT, {
+      token: favorite.contractAddress,
+      chain: favorite.chain,
+      type,
+      threshold
+    });
+    
+    await showTokenAlerts(bot, chatId, user, favorite, message);
+  } catch (error) {
+    logger.error(`Error handling alset callback for user ${user.telegramId}: ${error.message}`);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Handle pause/resume and remove alert callbacks
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} data - Callback data
+ * @param {Object} message - The message object to update
+ */
+async function handleUpdateAlertCallback(bot, chatId, user, data, message) {
+  try {
+    const [action, alertId] = data.split(':');
+    
+    let alert;
+    if (action === 'alert_del') {
+      alert = await alertService.removeAlert(user, alertId);
+      
+      if (alert) {
+        await userService.trackInteraction(user, constants.interactionTypes.REMOVE_ALERT, {
+          token: alert.contractAddress,
+          chain: alert.chain,
+          type: alert.type
+        });
+      }
+    } else {
+      alert = await alertService.toggleAlert(user, alertId);
+    }
+    
+    if (!alert) {
+      await bot.sendMessage(chatId, 'This alert no longer exists.');
+      return;
+    }
+    
+    const favorite = user.favorites.find(
+      fav => fav.contractAddress === alert.contractAddress && fav.chain === alert.chain
+    );
+    
+    if (favorite) {
+      await showTokenAlerts(bot, chatId, user, favorite, message);
+    } else {
+      await bot.sendMessage(chatId, constants.messages.alertRemoved);
+    }
+  } catch (error) {
+    logger.error(`Error handling alert update callback for user ${user.telegramId}: ${error.message}`);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Handle health breakdown callback
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} data - Callback data
+ */
+async function handleHealthBreakdownCallback(bot, chatId, user, data) {
+  try {
+    const [_, chain, contractAddress] = data.split(':');
+    
+    // Fetch the holder graph and metadata
+    const [mapData, metaData] = await Promise.all([
+      bubblemapsService.getTokenMapData(contractAddress, chain),
+      bubblemapsService.getTokenMetadata(contractAddress, chain)
+    ]);
+    
+    const healthRating = tokenRatingService.calculateTokenHealthRating(mapData, metaData);
+    
+    if (!healthRating) {
+      await bot.sendMessage(chatId, constants.messages.dataNotAvailable);
+      return;
+    }
+    
+    await bot.sendMessage(chatId, formatters.formatHealthBreakdown(healthRating, chain), {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: 'View on BubbleMaps', url: bubblemapsService.generateMapUrl(contractAddress, chain) }]
+        ]
+      }
+    });
+    
+    logger.info(`User ${user.telegramId} viewed health breakdown for ${contractAddress} on ${chain}`);
+  } catch (error) {
+    logger.error(`Error handling health callback for user ${user.telegramId}: ${error.message}`);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
 /**
  * Handle view top rated tokens callback
  * @param {Object} bot - Telegram bot instance
@@ -679,6 +916,9 @@ async function updateTokenMessageWithRating(bot, message, contractAddress, chain
     // Get user's rating for this token
     const userRating = await tokenRatingService.getUserRatingForToken(user, contractAddress, chain);
     
+    // Calculate the token health rating from the holder graph
+    const healthRating = tokenRatingService.calculateTokenHealthRating(mapData, metaData);
+    
     // Generate the updated token info
     const tokenInfo = formatters.formatTokenInfo(
       mapData,
@@ -686,7 +926,8 @@ async function updateTokenMessageWithRating(bot, message, contractAddress, chain
       chain,
       marketData,
       tokenRating,
-      userRating
+      userRating,
+      healthRating
     );
     
     // Check if token is in favorites
@@ -711,6 +952,11 @@ async function updateTokenMessageWithRating(bot, message, contractAddress, chain
           { text: `${dislikeEmoji} Dislike`, callback_data: `dislike_token:${chain}:${contractAddress}` }
         ],
         [favoriteButton],
+        [
+          { text: '🩺 Health breakdown', callback_data: `health:${chain}:${contractAddress}` },
+          { text: '📈 History', callback_data: `history:${chain}:${contractAddress}` }
+        ],
+        [{ text: '📍 Find a wallet in this map', callback_data: `whereami:${chain}:${contractAddress}` }],
         [
           { text: 'Check Another Token', callback_data: 'check_token' },
           { text: 'Recent Tokens', callback_data: 'recent' }
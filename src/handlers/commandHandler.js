@@ -9,17 +9,32 @@ const marketDataService = require('../services/marketDataService');
 const screenshotService = require('../services/screenshotService');
 const tokenRatingService = require('../services/tokenRatingService');
 const statisticsService = require('../services/statisticsService');
+const deepLinks = require('../utils/deepLinks');
+const alertService = require('../services/alertService');
+const snapshotService = require('../services/snapshotService');
+const groupService = require('../services/groupService');
+const checkQueueService = require('../services/checkQueueService');
+const rateLimitService = require('../services/rateLimitService');
+const digestService = require('../services/digestService');
+const walletService = require('../services/walletService');
 
 /**
  * Handle /start command
  * @param {Object} bot - Telegram bot instance
  * @param {Object} msg - Telegram message object
  * @param {Object} user - User document
+ * @param {Array} args - Command arguments (deep-link payload)
  */
-async function handleStart(bot, msg, user) {
+async function handleStart(bot, msg, user, args = []) {
   const chatId = msg.chat.id;
   
   try {
+    // Route deep-link payloads (t.me/<bot>?start=<payload>) instead of showing the menu
+    if (args.length > 0) {
+      await handleStartPayload(bot, chatId, user, args[0].trim());
+      return;
+    }
+    
     // Track the interaction
     await userService.trackInteraction(user, constants.interactionTypes.START);
     
@@ -54,6 +69,57 @@ async function handleStart(bot, msg, user) {
   }
 }
 
+/**
+ * Handle a /start deep-link payload
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} payload - Start payload
+ */
+async function handleStartPayload(bot, chatId, user, payload) {
+  const parsed = deepLinks.parseStartPayload(payload);
+  
+  // Track the interaction with the payload for deep-link analytics
+  await userService.trackInteraction(user, constants.interactionTypes.START, { payload });
+  
+  if (parsed.error) {
+    logger.warn(`User ${user.telegramId} opened ${parsed.error} start payload: ${payload}`);
+    
+    const errorMessage = parsed.error === 'unknown'
+      ? constants.messages.unknownDeepLink
+      : constants.messages.invalidDeepLink;
+    
+    await bot.sendMessage(chatId, errorMessage, {
+      reply_markup: {
+        inline_keyboard: [
+          [{ text: "⬅️ Back to Menu", callback_data: "start" }]
+        ]
+      }
+    });
+    return;
+  }
+  
+  const { action, chain, contractAddress } = parsed;
+  logger.info(`User ${user.telegramId} opened deep link ${action} for ${contractAddress} on ${chain}`);
+  
+  switch (action) {
+    case deepLinks.actions.fav: {
+      if (!userService.isInFavorites(user, contractAddress, chain)) {
+        const metaData = await bubblemapsService.getTokenMetadata(contractAddress, chain);
+        await userService.addToFavorites(user, contractAddress, chain, metaData?.name || '', metaData?.symbol || '');
+      }
+      await bot.sendMessage(chatId, constants.messages.addedToFavorites);
+      await processContractCheck(bot, chatId, user, contractAddress, chain);
+      break;
+    }
+    
+    case deepLinks.actions.check:
+    default:
+      await processContractCheck(bot, chatId, user, contractAddress, chain);
+      break;
+  }
+}
+
 /**
  * Handle /help command
  * @param {Object} bot - Telegram bot instance
@@ -290,9 +356,10 @@ async function handleFavorites(bot, msg, user) {
       })
     };
     
-    // Add a "manage favorites" button at the bottom
+    // Add "manage favorites" and "alerts" buttons at the bottom
     keyboard.inline_keyboard.push([
-      { text: "Manage Favorites", callback_data: "manage_favorites" }
+      { text: "Manage Favorites", callback_data: "manage_favorites" },
+      { text: "🔔 Alerts", callback_data: "alerts" }
     ]);
     
     // Add a "back to menu" button
@@ -312,23 +379,30 @@ async function handleFavorites(bot, msg, user) {
 }
 
 /**
- * Handle /recent command
+ * Handle /alerts command
+ * Without arguments shows the favorites to manage alerts for,
+ * with `<address> <price|holder|score> <value>` sets a custom rule
  * @param {Object} bot - Telegram bot instance
  * @param {Object} msg - Telegram message object
  * @param {Object} user - User document
+ * @param {Array} args - Command arguments
  */
-async function handleRecent(bot, msg, user) {
+async function handleAlerts(bot, msg, user, args = []) {
   const chatId = msg.chat.id;
   
   try {
+    if (args.length > 0) {
+      await setAlertFromArgs(bot, chatId, user, args[0]);
+      return;
+    }
+    
     // Track the interaction
-    await userService.trackInteraction(user, constants.interactionTypes.VIEW_RECENT);
+    await userService.trackInteraction(user, constants.interactionTypes.VIEW_ALERTS);
     
-    // Get user's recently checked tokens
-    const recentTokens = await userService.getRecentlyChecked(user);
+    const favorites = await userService.getFavorites(user);
     
-    if (recentTokens.length === 0) {
-      await bot.sendMessage(chatId, constants.messages.noRecent, {
+    if (favorites.length === 0) {
+      await bot.sendMessage(chatId, constants.messages.noAlertFavorites, {
         reply_markup: {
           inline_keyboard: [
             [{ text: "⬅️ Back to Menu", callback_data: "start" }]
@@ -338,173 +412,1266 @@ async function handleRecent(bot, msg, user) {
       return;
     }
     
-    // Create keyboard with recent tokens
+    const alerts = await alertService.getUserAlerts(user);
+    
+    // Create keyboard with favorites and their rule counts
     const keyboard = {
-      inline_keyboard: recentTokens.map(token => {
-        const displayName = token.name && token.symbol 
-          ? `${token.name} (${token.symbol})`
-          : `${token.contractAddress.substring(0, 8)}...`;
+      inline_keyboard: favorites.map(fav => {
+        const displayName = fav.name && fav.symbol 
+          ? `${fav.name} (${fav.symbol})`
+          : `${fav.contractAddress.substring(0, 8)}...`;
+        const ruleCount = alerts.filter(alert => 
+          alert.contractAddress === fav.contractAddress && alert.chain === fav.chain
+        ).length;
         
         return [{
-          text: `${displayName} on ${token.chain.toUpperCase()}`,
-          callback_data: `check_token:${token.chain}:${token.contractAddress}`
+          text: `${ruleCount > 0 ? '🔔' : '🔕'} ${displayName} on ${fav.chain.toUpperCase()}${ruleCount > 0 ? ` (${ruleCount})` : ''}`,
+          callback_data: `alerts_fav:${fav._id}`
         }];
       })
     };
     
-    // Add a "back to menu" button
     keyboard.inline_keyboard.push([
       { text: "⬅️ Back to Menu", callback_data: "start" }
     ]);
     
-    await bot.sendMessage(chatId, constants.messages.recentTitle, {
+    await bot.sendMessage(chatId, constants.messages.alertsTitle, {
+      parse_mode: 'Markdown',
       reply_markup: keyboard
     });
     
-    logger.info(`User ${user.telegramId} viewed recent tokens`);
+    logger.info(`User ${user.telegramId} viewed alerts`);
   } catch (error) {
-    logger.error(`Error handling /recent command for user ${user.telegramId}:`, error.message);
+    logger.error(`Error handling /alerts command for user ${user.telegramId}:`, error.message);
     await bot.sendMessage(chatId, constants.messages.error);
   }
 }
 
 /**
- * Handle /topstat command
+ * Set an alert rule from /alerts command arguments
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} argsText - Raw arguments text
+ */
+async function setAlertFromArgs(bot, chatId, user, argsText) {
+  const typeAliases = {
+    price: constants.alertTypes.PRICE_CHANGE,
+    holder: constants.alertTypes.TOP_HOLDER,
+    score: constants.alertTypes.DECENTRALISATION
+  };
+  
+  const [addressArg, typeArg, valueArg] = argsText.trim().split(/\s+/);
+  const contractAddress = validation.extractContractAddress(addressArg);
+  const type = typeArg ? typeAliases[typeArg.toLowerCase()] : null;
+  const threshold = parseFloat(valueArg);
+  
+  if (!contractAddress || !type || !Number.isFinite(threshold) || threshold <= 0 || threshold > 100) {
+    await bot.sendMessage(chatId, constants.messages.alertUsage, { parse_mode: 'Markdown' });
+    return;
+  }
+  
+  const favorite = user.favorites.find(
+    fav => fav.contractAddress.toLowerCase() === contractAddress.toLowerCase()
+  );
+  
+  if (!favorite) {
+    await bot.sendMessage(chatId, constants.messages.noAlertFavorites);
+    return;
+  }
+  
+  await alertService.setAlert(user, favorite, type, threshold);
+  
+  // Track the interaction
+  await userService.trackInteraction(user, constants.interactionTypes.SET_ALERT, {
+    token: favorite.contractAddress,
+    chain: favorite.chain,
+    type,
+    threshold
+  });
+  
+  await bot.sendMessage(chatId, `${constants.messages.alertSaved}: ${formatters.describeAlertRule(type, threshold)}`, {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: "🔔 Manage alerts", callback_data: `alerts_fav:${favorite._id}` }]
+      ]
+    }
+  });
+}
+
+/**
+ * Handle /compare command
  * @param {Object} bot - Telegram bot instance
  * @param {Object} msg - Telegram message object
  * @param {Object} user - User document
+ * @param {Array} args - Command arguments
  */
-async function handleTopStat(bot, msg, user) {
+async function handleCompare(bot, msg, user, args = []) {
   const chatId = msg.chat.id;
   
   try {
-    // Track the interaction
-    await userService.trackInteraction(user, constants.interactionTypes.VIEW_STATS);
+    const addresses = args.length > 0 ? validation.extractContractAddresses(args[0]) : [];
     
-    // Send processing message
-    const processingMsg = await bot.sendMessage(chatId, 'Fetching community statistics...');
+    if (addresses.length < 2) {
+      await bot.sendMessage(chatId, constants.messages.compareUsage, { parse_mode: 'Markdown' });
+      return;
+    }
     
-    // Get public statistics
-    const stats = await statisticsService.getPublicStats();
+    if (addresses.length > constants.maxCompareTokens) {
+      await bot.sendMessage(chatId, `You can compare up to ${constants.maxCompareTokens} tokens at once.`);
+      return;
+    }
     
-    // Format statistics message
-    const statsMessage = formatters.formatPublicStats(stats);
+    const processingMsg = await bot.sendMessage(chatId, `⏳ Comparing ${addresses.length} tokens...`);
     
-    // Create statistics main menu
+    // Fetch every token in parallel
+    const entries = await Promise.all(addresses.map(address => fetchComparisonEntry(user, address)));
+    
+    // Track the interaction
+    await userService.trackInteraction(user, constants.interactionTypes.COMPARE_TOKENS, {
+      tokens: entries.map(entry => ({ token: entry.contractAddress, chain: entry.chain }))
+    });
+    
+    const message = formatters.formatTokenComparison(entries);
+    
+    // One check button per available token
     const keyboard = {
-      inline_keyboard: [
-        [{ text: '🔝 Most Checked Tokens', callback_data: 'view_top_tokens' }],
-        [{ text: '⛓️ Popular Chains', callback_data: 'view_popular_chains' }],
-        [{ text: '📈 Trending Tokens (3 Days)', callback_data: 'view_trending_tokens' }],
-        [{ text: '👍 Top Rated by Community', callback_data: 'view_top_rated_tokens' }],
-        [{ text: '⬅️ Back to Menu', callback_data: 'start' }]
-      ]
+      inline_keyboard: entries
+        .filter(entry => entry.available)
+        .map(entry => ([{
+          text: `🔍 ${entry.symbol || entry.contractAddress.substring(0, 8)} on ${entry.chain.toUpperCase()}`,
+          callback_data: `check_token:${entry.chain}:${entry.contractAddress}`
+        }]))
     };
     
-    // Delete processing message
     await bot.deleteMessage(chatId, processingMsg.message_id).catch(() => {});
     
-    // Send statistics
-    await bot.sendMessage(chatId, statsMessage, {
+    await bot.sendMessage(chatId, message, {
       parse_mode: 'Markdown',
-      reply_markup: keyboard,
-      disable_web_page_preview: true // Disable web page previews for links
+      disable_web_page_preview: true,
+      reply_markup: keyboard
     });
     
-    logger.info(`User ${user.telegramId} viewed community statistics`);
+    logger.info(`User ${user.telegramId} compared ${addresses.length} tokens`);
   } catch (error) {
-    logger.error(`Error handling /topstat command for user ${user.telegramId}:`, error.message);
+    logger.error(`Error handling /compare command for user ${user.telegramId}:`, error.message);
     await bot.sendMessage(chatId, constants.messages.error);
   }
 }
 
 /**
- * Process a contract check
- * @param {Object} bot - Telegram bot instance
- * @param {number} chatId - Chat ID
+ * Fetch everything needed to compare a token
  * @param {Object} user - User document
  * @param {string} contractAddress - Contract address
- * @param {string} chain - Chain ID (optional, will be auto-detected if null)
- * @param {Object} processingMsg - Processing message object (optional)
+ * @returns {Promise<Object>} - Comparison entry
  */
-async function processContractCheck(bot, chatId, user, contractAddress, chain, processingMsg = null) {
+async function fetchComparisonEntry(user, contractAddress) {
+  const chain = contractAddress.startsWith('0x')
+    ? (await validation.detectEVMChain(contractAddress)) || user.preferredChain
+    : 'sol';
+  
+  const entry = { contractAddress, chain, available: false };
+  
   try {
-    // Validate contract address
+    const [mapData, metaData, marketData, tokenRating] = await Promise.all([
+      bubblemapsService.getTokenMapData(contractAddress, chain),
+      bubblemapsService.getTokenMetadata(contractAddress, chain),
+      marketDataService.getTokenMarketData(contractAddress, chain),
+      tokenRatingService.getTokenRating(contractAddress, chain)
+    ]);
+    
+    if (!mapData || !metaData || metaData.status !== 'OK') {
+      return entry;
+    }
+    
+    return {
+      ...entry,
+      available: true,
+      name: mapData.full_name || metaData.name || '',
+      symbol: mapData.symbol || metaData.symbol || '',
+      marketData,
+      tokenRating,
+      distribution: tokenRatingService.summarizeDistribution(mapData, metaData)
+    };
+  } catch (error) {
+    logger.error(`Error fetching comparison data for ${contractAddress} on ${chain}: ${error.message}`);
+    return entry;
+  }
+}
+
+/**
+ * Handle /history command
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ * @param {Array} args - Command arguments
+ */
+async function handleHistory(bot, msg, user, args = []) {
+  const chatId = msg.chat.id;
+  
+  try {
+    const contractAddress = args.length > 0 ? validation.extractContractAddress(args[0]) : null;
+    
+    if (!contractAddress) {
+      await bot.sendMessage(chatId, constants.messages.historyUsage, { parse_mode: 'Markdown' });
+      return;
+    }
+    
     if (!validation.isValidContractAddress(contractAddress)) {
-      if (processingMsg) await bot.deleteMessage(chatId, processingMsg.message_id);
       await bot.sendMessage(chatId, constants.messages.invalidContract);
       return;
     }
     
-    // Auto-detect chain if not provided
-    let chainToUse = chain;
-    let isAutoDetected = false;
+    await showTokenHistory(bot, chatId, user, contractAddress);
+  } catch (error) {
+    logger.error(`Error handling /history command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Show the snapshot history of a token
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} contractAddress - Contract address
+ * @param {string} chain - Chain ID (optional, the most recently snapshotted chain is used if omitted)
+ */
+async function showTokenHistory(bot, chatId, user, contractAddress, chain = null) {
+  const snapshots = await snapshotService.getHistory(contractAddress, chain);
+  
+  // Track the interaction
+  await userService.trackInteraction(user, constants.interactionTypes.VIEW_HISTORY, {
+    token: contractAddress,
+    chain: snapshots.length > 0 ? snapshots[0].chain : chain
+  });
+  
+  if (snapshots.length === 0) {
+    await bot.sendMessage(chatId, constants.messages.noHistory);
+    return;
+  }
+  
+  const chainToUse = snapshots[0].chain;
+  
+  await bot.sendMessage(chatId, formatters.formatTokenHistory(snapshots), {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '🔍 Check now', callback_data: `check_token:${chainToUse}:${contractAddress}` }],
+        [{ text: 'View on BubbleMaps', url: bubblemapsService.generateMapUrl(contractAddress, chainToUse) }]
+      ]
+    }
+  });
+  
+  logger.info(`User ${user.telegramId} viewed history of ${contractAddress} on ${chainToUse} (${snapshots.length} snapshots)`);
+}
+
+/**
+ * Handle /whereami command
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ * @param {Array} args - Command arguments (contract address, wallet address)
+ */
+async function handleWhereami(bot, msg, user, args = []) {
+  const chatId = msg.chat.id;
+  
+  try {
+    const contractAddress = args.length > 0 ? validation.extractContractAddress(args[0]) : null;
+    const walletAddress = args.length > 1 ? validation.extractContractAddress(args[1]) : null;
+    
+    if (!contractAddress || !walletAddress) {
+      await bot.sendMessage(chatId, constants.messages.whereamiUsage, { parse_mode: 'Markdown' });
+      return;
+    }
+    
+    const chain = contractAddress.startsWith('0x')
+      ? (await validation.detectEVMChain(contractAddress)) || user.preferredChain
+      : 'sol';
     
-    if (!chainToUse) {
-      if (contractAddress.startsWith('0x')) {
-        // For EVM addresses, use the multi-chain detection
-        chainToUse = await validation.detectEVMChain(contractAddress);
-        isAutoDetected = true;
-      } else {
-        // For Solana addresses
-        chainToUse = 'sol';
-        isAutoDetected = true;
-      }
+    await locateWalletInToken(bot, chatId, user, contractAddress, chain, walletAddress);
+  } catch (error) {
+    logger.error(`Error handling /whereami command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Ask for the wallet to find in a token's bubble map (button under token reports)
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} contractAddress - Contract address
+ * @param {string} chain - Chain ID
+ */
+async function promptWalletLocation(bot, chatId, user, contractAddress, chain) {
+  await userService.updateUserState(user, 'awaiting_wallet', { contractAddress, chain });
+  
+  await bot.sendMessage(chatId, constants.messages.whereamiPrompt, {
+    reply_markup: {
+      inline_keyboard: [
+        [{ text: '⬅️ Back to Menu', callback_data: 'start' }]
+      ]
+    }
+  });
+}
+
+/**
+ * Find a wallet in the holder graph of a token and show its rank, share and cluster
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} contractAddress - Contract address
+ * @param {string} chain - Chain ID
+ * @param {string} walletAddress - Wallet address
+ */
+async function locateWalletInToken(bot, chatId, user, contractAddress, chain, walletAddress) {
+  const mapData = await bubblemapsService.getTokenMapData(contractAddress, chain);
+  
+  // Track the interaction
+  await userService.trackInteraction(user, constants.interactionTypes.LOCATE_WALLET, {
+    token: contractAddress,
+    chain,
+    wallet: walletAddress
+  });
+  
+  if (!mapData || !mapData.nodes) {
+    await bot.sendMessage(chatId, constants.messages.dataNotAvailable);
+    return;
+  }
+  
+  const location = tokenRatingService.locateHolder(mapData, walletAddress);
+  const keyboard = {
+    inline_keyboard: [
+      [{ text: '🔍 Check token', callback_data: `check_token:${chain}:${contractAddress}` }],
+      [{ text: 'View on BubbleMaps', url: bubblemapsService.generateMapUrl(contractAddress, chain) }]
+    ]
+  };
+  
+  if (!location) {
+    await bot.sendMessage(chatId, constants.messages.walletNotHolder, { reply_markup: keyboard });
+    logger.info(`User ${user.telegramId} looked for ${walletAddress} in ${contractAddress} on ${chain}: not a mapped holder`);
+    return;
+  }
+  
+  const token = {
+    contractAddress: mapData.token_address || contractAddress,
+    chain,
+    name: mapData.full_name,
+    symbol: mapData.symbol
+  };
+  
+  await bot.sendMessage(chatId, formatters.formatHolderLocation(location, token), {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: keyboard
+  });
+  
+  logger.info(`User ${user.telegramId} located ${walletAddress} in ${contractAddress} on ${chain} (rank ${location.rank}, cluster of ${location.linked.length + 1})`);
+}
+
+/**
+ * Handle /wallet command
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ * @param {Array} args - Command arguments
+ */
+async function handleWallet(bot, msg, user, args = []) {
+  const chatId = msg.chat.id;
+  
+  try {
+    if (!walletService.isEnabled()) {
+      await bot.sendMessage(chatId, constants.messages.walletUnavailable);
+      return;
     }
     
-    // If chain was null and we couldn't detect, use user's preferred chain
-    if (!chainToUse) {
-      chainToUse = user.preferredChain;
+    const walletAddress = args.length > 0 ? validation.extractContractAddress(args[0]) : null;
+    
+    if (!walletAddress) {
+      await bot.sendMessage(chatId, constants.messages.walletUsage, { parse_mode: 'Markdown' });
+      return;
     }
     
-    // Update processing message or create one if not provided
-    if (processingMsg) {
-      await bot.editMessageText(constants.messages.processing, {
-        chat_id: chatId,
-        message_id: processingMsg.message_id
-      });
-    } else {
-      processingMsg = await bot.sendMessage(chatId, constants.messages.processing);
+    // A report checks every token of the wallet, count it like a token check
+    const rateLimit = rateLimitService.consume(user.telegramId);
+    if (!rateLimit.allowed) {
+      await bot.sendMessage(chatId, `${constants.messages.rateLimited}${rateLimit.retryAfter}s.`);
+      return;
     }
     
+    const processingMsg = await bot.sendMessage(chatId, '⏳ Checking the tokens held by this wallet...');
+    const report = await walletService.getWalletReport(walletAddress);
+    
     // Track the interaction
-    await userService.trackInteraction(user, constants.interactionTypes.CHECK_TOKEN, {
-      token: contractAddress,
-      chain: chainToUse
+    await userService.trackInteraction(user, constants.interactionTypes.CHECK_WALLET, {
+      wallet: walletAddress,
+      tokens: report.positions.length,
+      flagged: report.flaggedCount
     });
     
-    // Check if token is available in Bubblemaps
-    const isValid = await bubblemapsService.validateContract(contractAddress, chainToUse);
+    await bot.deleteMessage(chatId, processingMsg.message_id).catch(() => {});
     
-    if (!isValid) {
-      await bot.deleteMessage(chatId, processingMsg.message_id);
-      await bot.sendMessage(chatId, constants.messages.dataNotAvailable);
+    if (report.positions.length === 0) {
+      await bot.sendMessage(chatId, constants.messages.walletEmpty);
       return;
     }
     
-    try {
-      // Fetch token data, market data, and ratings
-      const [mapData, metaData, marketData, tokenRating] = await Promise.all([
-        bubblemapsService.getTokenMapData(contractAddress, chainToUse),
-        bubblemapsService.getTokenMetadata(contractAddress, chainToUse),
-        marketDataService.getTokenMarketData(contractAddress, chainToUse),
-        tokenRatingService.getTokenRating(contractAddress, chainToUse)
-      ]);
-      
-      // Get user's rating for this token
-      const userRating = await tokenRatingService.getUserRatingForToken(user, contractAddress, chainToUse);
-      
-      // Generate the bubble map URL
-      const mapUrl = bubblemapsService.generateMapUrl(contractAddress, chainToUse);
-      
-      // Format the token info message
-      const tokenInfo = formatters.formatTokenInfo(
-        mapData, 
+    await showWalletPage(bot, chatId, report, 1);
+    
+    logger.info(`User ${user.telegramId} checked wallet ${walletAddress} (${report.positions.length} tokens, ${report.flaggedCount} flagged)`);
+  } catch (error) {
+    logger.error(`Error handling /wallet command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Show a page of a wallet report, editing the report message when paging
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} report - Wallet report
+ * @param {number} page - Page number (1-based)
+ * @param {Object} message - Report message to edit (optional)
+ */
+async function showWalletPage(bot, chatId, report, page = 1, message = null) {
+  const pageCount = Math.max(1, Math.ceil(report.positions.length / constants.walletPageSize));
+  const currentPage = Math.min(Math.max(page, 1), pageCount);
+  const start = (currentPage - 1) * constants.walletPageSize;
+  
+  // One check button per position on the page
+  const keyboard = {
+    inline_keyboard: report.positions
+      .slice(start, start + constants.walletPageSize)
+      .filter(position => position.available)
+      .map(position => ([{
+        text: `🔍 Check ${position.symbol || position.contractAddress.substring(0, 8)} on ${position.chain.toUpperCase()}`,
+        callback_data: `check_token:${position.chain}:${position.contractAddress}`
+      }]))
+  };
+  
+  const paginationButtons = [];
+  if (currentPage > 1) {
+    paginationButtons.push({ text: '⬅️ Previous', callback_data: `wallet:${report.walletAddress}:${currentPage - 1}` });
+  }
+  if (currentPage < pageCount) {
+    paginationButtons.push({ text: 'Next ➡️', callback_data: `wallet:${report.walletAddress}:${currentPage + 1}` });
+  }
+  if (paginationButtons.length > 0) {
+    keyboard.inline_keyboard.push(paginationButtons);
+  }
+  
+  const text = formatters.formatWalletReport(report, currentPage);
+  const options = {
+    parse_mode: 'Markdown',
+    disable_web_page_preview: true,
+    reply_markup: keyboard
+  };
+  
+  if (message) {
+    await bot.editMessageText(text, { chat_id: chatId, message_id: message.message_id, ...options });
+  } else {
+    await bot.sendMessage(chatId, text, options);
+  }
+}
+
+/**
+ * Handle a wallet report page button
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Callback query object
+ * @param {Object} user - User document
+ */
+async function handleWalletPageCallback(bot, callbackQuery, user) {
+  const [, walletAddress, page] = callbackQuery.data.split(':');
+  
+  if (!walletService.isEnabled() || !validation.isValidContractAddress(walletAddress)) {
+    await bot.sendMessage(callbackQuery.message.chat.id, constants.messages.walletUnavailable);
+    return;
+  }
+  
+  // Served from the cached report, re-analysed if it expired
+  const report = await walletService.getWalletReport(walletAddress);
+  await showWalletPage(bot, callbackQuery.message.chat.id, report, parseInt(page) || 1, callbackQuery.message);
+  
+  logger.info(`User ${user.telegramId} viewed page ${page} of wallet ${walletAddress}`);
+}
+
+/**
+ * Handle /chart command (private chats and group admins)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ * @param {Array} args - Command arguments
+ */
+async function handleChartStyle(bot, msg, user, args = []) {
+  const chat = msg.chat;
+  const isGroup = chat.type === 'group' || chat.type === 'supergroup';
+  
+  try {
+    // Stay quiet for other members, answering them would only add noise to the group
+    if (isGroup && !(await isChatAdmin(bot, chat.id, user.telegramId))) {
+      logger.info(`Ignored /chart from non-admin ${user.telegramId} in group ${chat.id}`);
+      return;
+    }
+    
+    // Style provided, apply it directly
+    if (args.length > 0) {
+      const style = args[0].trim().toLowerCase();
+      
+      if (!Object.values(constants.chartStyles).includes(style)) {
+        await bot.sendMessage(chat.id, `Invalid chart style. Available styles: ${Object.values(constants.chartStyles).join(', ')}`);
+        return;
+      }
+      
+      await applyChartStyle(bot, chat, user, style);
+      return;
+    }
+    
+    // No style provided, show the picker
+    const currentStyle = isGroup ? await groupService.getChartStyle(chat.id) : user.chartStyle;
+    
+    await bot.sendMessage(chat.id, `${constants.messages.chartStyleTitle}*${getChartStyleName(currentStyle)}*`, {
+      parse_mode: 'Markdown',
+      reply_markup: {
+        inline_keyboard: Object.values(constants.chartStyles).map(style => ([{
+          text: `${style === currentStyle ? '✅ ' : ''}${getChartStyleName(style)}`,
+          callback_data: `chart_style:${style}`
+        }]))
+      }
+    });
+  } catch (error) {
+    logger.error(`Error handling /chart command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chat.id, constants.messages.error);
+  }
+}
+
+/**
+ * Save the chart style for a private chat (the user) or a group (admins only)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} chat - Telegram chat object
+ * @param {Object} user - User document of the person changing the setting
+ * @param {string} style - Chart style (constants.chartStyles)
+ * @param {Object} message - Picker message to update (optional)
+ * @param {Object} callbackQuery - Picker button press to answer (optional)
+ */
+async function applyChartStyle(bot, chat, user, style, message = null, callbackQuery = null) {
+  const isGroup = chat.type === 'group' || chat.type === 'supergroup';
+  
+  if (isGroup && !(await isChatAdmin(bot, chat.id, user.telegramId))) {
+    // Only the member who pressed the button sees the refusal
+    if (callbackQuery) {
+      await bot.answerCallbackQuery(callbackQuery.id, { text: constants.messages.groupAdminOnly, show_alert: true });
+    } else {
+      await bot.sendMessage(chat.id, constants.messages.groupAdminOnly);
+    }
+    return;
+  }
+  
+  if (callbackQuery) {
+    await bot.answerCallbackQuery(callbackQuery.id);
+  }
+  
+  if (!Object.values(constants.chartStyles).includes(style)) {
+    logger.warn(`Invalid chart style from user ${user.telegramId}: ${style}`);
+    return;
+  }
+  
+  if (isGroup) {
+    await groupService.setChartStyle(chat, style);
+  } else {
+    await userService.updateChartStyle(user, style);
+  }
+  
+  // Track the interaction
+  await userService.trackInteraction(user, constants.interactionTypes.CHANGE_CHART_STYLE, {
+    style,
+    chatId: isGroup ? String(chat.id) : undefined
+  });
+  
+  const confirmation = `${constants.messages.chartStyleSet}${getChartStyleName(style)}`;
+  
+  if (message) {
+    await bot.editMessageText(confirmation, {
+      chat_id: chat.id,
+      message_id: message.message_id
+    }).catch(() => bot.sendMessage(chat.id, confirmation));
+  } else {
+    await bot.sendMessage(chat.id, confirmation);
+  }
+  
+  logger.info(`User ${user.telegramId} set chart style to ${style}${isGroup ? ` in group ${chat.id}` : ''}`);
+}
+
+/**
+ * Get the display name of a chart style
+ * @param {string} style - Chart style (constants.chartStyles)
+ * @returns {string} - Display name
+ */
+function getChartStyleName(style) {
+  return style === constants.chartStyles.SCREENSHOT ? 'BubbleMaps screenshot' : 'Native chart';
+}
+
+/**
+ * Check whether a user is an administrator of a chat
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {string} userId - Telegram user ID
+ * @returns {Promise<boolean>} - True if the user is the creator or an administrator
+ */
+async function isChatAdmin(bot, chatId, userId) {
+  try {
+    const member = await bot.getChatMember(chatId, userId);
+    return member.status === 'creator' || member.status === 'administrator';
+  } catch (error) {
+    logger.warn(`Could not get chat member ${userId} in ${chatId}: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * Handle /settings command (group admins only)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ */
+async function handleSettings(bot, msg, user) {
+  const chat = msg.chat;
+  const isGroup = chat.type === 'group' || chat.type === 'supergroup';
+  
+  try {
+    if (!isGroup) {
+      await bot.sendMessage(chat.id, constants.messages.settingsGroupOnly);
+      return;
+    }
+    
+    // Stay quiet for other members, answering them would only add noise to the group
+    if (!(await isChatAdmin(bot, chat.id, user.telegramId))) {
+      logger.info(`Ignored /settings from non-admin ${user.telegramId} in group ${chat.id}`);
+      return;
+    }
+    
+    const [settings, digest] = await Promise.all([
+      groupService.getSettings(chat.id),
+      digestService.getSubscription(chat.id)
+    ]);
+    
+    await bot.sendMessage(chat.id, constants.messages.groupSettingsTitle + formatters.formatGroupSettings(settings, digest), {
+      parse_mode: 'Markdown',
+      reply_markup: buildGroupSettingsKeyboard(settings, 'main', digest)
+    });
+  } catch (error) {
+    logger.error(`Error handling /settings command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chat.id, constants.messages.error);
+  }
+}
+
+/**
+ * Handle a button of the group settings panel (gset:<action>[:<value>])
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Callback query
+ * @param {Object} user - User document
+ */
+async function handleGroupSettingsCallback(bot, callbackQuery, user) {
+  const chat = callbackQuery.message.chat;
+  const messageId = callbackQuery.message.message_id;
+  const [, action, value] = callbackQuery.data.split(':');
+  
+  if (!(await isChatAdmin(bot, chat.id, user.telegramId))) {
+    await bot.answerCallbackQuery(callbackQuery.id, { text: constants.messages.groupAdminOnly, show_alert: true });
+    return;
+  }
+  
+  await bot.answerCallbackQuery(callbackQuery.id);
+  
+  let settings = await groupService.getSettings(chat.id);
+  let digest = await digestService.getSubscription(chat.id);
+  let changes = null;
+  let digestChanges = null;
+  let view = 'main';
+  
+  switch (action) {
+    case 'auto':
+      changes = { autoDetect: !settings.autoDetect };
+      break;
+    case 'report':
+      changes = {
+        reportFormat: settings.reportFormat === constants.groupReportFormats.BRIEF
+          ? constants.groupReportFormats.FULL
+          : constants.groupReportFormats.BRIEF
+      };
+      break;
+    case 'shots':
+      changes = { screenshots: !settings.screenshots };
+      break;
+    case 'repeat':
+      changes = {
+        repeatMode: settings.repeatMode === constants.groupRepeatModes.LINK
+          ? constants.groupRepeatModes.SILENT
+          : constants.groupRepeatModes.LINK
+      };
+      break;
+    case 'fail':
+      changes = {
+        failureMode: settings.failureMode === constants.groupFailureModes.REPLY
+          ? constants.groupFailureModes.SILENT
+          : constants.groupFailureModes.REPLY
+      };
+      break;
+    case 'cd': {
+      // Cycle through the cooldown options
+      const options = constants.groupCooldownOptions;
+      const index = options.indexOf(settings.tokenCooldownMinutes);
+      changes = { tokenCooldownMinutes: options[(index + 1) % options.length] };
+      break;
+    }
+    case 'dchain':
+      if (value === undefined) {
+        view = 'defaultChain';
+      } else if (value === 'none') {
+        changes = { defaultChain: null };
+      } else if (validation.isValidChain(value)) {
+        changes = { defaultChain: value };
+      }
+      break;
+    case 'chains':
+      view = 'allowedChains';
+      if (value === 'all') {
+        changes = { allowedChains: [] };
+      } else if (validation.isValidChain(value)) {
+        const allowed = settings.allowedChains.includes(value)
+          ? settings.allowedChains.filter(chain => chain !== value)
+          : [...settings.allowedChains, value];
+        // Keep the order of constants.chains
+        changes = { allowedChains: constants.chains.map(c => c.id).filter(id => allowed.includes(id)) };
+      }
+      break;
+    case 'digest':
+      view = 'digest';
+      break;
+    case 'dfreq':
+      view = 'digest';
+      if (value === 'off') {
+        digestChanges = { frequency: null };
+      } else if (Object.values(constants.digestFrequencies).includes(value)) {
+        digestChanges = { frequency: value };
+      }
+      break;
+    case 'dhour': {
+      view = 'digest';
+      const hour = parseInt(value, 10);
+      if (hour >= 0 && hour <= 23) {
+        digestChanges = { hourUTC: hour };
+      }
+      break;
+    }
+    case 'back':
+      break;
+    case 'close':
+      await bot.deleteMessage(chat.id, messageId).catch(() => {});
+      return;
+    default:
+      logger.warn(`Unknown group settings action from user ${user.telegramId}: ${action}`);
+      return;
+  }
+  
+  if (changes) {
+    settings = await groupService.updateSettings(chat, changes, user.telegramId);
+    
+    // Track the interaction
+    await userService.trackInteraction(user, constants.interactionTypes.CHANGE_GROUP_SETTINGS, {
+      chatId: String(chat.id),
+      changes
+    });
+  }
+  
+  if (digestChanges) {
+    digest = await digestService.setSubscription(chat.id, { targetType: 'group', ...digestChanges });
+    
+    // Track the interaction
+    await userService.trackInteraction(user, constants.interactionTypes.CHANGE_DIGEST, {
+      changes: digestChanges
+    }, chat.id);
+  }
+  
+  let text;
+  if (view === 'digest') {
+    text = constants.messages.groupDigestTitle + formatters.formatDigestSubscription(digest);
+  } else if (view === 'defaultChain') {
+    text = constants.messages.groupSettingsDefaultChainTitle;
+  } else if (view === 'allowedChains') {
+    text = constants.messages.groupSettingsAllowedChainsTitle;
+  } else {
+    text = constants.messages.groupSettingsTitle + formatters.formatGroupSettings(settings, digest);
+  }
+  
+  await bot.editMessageText(text, {
+    chat_id: chat.id,
+    message_id: messageId,
+    parse_mode: 'Markdown',
+    reply_markup: buildGroupSettingsKeyboard(settings, view, digest)
+  }).catch(error => {
+    // Telegram rejects edits that don't change anything
+    if (!error.message.includes('message is not modified')) throw error;
+  });
+}
+
+/**
+ * Build the keyboard of the group settings panel
+ * @param {Object} settings - GroupSettings document
+ * @param {string} view - 'main', 'defaultChain', 'allowedChains' or 'digest'
+ * @param {Object} digest - DigestSubscription document of the group (optional)
+ * @returns {Object} - Inline keyboard markup
+ */
+function buildGroupSettingsKeyboard(settings, view = 'main', digest = null) {
+  const onOff = (enabled) => enabled ? 'On' : 'Off';
+  const chainButtons = [];
+  
+  if (view === 'digest') {
+    const keyboard = buildDigestKeyboard(digest, 'gset:dfreq', 'gset:dhour').inline_keyboard;
+    keyboard.push([{ text: '⬅️ Back', callback_data: 'gset:back' }]);
+    return { inline_keyboard: keyboard };
+  }
+  
+  if (view === 'defaultChain') {
+    constants.chains
+      .filter(chain => chain.id !== 'sol')
+      .forEach(chain => chainButtons.push({
+        text: `${settings.defaultChain === chain.id ? '✅ ' : ''}${chain.name}`,
+        callback_data: `gset:dchain:${chain.id}`
+      }));
+  } else if (view === 'allowedChains') {
+    constants.chains.forEach(chain => chainButtons.push({
+      text: `${settings.allowedChains.includes(chain.id) ? '✅ ' : ''}${chain.name}`,
+      callback_data: `gset:chains:${chain.id}`
+    }));
+  }
+  
+  if (view !== 'main') {
+    // Two chains per row
+    const keyboard = [];
+    for (let i = 0; i < chainButtons.length; i += 2) {
+      keyboard.push(chainButtons.slice(i, i + 2));
+    }
+    
+    keyboard.push(view === 'defaultChain'
+      ? [{ text: `${!settings.defaultChain ? '✅ ' : ''}Ask each time`, callback_data: 'gset:dchain:none' }]
+      : [{ text: `${settings.allowedChains.length === 0 ? '✅ ' : ''}All chains`, callback_data: 'gset:chains:all' }]);
+    keyboard.push([{ text: '⬅️ Back', callback_data: 'gset:back' }]);
+    
+    return { inline_keyboard: keyboard };
+  }
+  
+  return {
+    inline_keyboard: [
+      [{ text: `🔎 Auto-detect: ${onOff(settings.autoDetect)}`, callback_data: 'gset:auto' }],
+      [
+        { text: `📝 Report: ${settings.reportFormat === constants.groupReportFormats.FULL ? 'Full' : 'Brief'}`, callback_data: 'gset:report' },
+        { text: `🖼 Map image: ${onOff(settings.screenshots)}`, callback_data: 'gset:shots' }
+      ],
+      [
+        { text: '⛓ Default chain', callback_data: 'gset:dchain' },
+        { text: '✅ Allowed chains', callback_data: 'gset:chains' }
+      ],
+      [
+        { text: `⚠️ Failures: ${settings.failureMode === constants.groupFailureModes.SILENT ? 'Silent' : 'Reply'}`, callback_data: 'gset:fail' },
+        { text: `⏱ Cooldown: ${settings.tokenCooldownMinutes ? `${settings.tokenCooldownMinutes} min` : 'Off'}`, callback_data: 'gset:cd' }
+      ],
+      [{ text: `🔁 Repeats: ${settings.repeatMode === constants.groupRepeatModes.SILENT ? 'Silent' : 'Point to last report'}`, callback_data: 'gset:repeat' }],
+      [{ text: `📰 Digest: ${digest && digest.isActive ? (digest.frequency === constants.digestFrequencies.WEEKLY ? 'Weekly' : 'Daily') : 'Off'}`, callback_data: 'gset:digest' }],
+      [{ text: '✖️ Close', callback_data: 'gset:close' }]
+    ]
+  };
+}
+
+/**
+ * Build the keyboard choosing a digest frequency and posting hour
+ * @param {Object} digest - DigestSubscription document (null if never subscribed)
+ * @param {string} frequencyPrefix - Callback data prefix of the frequency buttons
+ * @param {string} hourPrefix - Callback data prefix of the hour buttons
+ * @returns {Object} - Inline keyboard markup
+ */
+function buildDigestKeyboard(digest, frequencyPrefix, hourPrefix) {
+  const active = digest && digest.isActive;
+  const mark = (selected) => selected ? '✅ ' : '';
+  
+  const keyboard = [[
+    { text: `${mark(!active)}Off`, callback_data: `${frequencyPrefix}:off` },
+    { text: `${mark(active && digest.frequency === constants.digestFrequencies.DAILY)}Daily`, callback_data: `${frequencyPrefix}:${constants.digestFrequencies.DAILY}` },
+    { text: `${mark(active && digest.frequency === constants.digestFrequencies.WEEKLY)}Weekly`, callback_data: `${frequencyPrefix}:${constants.digestFrequencies.WEEKLY}` }
+  ]];
+  
+  // Posting hour (UTC), six per row
+  if (active) {
+    for (let hour = 0; hour < 24; hour += 6) {
+      keyboard.push([0, 1, 2, 3, 4, 5].map(offset => ({
+        text: `${mark(digest.hourUTC === hour + offset)}${String(hour + offset).padStart(2, '0')}`,
+        callback_data: `${hourPrefix}:${hour + offset}`
+      })));
+    }
+  }
+  
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Handle /digest command (private digest subscription)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ */
+async function handleDigest(bot, msg, user) {
+  const chat = msg.chat;
+  
+  try {
+    if (chat.type !== 'private') {
+      await bot.sendMessage(chat.id, constants.messages.digestPrivateOnly, { reply_to_message_id: msg.message_id });
+      return;
+    }
+    
+    const digest = await digestService.getSubscription(user.telegramId);
+    
+    await bot.sendMessage(chat.id, constants.messages.digestTitle + formatters.formatDigestSubscription(digest), {
+      parse_mode: 'Markdown',
+      reply_markup: buildDigestKeyboard(digest, 'digest:freq', 'digest:hour')
+    });
+  } catch (error) {
+    logger.error(`Error handling /digest command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chat.id, constants.messages.error);
+  }
+}
+
+/**
+ * Handle a button of the private digest panel (digest:freq|hour:<value>)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Callback query
+ * @param {Object} user - User document
+ */
+async function handleDigestCallback(bot, callbackQuery, user) {
+  const message = callbackQuery.message;
+  const [, action, value] = callbackQuery.data.split(':');
+  
+  let changes = null;
+  if (action === 'freq') {
+    if (value === 'off') {
+      changes = { frequency: null };
+    } else if (Object.values(constants.digestFrequencies).includes(value)) {
+      changes = { frequency: value };
+    }
+  } else if (action === 'hour') {
+    const hour = parseInt(value, 10);
+    if (hour >= 0 && hour <= 23) {
+      changes = { hourUTC: hour };
+    }
+  }
+  
+  if (!changes) {
+    logger.warn(`Unknown digest action from user ${user.telegramId}: ${callbackQuery.data}`);
+    return;
+  }
+  
+  const digest = await digestService.setSubscription(user.telegramId, { targetType: 'user', user, ...changes });
+  
+  // Track the interaction
+  await userService.trackInteraction(user, constants.interactionTypes.CHANGE_DIGEST, { changes });
+  
+  await bot.editMessageText(constants.messages.digestTitle + formatters.formatDigestSubscription(digest), {
+    chat_id: message.chat.id,
+    message_id: message.message_id,
+    parse_mode: 'Markdown',
+    reply_markup: buildDigestKeyboard(digest, 'digest:freq', 'digest:hour')
+  }).catch(error => {
+    // Telegram rejects edits that don't change anything
+    if (!error.message.includes('message is not modified')) throw error;
+  });
+}
+
+/**
+ * Handle /recent command
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ */
+async function handleRecent(bot, msg, user) {
+  const chatId = msg.chat.id;
+  
+  try {
+    // Track the interaction
+    await userService.trackInteraction(user, constants.interactionTypes.VIEW_RECENT);
+    
+    // Get user's recently checked tokens
+    const recentTokens = await userService.getRecentlyChecked(user);
+    
+    if (recentTokens.length === 0) {
+      await bot.sendMessage(chatId, constants.messages.noRecent, {
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: "⬅️ Back to Menu", callback_data: "start" }]
+          ]
+        }
+      });
+      return;
+    }
+    
+    // Create keyboard with recent tokens
+    const keyboard = {
+      inline_keyboard: recentTokens.map(token => {
+        const displayName = token.name && token.symbol 
+          ? `${token.name} (${token.symbol})`
+          : `${token.contractAddress.substring(0, 8)}...`;
+        
+        return [{
+          text: `${displayName} on ${token.chain.toUpperCase()}`,
+          callback_data: `check_token:${token.chain}:${token.contractAddress}`
+        }];
+      })
+    };
+    
+    // Add a "back to menu" button
+    keyboard.inline_keyboard.push([
+      { text: "⬅️ Back to Menu", callback_data: "start" }
+    ]);
+    
+    await bot.sendMessage(chatId, constants.messages.recentTitle, {
+      reply_markup: keyboard
+    });
+    
+    logger.info(`User ${user.telegramId} viewed recent tokens`);
+  } catch (error) {
+    logger.error(`Error handling /recent command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Handle /topstat command
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ */
+async function handleTopStat(bot, msg, user) {
+  const chatId = msg.chat.id;
+  
+  try {
+    // Track the interaction
+    await userService.trackInteraction(user, constants.interactionTypes.VIEW_STATS);
+    
+    // Send processing message
+    const processingMsg = await bot.sendMessage(chatId, 'Fetching community statistics...');
+    
+    // Get public statistics
+    const stats = await statisticsService.getPublicStats();
+    
+    // Format statistics message
+    const statsMessage = formatters.formatPublicStats(stats);
+    
+    // Create statistics main menu
+    const keyboard = {
+      inline_keyboard: [
+        [{ text: '🔝 Most Checked Tokens', callback_data: 'view_top_tokens' }],
+        [{ text: '⛓️ Popular Chains', callback_data: 'view_popular_chains' }],
+        [{ text: '📈 Trending Tokens (3 Days)', callback_data: 'view_trending_tokens' }],
+        [{ text: '👍 Top Rated by Community', callback_data: 'view_top_rated_tokens' }],
+        [{ text: '⬅️ Back to Menu', callback_data: 'start' }]
+      ]
+    };
+    
+    // Delete processing message
+    await bot.deleteMessage(chatId, processingMsg.message_id).catch(() => {});
+    
+    // Send statistics
+    await bot.sendMessage(chatId, statsMessage, {
+      parse_mode: 'Markdown',
+      reply_markup: keyboard,
+      disable_web_page_preview: true // Disable web page previews for links
+    });
+    
+    logger.info(`User ${user.telegramId} viewed community statistics`);
+  } catch (error) {
+    logger.error(`Error handling /topstat command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chatId, constants.messages.error);
+  }
+}
+
+/**
+ * Handle /groupstats command (token statistics of the current group)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ */
+async function handleGroupStats(bot, msg, user) {
+  const chat = msg.chat;
+  const isGroup = chat.type === 'group' || chat.type === 'supergroup';
+  
+  try {
+    if (!isGroup) {
+      await bot.sendMessage(chat.id, constants.messages.groupStatsGroupOnly);
+      return;
+    }
+    
+    await userService.trackInteraction(user, constants.interactionTypes.VIEW_GROUP_STATS, {}, chat.id);
+    
+    const stats = await statisticsService.getGroupChatStats(chat.id);
+    
+    await bot.sendMessage(chat.id, formatters.formatGroupChatStats(chat.title, stats), {
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true,
+      reply_to_message_id: msg.message_id
+    });
+    
+    logger.info(`User ${user.telegramId} viewed statistics of group ${chat.id}`);
+  } catch (error) {
+    logger.error(`Error handling /groupstats command for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chat.id, constants.messages.error);
+  }
+}
+
+/**
+ * Build the keyboard asking which chain to check for an address found on several chains
+ * @param {string} contractAddress - Contract address
+ * @param {Array<Object>} summaries - Per-chain summaries from checkQueueService.getChainSummaries
+ * @param {boolean} compact - Short buttons for group chats
+ * @returns {Object} - Inline keyboard markup
+ */
+function buildChainPickerKeyboard(contractAddress, summaries, compact = false) {
+  const buttons = summaries.map(summary => {
+    const score = typeof summary.decentralisationScore === 'number'
+      ? Math.round(summary.decentralisationScore)
+      : null;
+    
+    let text;
+    if (compact) {
+      text = summary.chain.toUpperCase() + (score !== null ? ` · ${score}` : '');
+    } else {
+      text = constants.chains.find(c => c.id === summary.chain)?.name || summary.chain.toUpperCase();
+      if (summary.holderCount !== null) text += ` · ${summary.holderCount.toLocaleString()} top holders in map`;
+      if (score !== null) text += ` · score ${score}`;
+    }
+    
+    return { text, callback_data: `check_token:${summary.chain}:${contractAddress}` };
+  });
+  
+  // Full buttons get a row each, compact ones are packed three per row
+  const perRow = compact ? 3 : 1;
+  const keyboard = [];
+  for (let i = 0; i < buttons.length; i += perRow) {
+    keyboard.push(buttons.slice(i, i + perRow));
+  }
+  
+  return { inline_keyboard: keyboard };
+}
+
+/**
+ * Process a contract check
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} user - User document
+ * @param {string} contractAddress - Contract address
+ * @param {string} chain - Chain ID (optional, will be auto-detected if null)
+ * @param {Object} processingMsg - Processing message object (optional)
+ */
+async function processContractCheck(bot, chatId, user, contractAddress, chain, processingMsg = null) {
+  try {
+    // Validate contract address
+    if (!validation.isValidContractAddress(contractAddress)) {
+      if (processingMsg) await bot.deleteMessage(chatId, processingMsg.message_id);
+      await bot.sendMessage(chatId, constants.messages.invalidContract);
+      return;
+    }
+    
+    // Limit how fast a user can start checks
+    const rateLimit = rateLimitService.consume(user.telegramId);
+    if (!rateLimit.allowed) {
+      if (processingMsg) await bot.deleteMessage(chatId, processingMsg.message_id).catch(() => {});
+      await bot.sendMessage(chatId, `${constants.messages.rateLimited}${rateLimit.retryAfter}s.`);
+      return;
+    }
+    
+    // Update processing message or create one if not provided
+    if (processingMsg) {
+      await bot.editMessageText(constants.messages.processing, {
+        chat_id: chatId,
+        message_id: processingMsg.message_id
+      }).catch(() => {});
+    } else {
+      processingMsg = await bot.sendMessage(chatId, constants.messages.processing);
+    }
+    
+    const onProgress = createProgressReporter(bot, chatId, processingMsg);
+    
+    // Let the user pick when an EVM address exists on several chains
+    if (!chain && contractAddress.startsWith('0x')) {
+      const chains = await checkQueueService.resolveChains({ contractAddress, userId: user.telegramId, onProgress });
+      
+      if (chains.length > 1) {
+        const summaries = await checkQueueService.getChainSummaries({ contractAddress, chains, userId: user.telegramId, onProgress });
+        await bot.deleteMessage(chatId, processingMsg.message_id).catch(() => {});
+        await bot.sendMessage(chatId, constants.messages.multipleChains, {
+          reply_markup: buildChainPickerKeyboard(contractAddress, summaries)
+        });
+        return;
+      }
+      
+      chain = chains[0] || null;
+    }
+    
+    // Detect chain, fetch data and render the map through the shared queue
+    let result;
+    try {
+      result = await checkQueueService.checkToken({
+        contractAddress,
+        chain,
+        fallbackChain: user.preferredChain,
+        chartStyle: user.chartStyle,
+        userId: user.telegramId,
+        onProgress
+      });
+    } catch (dataError) {
+      logger.error(`Error fetching token data: ${dataError.message}`);
+      await bot.deleteMessage(chatId, processingMsg.message_id).catch(() => {});
+      await bot.sendMessage(chatId, constants.messages.tokenDataError);
+      return;
+    }
+    
+    const chainToUse = result.chain;
+    
+    // Track the interaction
+    await userService.trackInteraction(user, constants.interactionTypes.CHECK_TOKEN, {
+      token: contractAddress,
+      chain: chainToUse
+    });
+    
+    // Check if token is available in Bubblemaps
+    if (!result.isValid) {
+      await bot.deleteMessage(chatId, processingMsg.message_id);
+      await bot.sendMessage(chatId, constants.messages.dataNotAvailable);
+      return;
+    }
+    
+    try {
+      const { mapData, metaData, marketData, image: screenshotBuffer } = result;
+      
+      // Get the community rating for this token
+      const tokenRating = await tokenRatingService.getTokenRating(contractAddress, chainToUse);
+      
+      // Get user's rating for this token
+      const userRating = await tokenRatingService.getUserRatingForToken(user, contractAddress, chainToUse);
+      
+      // Generate the bubble map URL
+      const mapUrl = bubblemapsService.generateMapUrl(contractAddress, chainToUse);
+      
+      // Calculate the token health rating from the holder graph
+      const healthRating = tokenRatingService.calculateTokenHealthRating(mapData, metaData);
+      
+      // Format the token info message
+      const tokenInfo = formatters.formatTokenInfo(
+        mapData, 
         metaData, 
         chainToUse, 
         marketData,
         tokenRating,
-        userRating
+        userRating,
+        healthRating
       );
       
       // Update recently checked tokens
@@ -538,6 +1705,11 @@ async function processContractCheck(bot, chatId, user, contractAddress, chain, p
             { text: `${dislikeEmoji} Dislike`, callback_data: `dislike_token:${chainToUse}:${contractAddress}` }
           ],
           [favoriteButton],
+          [
+            { text: '🩺 Health breakdown', callback_data: `health:${chainToUse}:${contractAddress}` },
+            { text: '📈 History', callback_data: `history:${chainToUse}:${contractAddress}` }
+          ],
+          [{ text: '📍 Find a wallet in this map', callback_data: `whereami:${chainToUse}:${contractAddress}` }],
           [
             { text: 'Check Another Token', callback_data: 'check_token' },
             { text: 'Recent Tokens', callback_data: 'recent' }
@@ -547,23 +1719,19 @@ async function processContractCheck(bot, chatId, user, contractAddress, chain, p
       };
       
       // Delete processing message
-      if (processingMsg) {
-        await bot.deleteMessage(chatId, processingMsg.message_id).catch(err => {
-          logger.warn(`Error deleting processing message: ${err.message}`);
-        });
-      }
+      await bot.deleteMessage(chatId, processingMsg.message_id).catch(err => {
+        logger.warn(`Error deleting processing message: ${err.message}`);
+      });
 
       try {
-        // Get the screenshot using the screenshot service
-        const screenshotBuffer = await screenshotService.captureMapScreenshot(contractAddress, chainToUse);
-        
         if (screenshotBuffer) {
           // Send the screenshot with token info as caption
-          await bot.sendPhoto(chatId, screenshotBuffer, {
+          const sentPhoto = await bot.sendPhoto(chatId, screenshotBuffer, {
             caption: tokenInfo,
             parse_mode: 'Markdown',
             reply_markup: replyMarkup
           });
+          screenshotService.rememberFileId(contractAddress, chainToUse, sentPhoto);
         } else {
           // If screenshot failed, send text-only message
           await bot.sendMessage(chatId, tokenInfo, {
@@ -572,10 +1740,10 @@ async function processContractCheck(bot, chatId, user, contractAddress, chain, p
             reply_markup: replyMarkup
           });
         }
-      } catch (screenshotError) {
-        logger.error(`Error with screenshot: ${screenshotError.message}`);
+      } catch (sendError) {
+        logger.error(`Error sending token report with image: ${sendError.message}`);
         
-        // If screenshot fails, send text-only message
+        // If sending the photo fails, send text-only message
         await bot.sendMessage(chatId, tokenInfo, {
           parse_mode: 'Markdown',
           disable_web_page_preview: true,
@@ -597,6 +1765,32 @@ async function processContractCheck(bot, chatId, user, contractAddress, chain, p
   }
 }
 
+/**
+ * Create a progress callback that keeps a processing message in sync with a queued check
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Chat ID
+ * @param {Object} processingMsg - Processing message object
+ * @returns {Function} - Progress callback (stage, details)
+ */
+function createProgressReporter(bot, chatId, processingMsg) {
+  let lastText = null;
+  
+  return (stage, details) => {
+    const text = formatters.formatCheckProgress(stage, details);
+    
+    // Telegram rejects edits that don't change the text
+    if (text === lastText) return;
+    lastText = text;
+    
+    bot.editMessageText(text, {
+      chat_id: chatId,
+      message_id: processingMsg.message_id
+    }).catch(err => {
+      logger.debug(`Error updating progress message: ${err.message}`);
+    });
+  };
+}
+
 /**
  * Show chain selection keyboard
  * @param {Object} bot - Telegram bot instance
@@ -642,6 +1836,24 @@ module.exports = {
   handleFavorites,
   handleRecent,
   handleTopStat,
+  handleGroupStats,
+  handleAlerts,
+  handleCompare,
+  handleHistory,
+  showTokenHistory,
+  handleWhereami,
+  promptWalletLocation,
+  locateWalletInToken,
+  handleWallet,
+  handleWalletPageCallback,
+  handleChartStyle,
+  applyChartStyle,
+  handleSettings,
+  handleGroupSettingsCallback,
+  handleDigest,
+  handleDigestCallback,
   processContractCheck,
+  createProgressReporter,
+  buildChainPickerKeyboard,
   showChainSelection
 }; 
\ No newline at end of file
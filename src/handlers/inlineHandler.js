@@ -0,0 +1,134 @@
+const logger = require('../utils/logger');
+const validation = require('../utils/validation');
+const formatters = require('../utils/formatters');
+const userService = require('../services/userService');
+const bubblemapsService = require('../services/bubblemapsService');
+const marketDataService = require('../services/marketDataService');
+const screenshotService = require('../services/screenshotService');
+const constants = require('../../config/constants');
+
+// How long Telegram may cache inline results on its side (seconds)
+const INLINE_CACHE_TIME = 300;
+
+/**
+ * Handle inline queries (@bot <address> typed in any chat)
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} inlineQuery - Inline query object
+ * @param {Object} user - User document
+ */
+async function handleInlineQuery(bot, inlineQuery, user) {
+  const query = (inlineQuery.query || '').trim();
+
+  try {
+    // Allow an optional chain prefix, e.g. "@bot bsc 0x..."
+    const [firstWord, ...rest] = query.split(/\s+/);
+    const explicitChain = rest.length > 0 && validation.isValidChain(firstWord) ? firstWord.toLowerCase() : null;
+    const contractAddress = validation.extractContractAddress(explicitChain ? rest.join(' ') : query);
+
+    if (!contractAddress || !validation.isValidContractAddress(contractAddress)) {
+      // Nothing to look up yet, the user is probably still typing
+      await bot.answerInlineQuery(inlineQuery.id, [], { cache_time: INLINE_CACHE_TIME });
+      return;
+    }
+
+    // Detect chain if not provided
+    let chain = explicitChain;
+    if (!chain) {
+      chain = contractAddress.startsWith('0x')
+        ? await validation.detectEVMChain(contractAddress)
+        : 'sol';
+    }
+
+    // Track the interaction
+    await userService.trackInteraction(user, constants.interactionTypes.INLINE_QUERY, {
+      token: contractAddress,
+      chain
+    });
+
+    const results = await buildInlineResults(contractAddress, chain);
+
+    await bot.answerInlineQuery(inlineQuery.id, results, { cache_time: INLINE_CACHE_TIME });
+
+    logger.info(`User ${user.telegramId} queried ${contractAddress} on ${chain} inline (${results.length} results)`);
+  } catch (error) {
+    logger.error(`Error handling inline query for user ${user.telegramId}: ${error.message}`);
+
+    // Answer with no results so the client does not keep spinning
+    await bot.answerInlineQuery(inlineQuery.id, [], { cache_time: 0 }).catch(() => {});
+  }
+}
+
+/**
+ * Build inline query results for a token
+ * @param {string} contractAddress - Contract address
+ * @param {string} chain - Chain ID
+ * @returns {Promise<Array>} - Inline query results
+ */
+async function buildInlineResults(contractAddress, chain) {
+  const [mapData, metaData, marketData] = await Promise.all([
+    bubblemapsService.getTokenMapData(contractAddress, chain),
+    bubblemapsService.getTokenMetadata(contractAddress, chain),
+    marketDataService.getTokenMarketData(contractAddress, chain)
+  ]);
+
+  if (!mapData || !metaData || metaData.status !== 'OK') {
+    return [{
+      type: 'article',
+      id: `na:${chain}:${contractAddress}`,
+      title: 'Data not available',
+      description: 'This token may not be computed by Bubblemaps yet.',
+      input_message_content: {
+        message_text: constants.messages.dataNotAvailable
+      }
+    }];
+  }
+
+  const briefTokenInfo = formatters.formatBriefTokenInfo(mapData, metaData, chain, marketData);
+  const mapUrl = bubblemapsService.generateMapUrl(contractAddress, chain);
+  const replyMarkup = {
+    inline_keyboard: [
+      [{ text: 'View on BubbleMaps', url: mapUrl }]
+    ]
+  };
+
+  const tokenName = mapData.full_name || metaData.name || 'Unknown Token';
+  const tokenSymbol = mapData.symbol || metaData.symbol || '???';
+  const score = metaData.decentralisation_score ? metaData.decentralisation_score.toFixed(2) : 'N/A';
+  const price = marketData && marketData.price > 0 ? ` · $${marketData.price.toLocaleString('en-US', { maximumFractionDigits: 8 })}` : '';
+
+  const results = [];
+
+  // Prefer the screenshot if Telegram already has it from a previous report
+  const photoFileId = screenshotService.getCachedFileId(contractAddress, chain);
+  if (photoFileId) {
+    results.push({
+      type: 'photo',
+      id: `photo:${chain}:${contractAddress}`,
+      photo_file_id: photoFileId,
+      title: `${tokenName} (${tokenSymbol})`,
+      description: `${chain.toUpperCase()} · Score ${score}/100${price}`,
+      caption: briefTokenInfo,
+      parse_mode: 'Markdown',
+      reply_markup: replyMarkup
+    });
+  }
+
+  results.push({
+    type: 'article',
+    id: `article:${chain}:${contractAddress}`,
+    title: `${tokenName} (${tokenSymbol}) on ${chain.toUpperCase()}`,
+    description: `Score ${score}/100${price}`,
+    input_message_content: {
+      message_text: briefTokenInfo,
+      parse_mode: 'Markdown',
+      disable_web_page_preview: true
+    },
+    reply_markup: replyMarkup
+  });
+
+  return results;
+}
+
+module.exports = {
+  handleInlineQuery
+};
@@ -1,7 +1,7 @@
 const validation = require('../utils/validation');
 const logger = require('../utils/logger');
 const userService = require('../services/userService');
-const adminService = require('../services/adminService');
+const adminHandler = require('./adminHandler');
 const commandHandler = require('./commandHandler');
 const constants = require('../../config/constants');
 
@@ -13,7 +13,12 @@ const constants = require('../../config/constants');
  */
 async function handleMessage(bot, msg, user) {
   const chatId = msg.chat.id;
-  const text = msg.text.trim();
+  const text = (msg.text || msg.caption || '').trim();
+  
+  // Photos are only expected as broadcasts
+  if (msg.photo && user.state !== 'awaiting_broadcast_message') {
+    return;
+  }
   
   try {
     switch (user.state) {
@@ -26,7 +31,11 @@ async function handleMessage(bot, msg, user) {
         break;
         
       case 'awaiting_broadcast_message':
-        await handleAwaitingBroadcast(bot, msg, user, text);
+        await handleAwaitingBroadcast(bot, msg, user);
+        break;
+        
+      case 'awaiting_wallet':
+        await handleAwaitingWallet(bot, msg, user, text);
         break;
         
       default:
@@ -123,64 +132,65 @@ async function handleAwaitingChain(bot, msg, user, text) {
 }
 
 /**
- * Handle message in 'awaiting_broadcast_message' state
+ * Handle message in 'awaiting_wallet' state
  * @param {Object} bot - Telegram bot instance
  * @param {Object} msg - Telegram message object
  * @param {Object} user - User document
  * @param {string} text - Message text
  */
-async function handleAwaitingBroadcast(bot, msg, user, text) {
+async function handleAwaitingWallet(bot, msg, user, text) {
   const chatId = msg.chat.id;
   
   try {
-    // Check if user is admin
-    if (!user.isAdmin) {
-      await bot.sendMessage(chatId, constants.messages.adminOnly);
-      await userService.updateUserState(user, 'idle');
+    const walletAddress = validation.extractContractAddress(text);
+    
+    if (!walletAddress) {
+      await bot.sendMessage(chatId, constants.messages.invalidContract);
       return;
     }
     
+    const { contractAddress, chain } = user.stateData || {};
+    
     // Reset user state
     await userService.updateUserState(user, 'idle');
     
-    // Create broadcast
-    const broadcast = await adminService.broadcastMessage(user, text);
-    
-    // Track interaction
-    await userService.trackInteraction(user, constants.interactionTypes.BROADCAST, { 
-      messageId: broadcast._id 
-    });
-    
-    // Send confirmation
-    await bot.sendMessage(chatId, `Broadcasting message to ${broadcast.targetCount} users...`);
+    if (!contractAddress || !chain) {
+      await bot.sendMessage(chatId, constants.messages.error);
+      return;
+    }
     
-    // Send the broadcast to each user
-    let successCount = 0;
-    let failCount = 0;
+    await commandHandler.locateWalletInToken(bot, chatId, user, contractAddress, chain, walletAddress);
+  } catch (error) {
+    logger.error(`Error handling awaiting_wallet state for user ${user.telegramId}:`, error.message);
+    await bot.sendMessage(chatId, constants.messages.error);
     
-    for (const detail of broadcast.deliveryDetails) {
-      try {
-        await bot.sendMessage(detail.userId, `*Announcement*\n\n${text}`, {
-          parse_mode: 'Markdown'
-        });
-        
-        // Update status
-        await broadcast.updateDeliveryStatus(detail.userId, true);
-        successCount++;
-      } catch (error) {
-        logger.error(`Error sending broadcast to user ${detail.userId}:`, error.message);
-        await broadcast.updateDeliveryStatus(detail.userId, false, error.message);
-        failCount++;
-      }
-      
-      // Small delay to avoid hitting rate limits
-      await new Promise(resolve => setTimeout(resolve, 50));
+    // Reset user state
+    await userService.updateUserState(user, 'idle');
+  }
+}
+
+/**
+ * Handle message in 'awaiting_broadcast_message' state
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Telegram message object
+ * @param {Object} user - User document
+ */
+async function handleAwaitingBroadcast(bot, msg, user) {
+  const chatId = msg.chat.id;
+  
+  try {
+    // Check if user is admin
+    if (!user.isAdmin) {
+      await bot.sendMessage(chatId, constants.messages.adminOnly);
+      await userService.updateUserState(user, 'idle');
+      return;
     }
     
-    // Send summary
-    await bot.sendMessage(chatId, `Broadcast complete!\n${successCount} messages delivered, ${failCount} failed.`);
-    
-    logger.info(`Admin ${user.telegramId} sent broadcast to ${broadcast.targetCount} users`);
+    // Nothing is sent until the admin confirms the preview; keep waiting if the options need fixing
+    const created = await adminHandler.previewBroadcast(bot, msg, user);
+    if (created) {
+      await userService.updateUserState(user, 'idle');
+    }
   } catch (error) {
     logger.error(`Error handling awaiting_broadcast state for user ${user.telegramId}:`, error.message);
     await bot.sendMessage(chatId, constants.messages.error);
@@ -8,12 +8,32 @@ const commandHandler = require('./handlers/commandHandler');
 const messageHandler = require('./handlers/messageHandler');
 const callbackHandler = require('./handlers/callbackHandler');
 const adminHandler = require('./handlers/adminHandler');
+const inlineHandler = require('./handlers/inlineHandler');
 const screenshotService = require('./services/screenshotService');
+const groupService = require('./services/groupService');
 const validation = require('./utils/validation');
 const formatters = require('./utils/formatters');
 const constants = require('../config/constants');
 const bubblemapsService = require('./services/bubblemapsService');
+const tokenRatingService = require('./services/tokenRatingService');
 const marketDataService = require('./services/marketDataService');
+const alertService = require('./services/alertService');
+const snapshotService = require('./services/snapshotService');
+const digestService = require('./services/digestService');
+const broadcastService = require('./services/broadcastService');
+const browserPoolService = require('./services/browserPoolService');
+const webhookService = require('./services/webhookService');
+const apiService = require('./services/apiService');
+const eventWebhookService = require('./services/eventWebhookService');
+const checkQueueService = require('./services/checkQueueService');
+const rateLimitService = require('./services/rateLimitService');
+const deepLinks = require('./utils/deepLinks');
+
+// Update types the bot receives: group chat messages that don't explicitly mention the bot, and its own membership changes
+const allowedUpdates = ['message', 'callback_query', 'inline_query', 'my_chat_member'];
+
+// Telegram rejects photos with longer captions
+const MAX_CAPTION_LENGTH = 1024;
 
 // Initialize Telegram bot
 let bot;
@@ -49,11 +69,10 @@ async function initializeBot() {
       return false;
     }
     
-    // Create the bot instance with polling options that match all updates in groups
+    // Create the bot instance; in webhook mode updates come from the webhook server instead of polling
+    const useWebhook = config.telegram.mode === 'webhook';
     bot = new TelegramBot(config.telegram.token, {
-      polling: true,
-      // Include group chat messages that don't explicitly mention the bot
-      allowed_updates: ['message', 'callback_query', 'inline_query'],
+      polling: useWebhook ? false : { params: { allowed_updates: allowedUpdates } },
       // Parse mode for messages sent by the bot
       parse_mode: 'Markdown'
     });
@@ -81,13 +100,24 @@ async function initializeBot() {
       { command: 'help', description: 'Show help information' },
       { command: 'favorites', description: 'View your favorite tokens' },
       { command: 'recent', description: 'View your recently checked tokens' },
-      { command: 'topstat', description: 'View community token statistics' }
+      { command: 'topstat', description: 'View community token statistics' },
+      { command: 'alerts', description: 'Manage alerts for your favorite tokens' },
+      { command: 'compare', description: 'Compare tokens side by side' },
+      { command: 'history', description: 'See how a token changed over time' },
+      { command: 'wallet', description: 'Check the tokens a wallet holds' },
+      { command: 'whereami', description: "Find a wallet in a token's bubble map" },
+      { command: 'chart', description: 'Choose native charts or BubbleMaps screenshots' },
+      { command: 'digest', description: 'Get a daily or weekly digest' }
     ], { scope: { type: 'all_private_chats' } });
     
     // For groups, don't register any commands to keep the bot menu-free
     await bot.setMyCommands([], { scope: { type: 'all_group_chats' } });
     await bot.setMyCommands([], { scope: { type: 'all_chat_administrators' } });
     
+    if (useWebhook) {
+      await webhookService.start(bot, allowedUpdates);
+    }
+    
     logger.info('Bot initialized successfully');
     return true;
   } catch (error) {
@@ -103,14 +133,19 @@ function setupEventHandlers() {
   // Helper function to check if a message is from a group chat
   const isGroupChat = (msg) => msg.chat.type === 'group' || msg.chat.type === 'supergroup';
   
+  // Commands used in groups must start the message; /command@name is captured so commands for other bots can be ignored
+  const groupCommand = (command) => new RegExp(`^\\/${command}(?:@(\\w+))?(?=\\s|$)(?:\\s+(.+))?`);
+  const isForThisBot = (mention) => !mention || mention.toLowerCase() === (botInfo.username || '').toLowerCase();
+  
   // Handle /start command
-  bot.onText(/\/start/, async (msg) => {
+  bot.onText(/\/start(?:\s+(.+))?/, async (msg, match) => {
     try {
       // Ignore commands in group chats
       if (isGroupChat(msg)) return;
       
       const user = await userService.getOrCreateUser(msg.from);
-      await commandHandler.handleStart(bot, msg, user);
+      const args = match[1] ? [match[1]] : [];
+      await commandHandler.handleStart(bot, msg, user, args);
     } catch (error) {
       logger.error('Error handling /start command:', error.message);
     }
@@ -183,6 +218,34 @@ function setupEventHandlers() {
     }
   });
   
+  // Handle /apikey command (admin only)
+  bot.onText(/\/apikey(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      // Ignore commands in group chats
+      if (isGroupChat(msg)) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      const args = match[1] ? match[1].trim().split(/\s+/) : [];
+      await adminHandler.handleApiKeys(bot, msg, user, args);
+    } catch (error) {
+      logger.error('Error handling /apikey command:', error.message);
+    }
+  });
+  
+  // Handle /webhooks command (admin only)
+  bot.onText(/\/webhooks(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      // Ignore commands in group chats
+      if (isGroupChat(msg)) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      const args = match[1] ? match[1].trim().split(/\s+/) : [];
+      await adminHandler.handleWebhooks(bot, msg, user, args);
+    } catch (error) {
+      logger.error('Error handling /webhooks command:', error.message);
+    }
+  });
+  
   // Handle /favorites command
   bot.onText(/\/favorites/, async (msg) => {
     try {
@@ -222,9 +285,140 @@ function setupEventHandlers() {
     }
   });
   
+  // Handle /alerts command
+  bot.onText(/\/alerts(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      // Ignore commands in group chats
+      if (isGroupChat(msg)) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      const args = match[1] ? [match[1]] : [];
+      await commandHandler.handleAlerts(bot, msg, user, args);
+    } catch (error) {
+      logger.error('Error handling /alerts command:', error.message);
+    }
+  });
+  
+  // Handle /compare command
+  bot.onText(/\/compare(?:\s+([\s\S]+))?/, async (msg, match) => {
+    try {
+      // Ignore commands in group chats
+      if (isGroupChat(msg)) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      const args = match[1] ? [match[1]] : [];
+      await commandHandler.handleCompare(bot, msg, user, args);
+    } catch (error) {
+      logger.error('Error handling /compare command:', error.message);
+    }
+  });
+  
+  // Handle /whereami command
+  bot.onText(/\/whereami(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      // Ignore commands in group chats
+      if (isGroupChat(msg)) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      const args = match[1] ? match[1].trim().split(/\s+/) : [];
+      await commandHandler.handleWhereami(bot, msg, user, args);
+    } catch (error) {
+      logger.error('Error handling /whereami command:', error.message);
+    }
+  });
+  
+  // Handle /wallet command
+  bot.onText(/\/wallet(?:@\w+)?(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      // Ignore commands in group chats
+      if (isGroupChat(msg)) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      const args = match[1] ? match[1].trim().split(/\s+/) : [];
+      await commandHandler.handleWallet(bot, msg, user, args);
+    } catch (error) {
+      logger.error('Error handling /wallet command:', error.message);
+    }
+  });
+  
+  // Handle /history command
+  bot.onText(/\/history(?:\s+(.+))?/, async (msg, match) => {
+    try {
+      // Ignore commands in group chats
+      if (isGroupChat(msg)) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      const args = match[1] ? [match[1]] : [];
+      await commandHandler.handleHistory(bot, msg, user, args);
+    } catch (error) {
+      logger.error('Error handling /history command:', error.message);
+    }
+  });
+  
+  // Handle /chart command (also available to group admins)
+  bot.onText(groupCommand('chart'), async (msg, match) => {
+    try {
+      if (!isForThisBot(match[1])) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      const args = match[2] ? [match[2]] : [];
+      await commandHandler.handleChartStyle(bot, msg, user, args);
+    } catch (error) {
+      logger.error('Error handling /chart command:', error.message);
+    }
+  });
+  
+  // Handle /settings command (group admins)
+  bot.onText(groupCommand('settings'), async (msg, match) => {
+    try {
+      if (!isForThisBot(match[1])) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      await commandHandler.handleSettings(bot, msg, user);
+    } catch (error) {
+      logger.error('Error handling /settings command:', error.message);
+    }
+  });
+  
+  // Handle /digest command
+  bot.onText(groupCommand('digest'), async (msg, match) => {
+    try {
+      if (!isForThisBot(match[1])) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      await commandHandler.handleDigest(bot, msg, user);
+    } catch (error) {
+      logger.error('Error handling /digest command:', error.message);
+    }
+  });
+  
+  // Handle /groupstats command
+  bot.onText(groupCommand('groupstats'), async (msg, match) => {
+    try {
+      if (!isForThisBot(match[1])) return;
+      
+      const user = await userService.getOrCreateUser(msg.from);
+      await commandHandler.handleGroupStats(bot, msg, user);
+    } catch (error) {
+      logger.error('Error handling /groupstats command:', error.message);
+    }
+  });
+  
   // Handle callback queries (inline keyboard buttons)
   bot.on('callback_query', async (callbackQuery) => {
     try {
+      // Chain picks in groups run the group check flow, not the private one
+      if (callbackQuery.message && isGroupChat(callbackQuery.message) && callbackQuery.data.startsWith('check_token:')) {
+        await handleGroupChainPick(bot, callbackQuery);
+        return;
+      }
+      
+      // Votes under group reports update the group's report, not a private one
+      if (callbackQuery.message && isGroupChat(callbackQuery.message) && /^(like|dislike)_token:/.test(callbackQuery.data)) {
+        await handleGroupVote(bot, callbackQuery);
+        return;
+      }
+      
       const user = await userService.getOrCreateUser(callbackQuery.from);
       await callbackHandler.handleCallback(bot, callbackQuery, user);
     } catch (error) {
@@ -232,11 +426,21 @@ function setupEventHandlers() {
     }
   });
   
+  // Handle inline queries (@bot <address> in any chat)
+  bot.on('inline_query', async (inlineQuery) => {
+    try {
+      const user = await userService.getOrCreateUser(inlineQuery.from);
+      await inlineHandler.handleInlineQuery(bot, inlineQuery, user);
+    } catch (error) {
+      logger.error('Error handling inline query:', error.message);
+    }
+  });
+  
   // Handle regular text messages
   bot.on('message', async (msg) => {
     try {
-      // Skip if it's a command or not a text message
-      if (!msg.text || msg.text.startsWith('/')) {
+      // Skip commands and anything but text or photos (photos can be broadcasts)
+      if (msg.text ? msg.text.startsWith('/') : !msg.photo) {
         return;
       }
       
@@ -245,6 +449,7 @@ function setupEventHandlers() {
       
       // For group chats, process differently - just look for contracts without changing user state
       if (isGroupChat) {
+        if (!msg.text) return;
         await handleGroupMessage(bot, msg);
         return;
       }
@@ -257,6 +462,31 @@ function setupEventHandlers() {
     }
   });
   
+  // Track the bot being added to, removed from or promoted in groups
+  bot.on('my_chat_member', async (update) => {
+    try {
+      const change = await groupService.handleMembershipChange(update);
+      if (!change || change.event !== 'joined') {
+        return;
+      }
+      
+      const memberCount = await bot.getChatMemberCount(update.chat.id).catch(() => null);
+      const group = memberCount
+        ? await groupService.registerGroup({ chatId: change.group.chatId, name: change.group.name, username: change.group.username, memberCount })
+        : change.group;
+      
+      // Let the bot admins know about the new community
+      const notice = formatters.formatGroupJoinedNotice(group || change.group, update.from, change.isNew);
+      for (const adminId of config.admin.userIds) {
+        await bot.sendMessage(adminId, notice, { parse_mode: 'Markdown' }).catch((error) => {
+          logger.error(`Error notifying admin ${adminId} about group ${change.group.chatId}: ${error.message}`);
+        });
+      }
+    } catch (error) {
+      logger.error('Error handling my_chat_member update:', error.message);
+    }
+  });
+  
   // Log errors
   bot.on('polling_error', (error) => {
     logger.error('Polling error:', error.message);
@@ -285,6 +515,32 @@ async function handleGroupMessage(bot, msg) {
       return;
     }
     
+    // Apply the group's settings
+    const settings = await groupService.getSettings(chatId);
+    if (!settings.autoDetect) {
+      logger.debug(`Auto-detect is off in group ${chatId}, ignoring contract`);
+      return;
+    }
+    
+    // Same token pasted again within the cooldown: point to the last report instead of reprocessing
+    const previousReport = groupService.getRecentReport(chatId, contractAddress, settings.tokenCooldownMinutes);
+    if (previousReport) {
+      logger.debug(`Token ${contractAddress} is on cooldown in group ${chatId}`);
+      // No message yet means the first report is still being prepared
+      if (previousReport.messageId && settings.repeatMode === constants.groupRepeatModes.LINK) {
+        await replyWithPreviousReport(bot, msg, previousReport.messageId);
+      }
+      return;
+    }
+    
+    if (!rateLimitService.consume(msg.from.id).allowed) {
+      // Stay silent in groups, a warning would only add to the noise
+      return;
+    }
+    
+    // Hold the cooldown while the report is prepared
+    groupService.markTokenReported(chatId, contractAddress);
+    
     // Log the detected contract in a group
     logger.info(`Contract address detected in group ${msg.chat.title || 'Unknown'} (${chatId}): ${contractAddress}`);
     
@@ -294,175 +550,43 @@ async function handleGroupMessage(bot, msg) {
         reply_to_message_id: msg.message_id
       });
       
-      // Auto-detect chain if not provided
-      let chainToUse;
-      
+      let chain = null;
       if (contractAddress.startsWith('0x')) {
-        // For EVM addresses, use the multi-chain detection
-        logger.debug(`Detecting chain for EVM address: ${contractAddress}`);
-        chainToUse = await validation.detectEVMChain(contractAddress);
+        const onProgress = commandHandler.createProgressReporter(bot, chatId, processingMsg);
+        const foundChains = await checkQueueService.resolveChains({ contractAddress, userId: msg.from.id, onProgress });
+        const chains = foundChains.filter(id => settings.isChainAllowed(id));
         
-        // If we couldn't detect, use default chain
-        if (!chainToUse) {
-          logger.debug(`Failed to detect chain, using default: ${constants.defaultChain}`);
-          chainToUse = constants.defaultChain;
-        } else {
-          logger.debug(`Detected chain: ${chainToUse}`);
-        }
-      } else {
-        // For Solana addresses
-        logger.debug(`Non-EVM address detected, using Solana chain`);
-        chainToUse = 'sol';
-      }
-      
-      // Update the processing message
-      await bot.editMessageText('⏳ Processing token data...', {
-        chat_id: chatId,
-        message_id: processingMsg.message_id
-      }).catch(err => {
-        logger.error(`Error updating processing message: ${err.message}`);
-      });
-      
-      try {
-        // Check if token is available in Bubblemaps
-        logger.debug(`Validating contract ${contractAddress} on chain ${chainToUse}`);
-        const isValid = await bubblemapsService.validateContract(contractAddress, chainToUse);
-        
-        if (!isValid) {
-          logger.debug(`Contract validation failed for ${contractAddress} on chain ${chainToUse}`);
-          await bot.editMessageText('❌ Data not available for this token. It may not be computed by Bubblemaps yet.', {
-            chat_id: chatId,
-            message_id: processingMsg.message_id
-          }).catch(err => {
-            logger.error(`Error updating validation failure message: ${err.message}`);
-          });
+        if (foundChains.length > 0 && chains.length === 0) {
+          await reportGroupFailure(bot, chatId, processingMsg, constants.messages.groupChainNotAllowed, settings);
           return;
         }
         
-        logger.debug(`Contract validation successful for ${contractAddress} on chain ${chainToUse}`);
-        
-        // Fetch token data, metadata and market data (limited info for group chats)
-        const [mapData, metaData, marketData] = await Promise.all([
-          bubblemapsService.getTokenMapData(contractAddress, chainToUse),
-          bubblemapsService.getTokenMetadata(contractAddress, chainToUse),
-          marketDataService.getTokenMarketData(contractAddress, chainToUse)
-        ]);
-        
-        // Generate the bubble map URL
-        const mapUrl = bubblemapsService.generateMapUrl(contractAddress, chainToUse);
-        logger.debug(`Generated map URL: ${mapUrl}`);
-        
-        // Format a brief version of token info for group chats
-        const briefTokenInfo = formatters.formatBriefTokenInfo(mapData, metaData, chainToUse, marketData);
-        
-        // Check if we have bot info available
-        const botUsername = botInfo?.username || 'bubblemapstelegrambot';
-        logger.debug(`Using bot username for deep link: ${botUsername}`);
-        
-        // Create improved reply markup with two buttons
-        const replyMarkup = {
-          inline_keyboard: [
-            [
-              { text: '🔍 Check more details', url: `https://t.me/${botUsername}?start=check_${chainToUse}_${contractAddress}` },
-              { text: '🗺️ View BubbleMap', url: mapUrl }
-            ]
-          ]
-        };
-        
-        try {
-          // Get the screenshot using the screenshot service
-          logger.debug(`Capturing screenshot for ${contractAddress} on chain ${chainToUse}`);
-          const screenshotBuffer = await screenshotService.captureMapScreenshot(contractAddress, chainToUse);
-          
-          if (screenshotBuffer) {
-            logger.debug(`Screenshot captured successfully, size: ${screenshotBuffer.length} bytes`);
-            // Delete the processing message
-            await bot.deleteMessage(chatId, processingMsg.message_id).catch((err) => {
-              logger.error(`Failed to delete processing message: ${err.message}`);
-            });
-            
-            // Send the screenshot with token info as caption
-            await bot.sendPhoto(chatId, screenshotBuffer, {
-              caption: briefTokenInfo,
-              parse_mode: 'Markdown',
-              reply_markup: replyMarkup,
-              reply_to_message_id: msg.message_id
-            }).catch(err => {
-              logger.error(`Error sending photo: ${err.message}`);
-              // If sending photo fails, try text-only fallback
-              bot.sendMessage(chatId, briefTokenInfo, {
-                parse_mode: 'Markdown',
-                disable_web_page_preview: true,
-                reply_markup: replyMarkup,
-                reply_to_message_id: msg.message_id
-              }).catch(innerErr => {
-                logger.error(`Error sending text fallback: ${innerErr.message}`);
-              });
-            });
-          } else {
-            logger.debug(`No screenshot captured, sending text-only message`);
-            // If screenshot failed, send text-only message
-            await bot.editMessageText(briefTokenInfo, {
-              chat_id: chatId,
-              message_id: processingMsg.message_id,
-              parse_mode: 'Markdown',
-              disable_web_page_preview: true,
-              reply_markup: replyMarkup
-            }).catch(err => {
-              logger.error(`Error updating message with text: ${err.message}`);
-              // If editing fails, try sending a new message
-              bot.sendMessage(chatId, briefTokenInfo, {
-                parse_mode: 'Markdown',
-                disable_web_page_preview: true,
-                reply_markup: replyMarkup,
-                reply_to_message_id: msg.message_id
-              }).catch(innerErr => {
-                logger.error(`Error sending fallback message: ${innerErr.message}`);
-              });
-            });
-          }
-        } catch (screenshotError) {
-          logger.error(`Error with screenshot in group: ${screenshotError.message}`);
-          
-          // If screenshot fails, send text-only message
-          await bot.editMessageText(briefTokenInfo, {
+        if (settings.defaultChain && chains.includes(settings.defaultChain)) {
+          chain = settings.defaultChain;
+        } else if (chains.length > 1) {
+          // Bridged tokens can share one address across chains: let the group pick
+          const summaries = await checkQueueService.getChainSummaries({ contractAddress, chains, userId: msg.from.id, onProgress });
+          await bot.editMessageText(constants.messages.multipleChainsGroup, {
             chat_id: chatId,
             message_id: processingMsg.message_id,
-            parse_mode: 'Markdown',
-            disable_web_page_preview: true,
-            reply_markup: replyMarkup
-          }).catch(err => {
-            logger.error(`Error updating message after screenshot failure: ${err.message}`);
-            // If editing fails, try sending a new message
-            bot.sendMessage(chatId, briefTokenInfo, {
-              parse_mode: 'Markdown',
-              disable_web_page_preview: true,
-              reply_markup: replyMarkup,
-              reply_to_message_id: msg.message_id
-            }).catch(innerErr => {
-              logger.error(`Error sending fallback message after screenshot failure: ${innerErr.message}`);
-            });
+            reply_markup: commandHandler.buildChainPickerKeyboard(contractAddress, summaries, true)
           });
+          groupService.markTokenReported(chatId, contractAddress, processingMsg.message_id);
+          return;
+        } else {
+          chain = chains[0] || null;
         }
-        
-        logger.info(`Successfully processed contract ${contractAddress} on chain ${chainToUse} in group ${msg.chat.title || 'Unknown'}`);
-      } catch (dataError) {
-        logger.error(`Error fetching token data for group: ${dataError.message}`);
-        await bot.editMessageText(constants.messages.tokenDataError, {
-          chat_id: chatId,
-          message_id: processingMsg.message_id
-        }).catch(err => {
-          logger.error(`Error updating message with error: ${err.message}`);
-          // If editing fails, try sending a new message
-          bot.sendMessage(chatId, constants.messages.tokenDataError, {
-            reply_to_message_id: msg.message_id
-          }).catch(innerErr => {
-            logger.error(`Error sending fallback error message: ${innerErr.message}`);
-          });
-        });
+      } else if (!settings.isChainAllowed('sol')) {
+        await reportGroupFailure(bot, chatId, processingMsg, constants.messages.groupChainNotAllowed, settings);
+        return;
       }
+      
+      await processGroupContractCheck(bot, msg.chat, contractAddress, chain, processingMsg, msg.message_id, msg.from, settings);
     } catch (messageError) {
       logger.error(`Error sending/updating messages in group: ${messageError.message}`);
+      groupService.clearTokenReport(chatId, contractAddress);
+      if (settings.failureMode === constants.groupFailureModes.SILENT) return;
+      
       // Try a direct message as fallback
       bot.sendMessage(chatId, 'Error processing token data. Please try again later.', {
         reply_to_message_id: msg.message_id
@@ -476,6 +600,332 @@ async function handleGroupMessage(bot, msg) {
   }
 }
 
+/**
+ * Check a token for a group chat and reply with the report configured for the group
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} chat - Group chat
+ * @param {string} contractAddress - Contract address
+ * @param {string} chain - Chain ID (optional, detected if null)
+ * @param {Object} processingMsg - Message showing progress, replaced by the report
+ * @param {number} replyToMessageId - Message the report replies to
+ * @param {Object} requester - Telegram user who posted the address (or picked its chain)
+ * @param {Object} settings - GroupSettings document (optional, loaded if omitted)
+ */
+async function processGroupContractCheck(bot, chat, contractAddress, chain, processingMsg, replyToMessageId, requester, settings = null) {
+  const chatId = chat.id;
+  settings = settings || await groupService.getSettings(chatId);
+  
+  // Detect chain, fetch data and render the map (unless the group turned images off) through the shared queue
+  const chartStyle = settings.screenshots ? await groupService.getChartStyle(chatId) : null;
+  
+  try {
+    const result = await checkQueueService.checkToken({
+      contractAddress,
+      chain,
+      fallbackChain: settings.defaultChain || constants.defaultChain,
+      chartStyle,
+      userId: requester.id,
+      onProgress: commandHandler.createProgressReporter(bot, chatId, processingMsg)
+    });
+    const chainToUse = result.chain;
+    
+    if (!result.isValid) {
+      logger.debug(`Contract validation failed for ${contractAddress} on chain ${chainToUse}`);
+      groupService.clearTokenReport(chatId, contractAddress);
+      await reportGroupFailure(bot, chatId, processingMsg, constants.messages.dataNotAvailable, settings);
+      return;
+    }
+    
+    const { mapData, metaData, marketData, image: screenshotBuffer } = result;
+    
+    // Log the check with the group so it shows up in /groupstats
+    await groupService.recordTokenCheck(chat, requester, contractAddress, chainToUse);
+    
+    const { tokenInfo, caption, replyMarkup } = await buildGroupReport(chatId, contractAddress, chainToUse, { mapData, metaData, marketData }, settings);
+    
+    // ID of the report message, so repeated pastes can point to it
+    let reportMessageId = null;
+    
+    if (screenshotBuffer) {
+      logger.debug(`Screenshot captured successfully, size: ${screenshotBuffer.length} bytes`);
+      // Delete the processing message
+      await bot.deleteMessage(chatId, processingMsg.message_id).catch((err) => {
+        logger.error(`Failed to delete processing message: ${err.message}`);
+      });
+      
+      // Send the screenshot with token info as caption
+      await bot.sendPhoto(chatId, screenshotBuffer, {
+        caption,
+        parse_mode: 'Markdown',
+        reply_markup: replyMarkup,
+        reply_to_message_id: replyToMessageId
+      }).then(async sentPhoto => {
+        screenshotService.rememberFileId(contractAddress, chainToUse, sentPhoto);
+        reportMessageId = sentPhoto.message_id;
+        
+        // The full report didn't fit in the caption, follow up with it
+        if (caption !== tokenInfo) {
+          await bot.sendMessage(chatId, tokenInfo, {
+            parse_mode: 'Markdown',
+            disable_web_page_preview: true,
+            reply_to_message_id: sentPhoto.message_id
+          }).catch(err => logger.error(`Error sending full group report: ${err.message}`));
+        }
+      }).catch(err => {
+        logger.error(`Error sending photo: ${err.message}`);
+        // If sending photo fails, try text-only fallback
+        return bot.sendMessage(chatId, tokenInfo, {
+          parse_mode: 'Markdown',
+          disable_web_page_preview: true,
+          reply_markup: replyMarkup,
+          reply_to_message_id: replyToMessageId
+        }).then(sent => {
+          reportMessageId = sent.message_id;
+        }).catch(innerErr => {
+          logger.error(`Error sending text fallback: ${innerErr.message}`);
+        });
+      });
+    } else {
+      logger.debug(`No screenshot captured, sending text-only message`);
+      // If screenshot failed, send text-only message
+      await bot.editMessageText(tokenInfo, {
+        chat_id: chatId,
+        message_id: processingMsg.message_id,
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        reply_markup: replyMarkup
+      }).then(() => {
+        reportMessageId = processingMsg.message_id;
+      }).catch(err => {
+        logger.error(`Error updating message with text: ${err.message}`);
+        // If editing fails, try sending a new message
+        return bot.sendMessage(chatId, tokenInfo, {
+          parse_mode: 'Markdown',
+          disable_web_page_preview: true,
+          reply_markup: replyMarkup,
+          reply_to_message_id: replyToMessageId
+        }).then(sent => {
+          reportMessageId = sent.message_id;
+        }).catch(innerErr => {
+          logger.error(`Error sending fallback message: ${innerErr.message}`);
+        });
+      });
+    }
+
+    if (reportMessageId) {
+      groupService.markTokenReported(chatId, contractAddress, reportMessageId);
+    } else {
+      groupService.clearTokenReport(chatId, contractAddress);
+    }
+    logger.info(`Successfully processed contract ${contractAddress} on chain ${chainToUse} in group ${chat.title || 'Unknown'}`);
+  } catch (dataError) {
+    logger.error(`Error fetching token data for group: ${dataError.message}`);
+    groupService.clearTokenReport(chatId, contractAddress);
+    await reportGroupFailure(bot, chatId, processingMsg, constants.messages.tokenDataError, settings, replyToMessageId);
+  }
+}
+
+/**
+ * Build the text and buttons of a token report for a group
+ * @param {number} chatId - Group chat ID
+ * @param {string} contractAddress - Contract address
+ * @param {string} chain - Chain ID
+ * @param {Object} data - { mapData, metaData, marketData } of the token
+ * @param {Object} settings - GroupSettings document
+ * @returns {Promise<Object>} - { tokenInfo, caption (tokenInfo, or a brief version when it is too long for a photo), replyMarkup }
+ */
+async function buildGroupReport(chatId, contractAddress, chain, data, settings) {
+  const { mapData, metaData, marketData } = data;
+  
+  // Generate the bubble map URL
+  const mapUrl = bubblemapsService.generateMapUrl(contractAddress, chain);
+  logger.debug(`Generated map URL: ${mapUrl}`);
+  
+  // Calculate the token health rating from the holder graph
+  const healthRating = tokenRatingService.calculateTokenHealthRating(mapData, metaData);
+  
+  const [tokenRating, groupRating] = await Promise.all([
+    tokenRatingService.getTokenRating(contractAddress, chain),
+    tokenRatingService.getGroupTokenRating(chatId, contractAddress, chain)
+  ]);
+  
+  // Format the token info, brief unless the group asked for full reports; votes are shown below either way
+  let tokenInfo;
+  if (settings.reportFormat === constants.groupReportFormats.FULL) {
+    tokenInfo = formatters.formatTokenInfo(mapData, metaData, chain, marketData, null, null, healthRating);
+  } else {
+    tokenInfo = formatters.formatBriefTokenInfo(mapData, metaData, chain, marketData, healthRating);
+  }
+  const votes = formatters.formatGroupVotes(groupRating, tokenRating);
+  tokenInfo += votes;
+  
+  // Full reports rarely fit in a photo caption, the image then carries the brief one
+  const caption = tokenInfo.length <= MAX_CAPTION_LENGTH
+    ? tokenInfo
+    : formatters.formatBriefTokenInfo(mapData, metaData, chain, marketData, healthRating) + votes;
+  
+  // Check if we have bot info available
+  const botUsername = botInfo?.username || 'bubblemapstelegrambot';
+  logger.debug(`Using bot username for deep link: ${botUsername}`);
+  
+  // Vote buttons with the group's counts, then the links
+  const replyMarkup = {
+    inline_keyboard: [
+      [
+        { text: `👍 ${groupRating ? groupRating.likesCount : 0}`, callback_data: `like_token:${chain}:${contractAddress}` },
+        { text: `👎 ${groupRating ? groupRating.dislikesCount : 0}`, callback_data: `dislike_token:${chain}:${contractAddress}` }
+      ],
+      [
+        { text: '🔍 Check more details', url: deepLinks.buildStartLink(botUsername, 'check', chain, contractAddress) },
+        { text: '🗺️ View BubbleMap', url: mapUrl }
+      ]
+    ]
+  };
+  
+  return { tokenInfo, caption, replyMarkup };
+}
+
+/**
+ * Handle a like/dislike button under a group report: any member can vote, and the report is updated with the new counts
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Callback query with like_token|dislike_token:<chain>:<address> data
+ */
+async function handleGroupVote(bot, callbackQuery) {
+  const [action, chain, contractAddress] = callbackQuery.data.split(':');
+  const message = callbackQuery.message;
+  const chatId = message.chat.id;
+  
+  if (!validation.isValidChain(chain) || !validation.isValidContractAddress(contractAddress)) {
+    await bot.answerCallbackQuery(callbackQuery.id).catch(() => {});
+    return;
+  }
+  
+  try {
+    const user = await userService.getOrCreateUser(callbackQuery.from);
+    
+    const [mapData, metaData, marketData, settings] = await Promise.all([
+      bubblemapsService.getTokenMapData(contractAddress, chain),
+      bubblemapsService.getTokenMetadata(contractAddress, chain),
+      marketDataService.getTokenMarketData(contractAddress, chain),
+      groupService.getSettings(chatId)
+    ]);
+    
+    const name = mapData?.full_name || '';
+    const symbol = mapData?.symbol || '';
+    if (action === 'like_token') {
+      await tokenRatingService.toggleLike(user, contractAddress, chain, name, symbol, chatId);
+    } else {
+      await tokenRatingService.toggleDislike(user, contractAddress, chain, name, symbol, chatId);
+    }
+    
+    const vote = await tokenRatingService.getUserGroupRatingForToken(user, chatId, contractAddress, chain);
+    const notification = vote === 'like' ? constants.messages.tokenLiked
+      : vote === 'dislike' ? constants.messages.tokenDisliked
+      : constants.messages.ratingRemoved;
+    await bot.answerCallbackQuery(callbackQuery.id, { text: notification }).catch(() => {});
+    
+    // Rebuild the report from cached data so the new counts show in the caption and on the buttons
+    if (!mapData || !metaData) return;
+    
+    const { tokenInfo, caption, replyMarkup } = await buildGroupReport(chatId, contractAddress, chain, { mapData, metaData, marketData }, settings);
+    const options = {
+      chat_id: chatId,
+      message_id: message.message_id,
+      parse_mode: 'Markdown',
+      reply_markup: replyMarkup
+    };
+    
+    const edit = message.photo
+      ? bot.editMessageCaption(caption, options)
+      : bot.editMessageText(tokenInfo, { ...options, disable_web_page_preview: true });
+    
+    await edit.catch(err => {
+      if (!err.message.includes('message is not modified')) {
+        logger.error(`Error updating group report with votes: ${err.message}`);
+      }
+    });
+    
+    logger.info(`User ${user.telegramId} voted ${action} for ${contractAddress} on ${chain} in group ${chatId}`);
+  } catch (error) {
+    logger.error(`Error handling group vote: ${error.message}`);
+    await bot.answerCallbackQuery(callbackQuery.id, { text: constants.messages.error }).catch(() => {});
+  }
+}
+
+/**
+ * Point a repeated paste to the previous report of the token
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} msg - Message repeating the token
+ * @param {number} reportMessageId - ID of the previous report message
+ */
+async function replyWithPreviousReport(bot, msg, reportMessageId) {
+  const link = deepLinks.buildMessageLink(msg.chat, reportMessageId);
+  
+  // Basic groups have no message links, reply to the report itself so Telegram shows it
+  const options = link
+    ? { reply_to_message_id: msg.message_id, reply_markup: { inline_keyboard: [[{ text: '📄 View last report', url: link }]] } }
+    : { reply_to_message_id: reportMessageId };
+  
+  await bot.sendMessage(msg.chat.id, constants.messages.repeatedToken, options).catch(err => {
+    logger.error(`Error pointing to previous report: ${err.message}`);
+  });
+}
+
+/**
+ * Tell a group a check failed, or quietly remove the processing message if the group prefers silence
+ * @param {Object} bot - Telegram bot instance
+ * @param {number} chatId - Group chat ID
+ * @param {Object} processingMsg - Processing message to replace
+ * @param {string} text - Failure message
+ * @param {Object} settings - GroupSettings document
+ * @param {number} replyToMessageId - Message to reply to if the processing message can't be edited (optional)
+ */
+async function reportGroupFailure(bot, chatId, processingMsg, text, settings, replyToMessageId = undefined) {
+  if (settings.failureMode === constants.groupFailureModes.SILENT) {
+    await bot.deleteMessage(chatId, processingMsg.message_id).catch(err => {
+      logger.error(`Failed to delete processing message: ${err.message}`);
+    });
+    return;
+  }
+  
+  await bot.editMessageText(text, {
+    chat_id: chatId,
+    message_id: processingMsg.message_id
+  }).catch(err => {
+    logger.error(`Error updating message with error: ${err.message}`);
+    // If editing fails, try sending a new message
+    bot.sendMessage(chatId, text, {
+      reply_to_message_id: replyToMessageId
+    }).catch(innerErr => {
+      logger.error(`Error sending fallback error message: ${innerErr.message}`);
+    });
+  });
+}
+
+/**
+ * Handle a chain picked from the compact chain picker in a group
+ * @param {Object} bot - Telegram bot instance
+ * @param {Object} callbackQuery - Callback query with check_token:<chain>:<address> data
+ */
+async function handleGroupChainPick(bot, callbackQuery) {
+  await bot.answerCallbackQuery(callbackQuery.id).catch(() => {});
+  
+  const [, chain, contractAddress] = callbackQuery.data.split(':');
+  if (!validation.isValidChain(chain) || !validation.isValidContractAddress(contractAddress)) {
+    return;
+  }
+  
+  // Reuse the picker as the processing message, dropping its buttons so it isn't picked twice
+  const processingMsg = callbackQuery.message;
+  await bot.editMessageText('🔍 Analyzing token...', {
+    chat_id: processingMsg.chat.id,
+    message_id: processingMsg.message_id
+  }).catch(() => {});
+  
+  const replyToMessageId = processingMsg.reply_to_message ? processingMsg.reply_to_message.message_id : undefined;
+  await processGroupContractCheck(bot, processingMsg.chat, contractAddress, chain, processingMsg, replyToMessageId, callbackQuery.from);
+}
+
 /**
  * Main application entry point
  */
@@ -495,6 +945,29 @@ async function main() {
       process.exit(1);
     }
     
+    // Start checking favorite token alerts
+    alertService.startScheduler(bot);
+    
+    // Start refreshing snapshots of favorite tokens
+    snapshotService.startScheduler();
+    
+    // Post due digests (including ones missed while the bot was down)
+    digestService.startScheduler(bot);
+    
+    // Resume broadcasts interrupted by a restart and send scheduled ones when due
+    broadcastService.startScheduler(bot);
+    
+    // Retry webhook deliveries that failed
+    eventWebhookService.startScheduler();
+    
+    // Keep the pooled browser contexts healthy
+    browserPoolService.startHealthChecks();
+    
+    // Serve token reports to internal tools
+    if (config.api.port) {
+      await apiService.start(config.api.port);
+    }
+    
     logger.info('Application started successfully');
   } catch (error) {
     logger.error('Error in main function:', error.message);
@@ -509,6 +982,15 @@ main();
 process.on('SIGINT', async () => {
   logger.info('Received SIGINT. Shutting down gracefully...');
   
+  alertService.stopScheduler();
+  snapshotService.stopScheduler();
+  digestService.stopScheduler();
+  broadcastService.stopScheduler();
+  eventWebhookService.stopScheduler();
+  await webhookService.stop();
+  await apiService.stop();
+  await browserPoolService.close();
+  
   if (bot) {
     bot.stopPolling();
   }
@@ -521,6 +1003,15 @@ process.on('SIGINT', async () => {
 process.on('SIGTERM', async () => {
   logger.info('Received SIGTERM. Shutting down gracefully...');
   
+  alertService.stopScheduler();
+  snapshotService.stopScheduler();
+  digestService.stopScheduler();
+  broadcastService.stopScheduler();
+  eventWebhookService.stopScheduler();
+  await webhookService.stop();
+  await apiService.stop();
+  await browserPoolService.close();
+  
   if (bot) {
     bot.stopPolling();
   }
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const constants = require('../../config/constants');
+
+/**
+ * Alert model for storing per-favorite price and holder-concentration rules
+ */
+const alertSchema = new mongoose.Schema({
+  // User reference
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // Telegram user ID (for sending notifications)
+  telegramId: {
+    type: String,
+    required: true
+  },
+
+  // Token contract address
+  contractAddress: {
+    type: String,
+    required: true
+  },
+
+  // Blockchain network
+  chain: {
+    type: String,
+    required: true
+  },
+
+  // Token name (if available)
+  name: {
+    type: String,
+    default: ''
+  },
+
+  // Token symbol (if available)
+  symbol: {
+    type: String,
+    default: ''
+  },
+
+  // Rule type
+  type: {
+    type: String,
+    enum: Object.values(constants.alertTypes),
+    required: true
+  },
+
+  // Rule threshold (percent for price/holder rules, score for decentralisation rules)
+  threshold: {
+    type: Number,
+    required: true
+  },
+
+  // Whether the rule is being checked
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Whether the user was already notified for the current breach (reset once the condition clears)
+  isTriggered: {
+    type: Boolean,
+    default: false
+  },
+
+  // Value observed on the last check
+  lastValue: {
+    type: Number
+  },
+
+  // Last time the rule was checked
+  lastCheckedAt: {
+    type: Date
+  },
+
+  // Last time a notification was sent
+  lastTriggeredAt: {
+    type: Date
+  },
+
+  // Number of notifications sent
+  triggerCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// One rule per type per token per user
+alertSchema.index({ user: 1, contractAddress: 1, chain: 1, type: 1 }, { unique: true });
+alertSchema.index({ isActive: 1 });
+alertSchema.index({ telegramId: 1 });
+
+// Static method to create or update a rule
+alertSchema.statics.upsertRule = async function(user, token, type, threshold) {
+  return this.findOneAndUpdate(
+    { user: user._id, contractAddress: token.contractAddress, chain: token.chain, type },
+    {
+      $set: {
+        telegramId: user.telegramId,
+        name: token.name || '',
+        symbol: token.symbol || '',
+        threshold,
+        isActive: true,
+        isTriggered: false
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Instance method to record the result of a check
+alertSchema.methods.recordCheck = async function(value, triggered, notified) {
+  this.lastValue = value;
+  this.lastCheckedAt = new Date();
+  this.isTriggered = triggered;
+
+  if (notified) {
+    this.lastTriggeredAt = new Date();
+    this.triggerCount += 1;
+  }
+
+  return this.save();
+};
+
+const Alert = mongoose.model('Alert', alertSchema);
+
+module.exports = Alert;
@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+/**
+ * ApiKey model for clients of the REST API
+ * Only a hash of the key is stored; the key itself is shown once when created
+ */
+const apiKeySchema = new mongoose.Schema({
+  // Who or what the key is for
+  name: {
+    type: String,
+    required: true
+  },
+
+  // SHA-256 hash of the key
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // First characters of the key, to tell keys apart in lists
+  prefix: {
+    type: String,
+    required: true
+  },
+
+  // Requests allowed per rate limit window (null for the default)
+  rateLimit: {
+    type: Number,
+    default: null
+  },
+
+  // Whether the key can be used
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Telegram ID of the admin who created the key
+  createdBy: {
+    type: String
+  },
+
+  // Usage
+  requestCount: {
+    type: Number,
+    default: 0
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+apiKeySchema.index({ prefix: 1 });
+
+// Hash a key the way it is stored
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+// Static method to create a key, returning the document and the plain key
+apiKeySchema.statics.generate = async function(name, createdBy, rateLimit = null) {
+  const key = `bm_${crypto.randomBytes(24).toString('hex')}`;
+  const apiKey = new this({
+    name,
+    keyHash: hashKey(key),
+    prefix: key.substring(0, 11),
+    rateLimit,
+    createdBy: createdBy ? String(createdBy) : undefined
+  });
+  await apiKey.save();
+
+  return { apiKey, key };
+};
+
+// Static method to find the active key matching a plain key
+apiKeySchema.statics.findByKey = async function(key) {
+  if (!key) return null;
+  return this.findOne({ keyHash: hashKey(key), isActive: true });
+};
+
+// Define method to count a request
+apiKeySchema.methods.recordUse = async function() {
+  return this.constructor.updateOne(
+    { _id: this._id },
+    { $inc: { requestCount: 1 }, $set: { lastUsedAt: new Date() } }
+  );
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
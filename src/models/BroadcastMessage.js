@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const constants = require('../../config/constants');
 
 /**
  * BroadcastMessage model for storing admin broadcast messages
@@ -17,19 +18,58 @@ const broadcastMessageSchema = new mongoose.Schema({
     required: true
   },
   
-  // Message content
+  // Message content (the caption when a photo is attached)
   message: {
     type: String,
-    required: true
+    default: ''
+  },
+  
+  // Telegram file ID of an attached photo (optional)
+  photoFileId: {
+    type: String
+  },
+  
+  // URL buttons shown under the message
+  buttons: [{
+    _id: false,
+    text: String,
+    url: String
+  }],
+  
+  // Who the broadcast goes to
+  segment: {
+    audience: {
+      type: String,
+      enum: Object.values(constants.broadcastAudiences),
+      default: constants.broadcastAudiences.USERS
+    },
+    activeDays: Number, // Active in the last N days
+    chain: String, // Preferred chain (users) or chain checked (groups)
+    token: String, // Checked this token
+    language: String // Telegram language code (users only)
+  },
+  
+  // When to start sending (null to send on confirmation)
+  scheduledAt: {
+    type: Date,
+    default: null
   },
   
   // Delivery status
   status: {
     type: String,
-    enum: ['pending', 'in_progress', 'completed', 'failed'],
-    default: 'pending'
+    enum: Object.values(constants.broadcastStatuses),
+    default: constants.broadcastStatuses.DRAFT
   },
   
+  // Every status change, oldest first
+  statusHistory: [{
+    _id: false,
+    status: String,
+    at: Date,
+    by: String // Telegram ID of the admin, or 'system'
+  }],
+  
   // Recipients count
   targetCount: {
     type: Number,
@@ -48,18 +88,28 @@ const broadcastMessageSchema = new mongoose.Schema({
     default: 0
   },
   
-  // Detailed delivery info (optional)
+  // Detailed delivery info, one entry per recipient chat
   deliveryDetails: [{
-    userId: String,
+    userId: String, // Chat ID (user or group)
     status: {
       type: String,
       enum: ['pending', 'delivered', 'failed']
     },
     error: String,
+    // Retries after Telegram rate limits
+    attempts: {
+      type: Number,
+      default: 0
+    },
     timestamp: Date
   }],
   
-  // Completed timestamp
+  // When sending started
+  startedAt: {
+    type: Date
+  },
+  
+  // Completed (or cancelled) timestamp
   completedAt: {
     type: Date
   }
@@ -69,29 +119,67 @@ const broadcastMessageSchema = new mongoose.Schema({
 
 // Define indexes
 broadcastMessageSchema.index({ adminTelegramId: 1 });
-broadcastMessageSchema.index({ status: 1 });
+broadcastMessageSchema.index({ status: 1, scheduledAt: 1 });
 broadcastMessageSchema.index({ createdAt: -1 });
 
-// Define static method to create new broadcast
-broadcastMessageSchema.statics.createBroadcast = async function(admin, message, targetUsers = []) {
+// Status changes allowed from each status
+const statusTransitions = {
+  draft: ['scheduled', 'pending', 'cancelled'],
+  scheduled: ['pending', 'cancelled'],
+  pending: ['in_progress', 'cancelled', 'failed'],
+  in_progress: ['paused', 'completed', 'cancelled', 'failed'],
+  paused: ['in_progress', 'cancelled'],
+  completed: [],
+  cancelled: [],
+  failed: []
+};
+
+// Define static method to create a draft broadcast
+broadcastMessageSchema.statics.createDraft = async function(admin, content, segment = {}, scheduledAt = null) {
   const broadcast = new this({
     admin: admin._id,
     adminTelegramId: admin.telegramId,
-    message,
-    targetCount: targetUsers.length,
-    status: 'pending',
-    deliveryDetails: targetUsers.map(user => ({
-      userId: user.telegramId,
-      status: 'pending'
-    }))
+    message: content.message || '',
+    photoFileId: content.photoFileId,
+    buttons: content.buttons || [],
+    segment,
+    scheduledAt,
+    status: constants.broadcastStatuses.DRAFT,
+    statusHistory: [{ status: constants.broadcastStatuses.DRAFT, at: new Date(), by: admin.telegramId }]
   });
   
   return broadcast.save();
 };
 
+// Define method to change status, rejecting transitions that make no sense (e.g. resuming a cancelled broadcast)
+broadcastMessageSchema.methods.transition = async function(status, by = 'system') {
+  if (!statusTransitions[this.status].includes(status)) {
+    throw new Error(`Broadcast ${this._id} can't go from ${this.status} to ${status}`);
+  }
+  
+  this.status = status;
+  this.statusHistory.push({ status, at: new Date(), by: String(by) });
+  if (['completed', 'cancelled', 'failed'].includes(status)) {
+    this.completedAt = new Date();
+  }
+  
+  return this.save();
+};
+
+// Define method to set the recipients (chat IDs) before sending
+broadcastMessageSchema.methods.setRecipients = function(chatIds) {
+  this.targetCount = chatIds.length;
+  this.deliveredCount = 0;
+  this.failedCount = 0;
+  this.deliveryDetails = chatIds.map(chatId => ({
+    userId: String(chatId),
+    status: 'pending'
+  }));
+};
+
 // Define method to update delivery status
 broadcastMessageSchema.methods.updateDeliveryStatus = async function(userId, success, error = null) {
-  // Find the user in delivery details
+  // Find the recipient in delivery details
   const userDetail = this.deliveryDetails.find(detail => detail.userId === userId);
   
   if (userDetail) {
@@ -106,14 +194,6 @@ broadcastMessageSchema.methods.updateDeliveryStatus = async function(userId, suc
       this.failedCount += 1;
     }
     
-    // Check if broadcast is complete
-    if (this.deliveredCount + this.failedCount >= this.targetCount) {
-      this.status = 'completed';
-      this.completedAt = new Date();
-    } else {
-      this.status = 'in_progress';
-    }
-    
     return this.save();
   }
   
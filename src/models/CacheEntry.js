@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * CacheEntry model for the Mongo-backed cache backend
+ */
+const cacheEntrySchema = new mongoose.Schema({
+  // Namespaced cache key
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Cache namespace (e.g. bubblemaps-metadata)
+  namespace: {
+    type: String,
+    required: true
+  },
+
+  // Cached value
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // Whether the entry records a "not available" answer
+  negative: {
+    type: Boolean,
+    default: false
+  },
+
+  // When the entry stops being valid
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  // Cached API payloads may contain keys Mongo would otherwise strip
+  minimize: false
+});
+
+// Define indexes
+cacheEntrySchema.index({ namespace: 1 });
+// Let Mongo drop expired entries
+cacheEntrySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const CacheEntry = mongoose.model('CacheEntry', cacheEntrySchema);
+
+module.exports = CacheEntry;
@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+/**
+ * ChainResolution model remembering which chains an EVM address was found on
+ */
+const chainResolutionSchema = new mongoose.Schema({
+  // Contract address (lowercased)
+  address: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Chains where Bubblemaps has data for the address, in constants.chains order
+  chains: [{
+    type: String
+  }],
+
+  // When the chains were last probed
+  resolvedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to find the resolution of an address
+chainResolutionSchema.statics.findByAddress = async function(address) {
+  return this.findOne({ address: address.toLowerCase() });
+};
+
+const ChainResolution = mongoose.model('ChainResolution', chainResolutionSchema);
+
+module.exports = ChainResolution;
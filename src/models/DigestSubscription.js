@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const constants = require('../../config/constants');
+
+/**
+ * DigestSubscription model for the daily/weekly digests posted to users and groups
+ * The next run is stored so the schedule survives restarts
+ */
+const digestSubscriptionSchema = new mongoose.Schema({
+  // Chat the digest is posted to (the user's Telegram ID for private digests)
+  chatId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Whether the digest goes to a user or a group
+  targetType: {
+    type: String,
+    enum: ['user', 'group'],
+    required: true
+  },
+
+  // Subscribed user, whose favorites are included (private digests only)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // Daily or weekly
+  frequency: {
+    type: String,
+    enum: Object.values(constants.digestFrequencies),
+    default: constants.digestFrequencies.DAILY
+  },
+
+  // Hour of the day (UTC) the digest is posted at
+  hourUTC: {
+    type: Number,
+    min: 0,
+    max: 23,
+    default: constants.defaultDigestHour
+  },
+
+  // Whether the subscription is on
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // When the next digest is due
+  nextRunAt: {
+    type: Date,
+    required: true
+  },
+
+  // When the last digest was delivered
+  lastSentAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The scheduler looks up active subscriptions that are due
+digestSubscriptionSchema.index({ isActive: 1, nextRunAt: 1 });
+
+const DigestSubscription = mongoose.model('DigestSubscription', digestSubscriptionSchema);
+
+module.exports = DigestSubscription;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const constants = require('../../config/constants');
 
 /**
  * Group model for storing Telegram group information
@@ -55,10 +56,29 @@ const groupSchema = new mongoose.Schema({
   // Bot status in group
   botStatus: {
     type: String,
-    enum: ['member', 'admin', 'unknown'],
+    enum: ['member', 'admin', 'restricted', 'left', 'kicked', 'unknown'],
     default: 'unknown'
   },
   
+  // Bot joins, removals and permission changes, oldest first
+  membershipHistory: [{
+    _id: false,
+    event: {
+      type: String,
+      enum: ['joined', 'left', 'removed', 'promoted', 'demoted', 'restricted', 'unrestricted']
+    },
+    botStatus: String,
+    by: String, // Telegram ID of the user who made the change
+    at: { type: Date, default: Date.now }
+  }],
+  
+  // How token reports are illustrated (native chart or BubbleMaps screenshot)
+  chartStyle: {
+    type: String,
+    enum: Object.values(constants.chartStyles),
+    default: constants.defaultChartStyle
+  },
+  
   // Token checks counter per day
   dailyChecks: [{
     date: { type: Date, required: true },
@@ -101,6 +121,13 @@ groupSchema.statics.findOrCreate = async function(groupData) {
 };
 
 // Define instance methods
+groupSchema.methods.recordMembership = async function(event, botStatus, by) {
+  this.botStatus = botStatus;
+  this.isActive = !['left', 'kicked'].includes(botStatus);
+  this.membershipHistory.push({ event, botStatus, by: by ? String(by) : undefined, at: new Date() });
+  return this.save();
+};
+
 groupSchema.methods.incrementTokenChecks = async function() {
   this.tokensChecked += 1;
   this.lastActivity = Date.now();
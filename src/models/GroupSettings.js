@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const constants = require('../../config/constants');
+
+/**
+ * GroupSettings model for how the bot behaves in a group, managed by the group's admins
+ */
+const groupSettingsSchema = new mongoose.Schema({
+  // Telegram chat ID
+  chatId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+
+  // Whether contract addresses posted in the group are checked automatically
+  autoDetect: {
+    type: Boolean,
+    default: true
+  },
+
+  // Brief or full token report
+  reportFormat: {
+    type: String,
+    enum: Object.values(constants.groupReportFormats),
+    default: constants.groupReportFormats.BRIEF
+  },
+
+  // Whether reports include the map image
+  screenshots: {
+    type: Boolean,
+    default: true
+  },
+
+  // Chain used when an address is on several chains (or can't be detected); null to ask
+  defaultChain: {
+    type: String,
+    default: null
+  },
+
+  // Chains the group wants reports for; empty means all chains
+  allowedChains: [{
+    type: String
+  }],
+
+  // Reply with an error message on failures, or stay silent
+  failureMode: {
+    type: String,
+    enum: Object.values(constants.groupFailureModes),
+    default: constants.groupFailureModes.REPLY
+  },
+
+  // Minutes before the same token is reported again in the group (0 to disable)
+  tokenCooldownMinutes: {
+    type: Number,
+    default: constants.defaultGroupTokenCooldown,
+    min: 0
+  },
+
+  // What to do when a token is pasted again during the cooldown: point to the previous report or stay silent
+  repeatMode: {
+    type: String,
+    enum: Object.values(constants.groupRepeatModes),
+    default: constants.groupRepeatModes.LINK
+  },
+
+  // Telegram ID of the admin who last changed the settings
+  updatedBy: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Static method to get the settings of a group, with defaults if none were saved
+groupSettingsSchema.statics.getForChat = async function(chatId) {
+  const settings = await this.findOne({ chatId: String(chatId) });
+  return settings || new this({ chatId: String(chatId) });
+};
+
+// Whether the group wants reports for a chain
+groupSettingsSchema.methods.isChainAllowed = function(chain) {
+  return this.allowedChains.length === 0 || this.allowedChains.includes(chain);
+};
+
+const GroupSettings = mongoose.model('GroupSettings', groupSettingsSchema);
+
+module.exports = GroupSettings;
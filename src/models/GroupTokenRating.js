@@ -0,0 +1,63 @@
+const mongoose = require('mongoose');
+
+/**
+ * GroupTokenRating model for the likes/dislikes a token got from the members of one group
+ */
+const groupTokenRatingSchema = new mongoose.Schema({
+  // Telegram chat ID of the group
+  chatId: {
+    type: String,
+    required: true
+  },
+
+  // Token contract address
+  contractAddress: {
+    type: String,
+    required: true
+  },
+
+  // Blockchain network
+  chain: {
+    type: String,
+    required: true
+  },
+
+  // Number of likes
+  likesCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Number of dislikes
+  dislikesCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Array of user IDs who liked the token in the group
+  likedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Array of user IDs who disliked the token in the group
+  dislikedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
+
+  // Last updated timestamp
+  lastUpdated: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// A token has one rating per group
+groupTokenRatingSchema.index({ chatId: 1, contractAddress: 1, chain: 1 }, { unique: true });
+
+const GroupTokenRating = mongoose.model('GroupTokenRating', groupTokenRatingSchema);
+
+module.exports = GroupTokenRating;
@@ -25,6 +25,12 @@ const interactionSchema = new mongoose.Schema({
     required: true
   },
   
+  // Group chat ID for interactions that happened in a group (null in private chats)
+  chatId: {
+    type: String,
+    default: null
+  },
+  
   // Additional data specific to the interaction
   data: {
     type: mongoose.Schema.Types.Mixed
@@ -44,12 +50,14 @@ interactionSchema.index({ telegramId: 1 });
 interactionSchema.index({ type: 1 });
 interactionSchema.index({ timestamp: -1 });
 interactionSchema.index({ user: 1, type: 1 });
+interactionSchema.index({ chatId: 1, type: 1, createdAt: -1 });
 
 // Define static method to log interactions
-interactionSchema.statics.log = async function(user, type, data = {}) {
+interactionSchema.statics.log = async function(user, type, data = {}, chatId = null) {
   const interaction = new this({
     user: user._id,
     telegramId: user.telegramId,
+    chatId: chatId === null ? null : String(chatId),
     type,
     data
   });
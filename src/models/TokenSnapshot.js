@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+/**
+ * TokenSnapshot model for storing compact historical summaries of token distribution
+ */
+const tokenSnapshotSchema = new mongoose.Schema({
+  // Token contract address (lowercased for EVM chains)
+  contractAddress: {
+    type: String,
+    required: true
+  },
+
+  // Blockchain network
+  chain: {
+    type: String,
+    required: true
+  },
+
+  // Token name (if available)
+  name: {
+    type: String,
+    default: ''
+  },
+
+  // Token symbol (if available)
+  symbol: {
+    type: String,
+    default: ''
+  },
+
+  // What produced the snapshot
+  source: {
+    type: String,
+    enum: ['check', 'refresh'],
+    default: 'check'
+  },
+
+  // Bubblemaps decentralisation score
+  decentralisationScore: {
+    type: Number
+  },
+
+  // Number of holders in the map
+  holderCount: {
+    type: Number,
+    default: 0
+  },
+
+  // Largest holders and their share of supply
+  topHolders: [{
+    _id: false,
+    address: String,
+    name: String,
+    percent: Number
+  }],
+
+  // Share of supply held by the largest holder
+  topHolderPercent: {
+    type: Number,
+    default: 0
+  },
+
+  // Share of supply held by the 10 largest holders
+  top10Percent: {
+    type: Number,
+    default: 0
+  },
+
+  // Gini coefficient of the holder distribution
+  giniCoefficient: {
+    type: Number,
+    default: 0
+  },
+
+  // Share of supply in CEX wallets
+  cexPercent: {
+    type: Number,
+    default: 0
+  },
+
+  // Share of supply in contracts
+  contractPercent: {
+    type: Number,
+    default: 0
+  },
+
+  // Market data at snapshot time (if available)
+  marketData: {
+    price: Number,
+    priceChange24h: Number,
+    marketCap: Number,
+    volume24h: Number
+  },
+
+  // When Bubblemaps last computed the map
+  dataUpdatedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Define indexes
+tokenSnapshotSchema.index({ contractAddress: 1, chain: 1, createdAt: -1 });
+// Keep snapshots for 180 days
+tokenSnapshotSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+// Static method to get the most recent snapshots of a token
+tokenSnapshotSchema.statics.getHistory = async function(contractAddress, chain, limit = 10) {
+  return this.find({ contractAddress, chain })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+const TokenSnapshot = mongoose.model('TokenSnapshot', tokenSnapshotSchema);
+
+module.exports = TokenSnapshot;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const constants = require('../../config/constants');
 
 /**
  * User model for storing user information and preferences
@@ -26,6 +27,11 @@ const userSchema = new mongoose.Schema({
     type: String
   },
   
+  // Language of the user's Telegram app (IETF code, e.g. 'en')
+  languageCode: {
+    type: String
+  },
+  
   // Whether the user is admin
   isAdmin: {
     type: Boolean,
@@ -38,13 +44,26 @@ const userSchema = new mongoose.Schema({
     default: 'eth'
   },
   
+  // How token reports are illustrated (native chart or BubbleMaps screenshot)
+  chartStyle: {
+    type: String,
+    enum: Object.values(constants.chartStyles),
+    default: constants.defaultChartStyle
+  },
+  
   // User's current state/context
   state: {
     type: String,
-    enum: ['idle', 'awaiting_contract', 'awaiting_chain', 'awaiting_broadcast_message'],
+    enum: ['idle', 'awaiting_contract', 'awaiting_chain', 'awaiting_broadcast_message', 'awaiting_wallet'],
     default: 'idle'
   },
   
+  // What the current state is about (e.g. the token a wallet is looked up in)
+  stateData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  
   // User's most recent activity timestamp
   lastActivity: {
     type: Date,
@@ -103,7 +122,9 @@ userSchema.statics.findOrCreate = async function(userData) {
     user.username = userData.username;
     user.firstName = userData.firstName;
     user.lastName = userData.lastName;
+    user.languageCode = userData.languageCode || user.languageCode;
     user.lastActivity = Date.now();
+    user.isActive = true; // Writing to the bot again undoes a block
     await user.save();
   }
   
@@ -121,8 +142,14 @@ userSchema.methods.setPreferredChain = async function(chain) {
   return this.save();
 };
 
-userSchema.methods.setState = async function(state) {
+userSchema.methods.setChartStyle = async function(chartStyle) {
+  this.chartStyle = chartStyle;
+  return this.save();
+};
+
+userSchema.methods.setState = async function(state, data = null) {
   this.state = state;
+  this.stateData = data;
   return this.save();
 };
 
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const constants = require('../../config/constants');
+
+/**
+ * WebhookDelivery model: one event sent to one subscription, with its attempts
+ */
+const webhookDeliverySchema = new mongoose.Schema({
+  // Subscription the event goes to
+  subscription: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'WebhookSubscription',
+    required: true
+  },
+
+  // Event name
+  event: {
+    type: String,
+    enum: Object.values(constants.webhookEvents),
+    required: true
+  },
+
+  // Event data sent as the payload's `data`
+  data: {
+    type: mongoose.Schema.Types.Mixed
+  },
+
+  // pending until delivered, or failed once the retries run out
+  status: {
+    type: String,
+    enum: ['pending', 'delivered', 'failed'],
+    default: 'pending'
+  },
+
+  // Attempts made so far
+  attempts: {
+    type: Number,
+    default: 0
+  },
+
+  // When the next attempt is due (pending only)
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  // Outcome of the last attempt
+  lastStatusCode: {
+    type: Number,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+
+  // When the endpoint accepted the event
+  deliveredAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// The retry worker looks up pending deliveries that are due
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ subscription: 1, createdAt: -1 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
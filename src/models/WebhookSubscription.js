@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const constants = require('../../config/constants');
+
+/**
+ * WebhookSubscription model for URLs that receive bot events
+ */
+const webhookSubscriptionSchema = new mongoose.Schema({
+  // Endpoint events are POSTed to
+  url: {
+    type: String,
+    required: true
+  },
+
+  // Events sent to the endpoint
+  events: [{
+    type: String,
+    enum: Object.values(constants.webhookEvents)
+  }],
+
+  // Shared secret used to sign every delivery (HMAC-SHA256)
+  secret: {
+    type: String,
+    required: true
+  },
+
+  // Whether events are sent
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  // Telegram ID of the admin who registered the URL
+  createdBy: {
+    type: String
+  },
+
+  // Last delivery outcome
+  lastDeliveryAt: {
+    type: Date,
+    default: null
+  },
+  lastDeliveryStatus: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Deliveries look up the active subscriptions of an event
+webhookSubscriptionSchema.index({ isActive: 1, events: 1 });
+
+// Static method to register a URL with a new secret
+webhookSubscriptionSchema.statics.register = async function(url, events, createdBy) {
+  const subscription = new this({
+    url,
+    events,
+    secret: `whsec_${crypto.randomBytes(24).toString('hex')}`,
+    createdBy: createdBy ? String(createdBy) : undefined
+  });
+
+  return subscription.save();
+};
+
+const WebhookSubscription = mongoose.model('WebhookSubscription', webhookSubscriptionSchema);
+
+module.exports = WebhookSubscription;
@@ -1,59 +1,15 @@
 const BroadcastMessage = require('../models/BroadcastMessage');
 const User = require('../models/User');
+const ApiKey = require('../models/ApiKey');
 const logger = require('../utils/logger');
 const userService = require('./userService');
 const groupService = require('./groupService');
+const cacheService = require('./cacheService');
 
 /**
  * Service for admin functionality
  */
 class AdminService {
-  /**
-   * Create a broadcast message and send it to all users
-   * @param {Object} admin - Admin user
-   * @param {string} message - Message to broadcast
-   * @returns {Promise<Object>} - Broadcast document
-   */
-  async broadcastMessage(admin, message) {
-    try {
-      // Get all active users
-      const users = await userService.getActiveUsers(72); // Consider users active in last 3 days
-      
-      logger.info(`Broadcasting message to ${users.length} users from admin ${admin.telegramId}`);
-      
-      // Create broadcast record
-      const broadcast = await BroadcastMessage.createBroadcast(admin, message, users);
-      
-      return broadcast;
-    } catch (error) {
-      logger.error(`Error creating broadcast:`, error.message);
-      throw error;
-    }
-  }
-  
-  /**
-   * Update broadcast delivery status
-   * @param {string} broadcastId - Broadcast document ID
-   * @param {string} userId - User ID
-   * @param {boolean} success - Whether delivery was successful
-   * @param {string} error - Error message if delivery failed
-   * @returns {Promise<Object>} - Updated broadcast
-   */
-  async updateBroadcastStatus(broadcastId, userId, success, error = null) {
-    try {
-      const broadcast = await BroadcastMessage.findById(broadcastId);
-      if (!broadcast) {
-        throw new Error(`Broadcast not found: ${broadcastId}`);
-      }
-      
-      return await broadcast.updateDeliveryStatus(userId, success, error);
-    } catch (error) {
-      logger.error(`Error updating broadcast status:`, error.message);
-      // Don't throw, just log the error
-      return null;
-    }
-  }
-  
   /**
    * Get system statistics
    * @returns {Promise<Object>} - System statistics
@@ -94,7 +50,8 @@ class AdminService {
             failedCount: b.failedCount
           }))
         },
-        dbStats
+        dbStats,
+        cacheStats: cacheService.getMetrics()
       };
     } catch (error) {
       logger.error('Error getting system statistics:', error.message);
@@ -115,7 +72,8 @@ class AdminService {
         dbStats: {
           users: 0,
           broadcasts: 0
-        }
+        },
+        cacheStats: cacheService.getMetrics()
       };
     }
   }
@@ -208,6 +166,41 @@ class AdminService {
   async getGroupsList(options = {}) {
     return await groupService.getGroupsList(options);
   }
+  
+  /**
+   * Create a REST API key
+   * @param {Object} admin - Admin user
+   * @param {string} name - Who or what the key is for
+   * @param {number} rateLimit - Requests allowed per window (null for the default)
+   * @returns {Promise<Object>} - { apiKey, key }; the plain key can't be retrieved later
+   */
+  async createApiKey(admin, name, rateLimit = null) {
+    const result = await ApiKey.generate(name, admin.telegramId, rateLimit);
+    logger.info(`Admin ${admin.telegramId} created API key ${result.apiKey.prefix} (${name})`);
+    return result;
+  }
+  
+  /**
+   * List REST API keys, newest first
+   * @returns {Promise<Array>} - API keys (without hashes)
+   */
+  async listApiKeys() {
+    return ApiKey.find().select('-keyHash').sort({ createdAt: -1 }).lean();
+  }
+  
+  /**
+   * Revoke a REST API key
+   * @param {Object} admin - Admin user
+   * @param {string} prefix - Key prefix shown in the list
+   * @returns {Promise<Object|null>} - Revoked key, null if no active key has that prefix
+   */
+  async revokeApiKey(admin, prefix) {
+    const apiKey = await ApiKey.findOneAndUpdate({ prefix, isActive: true }, { $set: { isActive: false } }, { new: true });
+    if (apiKey) {
+      logger.info(`Admin ${admin.telegramId} revoked API key ${prefix} (${apiKey.name})`);
+    }
+    return apiKey;
+  }
 }
 
 module.exports = new AdminService(); 
\ No newline at end of file
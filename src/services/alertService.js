@@ -0,0 +1,320 @@
+const Alert = require('../models/Alert');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const formatters = require('../utils/formatters');
+const constants = require('../../config/constants');
+const bubblemapsService = require('./bubblemapsService');
+const marketDataService = require('./marketDataService');
+const eventWebhookService = require('./eventWebhookService');
+
+/**
+ * Service for favorite token alerts and the scheduler that checks them
+ */
+class AlertService {
+  constructor() {
+    this.bot = null;
+    this.timer = null;
+    this.isChecking = false;
+    this.checkInterval = config.alerts.checkIntervalMinutes * 60 * 1000;
+    this.cooldown = config.alerts.cooldownMinutes * 60 * 1000;
+  }
+
+  /**
+   * Get a user's alert rules
+   * @param {Object} user - User document
+   * @param {Object} token - Optional { contractAddress, chain } to filter by
+   * @returns {Promise<Array>} - Alert documents
+   */
+  async getUserAlerts(user, token = null) {
+    try {
+      const query = { user: user._id };
+      if (token) {
+        query.contractAddress = token.contractAddress;
+        query.chain = token.chain;
+      }
+
+      return await Alert.find(query).sort({ createdAt: 1 });
+    } catch (error) {
+      logger.error(`Error getting alerts for user ${user.telegramId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Create or update an alert rule for a favorite token
+   * @param {Object} user - User document
+   * @param {Object} favorite - Favorite token entry from user.favorites
+   * @param {string} type - Alert type (constants.alertTypes)
+   * @param {number} threshold - Rule threshold
+   * @returns {Promise<Object>} - Alert document
+   */
+  async setAlert(user, favorite, type, threshold) {
+    if (!Object.values(constants.alertTypes).includes(type)) {
+      throw new Error(`Unknown alert type: ${type}`);
+    }
+
+    if (!Number.isFinite(threshold) || threshold <= 0 || threshold > 100) {
+      throw new Error(`Invalid alert threshold: ${threshold}`);
+    }
+
+    try {
+      const alert = await Alert.upsertRule(user, favorite, type, threshold);
+      logger.info(`User ${user.telegramId} set ${type} alert (${threshold}) for ${favorite.contractAddress} on ${favorite.chain}`);
+      return alert;
+    } catch (error) {
+      logger.error(`Error setting alert for user ${user.telegramId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove an alert rule
+   * @param {Object} user - User document
+   * @param {string} alertId - Alert document ID
+   * @returns {Promise<Object|null>} - Removed alert or null if not found
+   */
+  async removeAlert(user, alertId) {
+    try {
+      return await Alert.findOneAndDelete({ _id: alertId, user: user._id });
+    } catch (error) {
+      logger.error(`Error removing alert ${alertId} for user ${user.telegramId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Pause or resume an alert rule
+   * @param {Object} user - User document
+   * @param {string} alertId - Alert document ID
+   * @returns {Promise<Object|null>} - Updated alert or null if not found
+   */
+  async toggleAlert(user, alertId) {
+    try {
+      const alert = await Alert.findOne({ _id: alertId, user: user._id });
+      if (!alert) return null;
+
+      alert.isActive = !alert.isActive;
+      alert.isTriggered = false;
+      return await alert.save();
+    } catch (error) {
+      logger.error(`Error toggling alert ${alertId} for user ${user.telegramId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Evaluate an alert rule against fresh token data
+   * @param {Object} alert - Alert document
+   * @param {Object} tokenData - { mapData, metaData, marketData }
+   * @returns {Object|null} - { value, conditionMet } or null if the data needed is unavailable
+   */
+  evaluateRule(alert, tokenData) {
+    const { mapData, metaData, marketData } = tokenData;
+
+    switch (alert.type) {
+      case constants.alertTypes.PRICE_CHANGE: {
+        if (!marketData || typeof marketData.price_change_24h !== 'number') return null;
+        const value = marketData.price_change_24h;
+        return { value, conditionMet: Math.abs(value) >= alert.threshold };
+      }
+
+      case constants.alertTypes.TOP_HOLDER: {
+        if (!mapData || !mapData.nodes || mapData.nodes.length === 0) return null;
+        const value = Math.max(...mapData.nodes.map(node => node.percentage || 0));
+        return { value, conditionMet: value > alert.threshold };
+      }
+
+      case constants.alertTypes.DECENTRALISATION: {
+        if (!metaData || typeof metaData.decentralisation_score !== 'number') return null;
+        const value = metaData.decentralisation_score;
+        return { value, conditionMet: value < alert.threshold };
+      }
+
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Check all active alerts and notify users whose rules fired
+   * @returns {Promise<Object>} - { checked, fired }
+   */
+  async checkAlerts() {
+    if (this.isChecking) {
+      logger.warn('Alert check already in progress, skipping this run');
+      return { checked: 0, fired: 0 };
+    }
+
+    this.isChecking = true;
+    let checked = 0;
+    let fired = 0;
+
+    try {
+      const alerts = await Alert.find({ isActive: true });
+
+      // Group alerts by token so each token is fetched once per run
+      const alertsByToken = new Map();
+      for (const alert of alerts) {
+        const key = `${alert.chain}:${alert.contractAddress}`;
+        if (!alertsByToken.has(key)) alertsByToken.set(key, []);
+        alertsByToken.get(key).push(alert);
+      }
+
+      logger.info(`Checking ${alerts.length} alerts across ${alertsByToken.size} tokens`);
+
+      for (const tokenAlerts of alertsByToken.values()) {
+        const { contractAddress, chain } = tokenAlerts[0];
+        const tokenData = await this._fetchTokenData(contractAddress, chain, tokenAlerts);
+
+        for (const alert of tokenAlerts) {
+          const result = this.evaluateRule(alert, tokenData);
+          if (!result) continue;
+
+          checked++;
+          if (await this._processResult(alert, result)) {
+            fired++;
+          }
+        }
+      }
+
+      logger.info(`Alert check complete: ${checked} checked, ${fired} fired`);
+    } catch (error) {
+      logger.error(`Error checking alerts: ${error.message}`);
+    } finally {
+      this.isChecking = false;
+    }
+
+    return { checked, fired };
+  }
+
+  /**
+   * Start the periodic alert checker
+   * @param {Object} bot - Telegram bot instance
+   */
+  startScheduler(bot) {
+    this.bot = bot;
+    this.stopScheduler();
+
+    this.timer = setInterval(() => {
+      this.checkAlerts();
+    }, this.checkInterval);
+
+    logger.info(`Alert scheduler started (every ${config.alerts.checkIntervalMinutes} minutes)`);
+  }
+
+  /**
+   * Stop the periodic alert checker
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Fetch only the data the given alerts need
+   * @private
+   * @param {string} contractAddress - Contract address
+   * @param {string} chain - Chain ID
+   * @param {Array} alerts - Alerts for this token
+   * @returns {Promise<Object>} - { mapData, metaData, marketData }
+   */
+  async _fetchTokenData(contractAddress, chain, alerts) {
+    const types = new Set(alerts.map(alert => alert.type));
+
+    const [mapData, metaData, marketData] = await Promise.all([
+      types.has(constants.alertTypes.TOP_HOLDER) ? bubblemapsService.getTokenMapData(contractAddress, chain) : null,
+      types.has(constants.alertTypes.DECENTRALISATION) ? bubblemapsService.getTokenMetadata(contractAddress, chain) : null,
+      types.has(constants.alertTypes.PRICE_CHANGE) ? marketDataService.getTokenMarketData(contractAddress, chain) : null
+    ]);
+
+    return { mapData, metaData, marketData };
+  }
+
+  /**
+   * Apply deduplication and cooldown to an evaluated rule and notify if needed
+   * @private
+   * @param {Object} alert - Alert document
+   * @param {Object} result - { value, conditionMet }
+   * @returns {Promise<boolean>} - True if a notification was sent
+   */
+  async _processResult(alert, result) {
+    const { value, conditionMet } = result;
+
+    // Condition cleared: re-arm the rule
+    if (!conditionMet) {
+      await alert.recordCheck(value, false, false);
+      return false;
+    }
+
+    // Already notified for this breach
+    if (alert.isTriggered) {
+      await alert.recordCheck(value, true, false);
+      return false;
+    }
+
+    // Breach is new but the rule fired recently (value is flapping around the threshold)
+    const inCooldown = alert.lastTriggeredAt && Date.now() - alert.lastTriggeredAt.getTime() < this.cooldown;
+    if (inCooldown) {
+      await alert.recordCheck(value, false, false);
+      return false;
+    }
+
+    const notified = await this._notify(alert, value);
+    await alert.recordCheck(value, notified, notified);
+    return notified;
+  }
+
+  /**
+   * Send an alert notification to the user
+   * @private
+   * @param {Object} alert - Alert document
+   * @param {number} value - Observed value
+   * @returns {Promise<boolean>} - True if the message was delivered
+   */
+  async _notify(alert, value) {
+    if (!this.bot) {
+      logger.warn('Alert scheduler has no bot instance, cannot send notifications');
+      return false;
+    }
+
+    try {
+      await this.bot.sendMessage(alert.telegramId, formatters.formatAlertNotification(alert, value), {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true,
+        reply_markup: {
+          inline_keyboard: [
+            [{ text: '🔍 Check token', callback_data: `check_token:${alert.chain}:${alert.contractAddress}` }],
+            [{ text: '🔔 Manage alerts', callback_data: 'alerts' }]
+          ]
+        }
+      });
+
+      logger.info(`Alert ${alert._id} fired for user ${alert.telegramId} (${alert.type}: ${value})`);
+      eventWebhookService.emit(constants.webhookEvents.ALERT_FIRED, {
+        alertId: String(alert._id),
+        contractAddress: alert.contractAddress,
+        chain: alert.chain,
+        name: alert.name || null,
+        symbol: alert.symbol || null,
+        type: alert.type,
+        threshold: alert.threshold,
+        value,
+        user: { telegramId: alert.telegramId }
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Error sending alert ${alert._id} to user ${alert.telegramId}: ${error.message}`);
+
+      // The user blocked the bot, stop checking their rules
+      if (error.response && error.response.statusCode === 403) {
+        await Alert.updateMany({ telegramId: alert.telegramId }, { $set: { isActive: false } }).catch(() => {});
+      }
+
+      return false;
+    }
+  }
+}
+
+module.exports = new AlertService();
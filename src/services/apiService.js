@@ -0,0 +1,266 @@
+const http = require('http');
+const ApiKey = require('../models/ApiKey');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const validation = require('../utils/validation');
+const constants = require('../../config/constants');
+const checkQueueService = require('./checkQueueService');
+const tokenRatingService = require('./tokenRatingService');
+const statisticsService = require('./statisticsService');
+const rateLimitService = require('./rateLimitService');
+
+/**
+ * Authenticated REST API serving the same token analysis as the bot
+ */
+class ApiService {
+  constructor() {
+    this.server = null;
+    this.routes = [
+      { pattern: /^\/tokens\/([^/]+)\/([^/]+)$/, handler: (params, query) => this._getToken(params, query) },
+      { pattern: /^\/tokens\/([^/]+)\/([^/]+)\/image$/, handler: (params, query) => this._getTokenImage(params, query) },
+      { pattern: /^\/stats\/trending$/, handler: (params, query) => this._getTrending(query) },
+      { pattern: /^\/stats\/top-rated$/, handler: (params, query) => this._getTopRated(query) }
+    ];
+  }
+
+  /**
+   * Start the API server
+   * @param {number} port - Port to listen on
+   */
+  async start(port = config.api.port) {
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch(error => {
+        logger.error(`API error on ${req.method} ${req.url}: ${error.message}`);
+        this._send(res, 500, { error: 'Internal error' });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, resolve);
+    });
+
+    logger.info(`REST API listening on port ${port}`);
+  }
+
+  /**
+   * Stop the API server
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => {
+      server.close(resolve);
+      server.closeIdleConnections();
+    });
+
+    logger.info('REST API stopped');
+  }
+
+  /**
+   * Build the combined report of a token
+   * @param {string} chain - Chain ID
+   * @param {string} contractAddress - Contract address
+   * @param {string} requesterId - ID the check is queued under
+   * @returns {Promise<Object|null>} - Report, null if Bubblemaps has no map for the token
+   */
+  async getTokenReport(chain, contractAddress, requesterId) {
+    const result = await checkQueueService.checkToken({
+      contractAddress,
+      chain,
+      chartStyle: null,
+      userId: requesterId
+    });
+    if (!result.isValid) {
+      return null;
+    }
+
+    const { mapData, metaData, marketData } = result;
+    const rating = await tokenRatingService.getTokenRating(mapData.token_address || contractAddress, chain);
+    const identifiedSupply = metaData.identified_supply || {};
+
+    return {
+      chain,
+      contractAddress: mapData.token_address || contractAddress,
+      name: mapData.full_name || null,
+      symbol: mapData.symbol || null,
+      metadata: {
+        decentralisationScore: metaData.decentralisation_score ?? null,
+        percentInCexs: identifiedSupply.percent_in_cexs ?? null,
+        percentInContracts: identifiedSupply.percent_in_contracts ?? null,
+        updatedAt: metaData.dt_update || mapData.dt_update || null
+      },
+      map: {
+        holders: (mapData.nodes || []).length,
+        topHolders: [...(mapData.nodes || [])]
+          .sort((a, b) => b.percentage - a.percentage)
+          .slice(0, 10)
+          .map(node => ({ address: node.address, name: node.name || null, percentage: node.percentage }))
+      },
+      market: marketData || null,
+      health: tokenRatingService.calculateTokenHealthRating(mapData, metaData),
+      community: {
+        likes: rating ? rating.likesCount : 0,
+        dislikes: rating ? rating.dislikesCount : 0
+      }
+    };
+  }
+
+  /**
+   * Authenticate, rate limit and route a request
+   * @private
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async _handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = this.routes.find(r => r.pattern.test(url.pathname));
+
+    if (req.method !== 'GET' || !route) {
+      this._send(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const header = req.headers.authorization || '';
+    const key = req.headers['x-api-key'] || (header.startsWith('Bearer ') ? header.substring(7).trim() : null);
+    const apiKey = await ApiKey.findByKey(key);
+    if (!apiKey) {
+      this._send(res, 401, { error: 'Missing or invalid API key' });
+      return;
+    }
+
+    const { allowed, retryAfter } = rateLimitService.consume(`api:${apiKey._id}`, apiKey.rateLimit || config.api.rateLimit);
+    if (!allowed) {
+      res.setHeader('Retry-After', retryAfter);
+      this._send(res, 429, { error: 'Rate limit exceeded', retryAfter });
+      return;
+    }
+
+    apiKey.recordUse().catch(error => logger.error(`Error recording use of API key ${apiKey.prefix}: ${error.message}`));
+
+    let params;
+    try {
+      params = url.pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+    } catch (error) {
+      // Malformed percent-encoding
+      this._send(res, 400, { error: 'Invalid path' });
+      return;
+    }
+    const { status, body, contentType } = await route.handler([...params, apiKey], url.searchParams);
+
+    if (contentType) {
+      res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': body.length });
+      res.end(body);
+      return;
+    }
+    this._send(res, status, body);
+  }
+
+  /**
+   * GET /tokens/:chain/:address
+   * @private
+   */
+  async _getToken([chain, address, apiKey]) {
+    const error = this._validateToken(chain, address);
+    if (error) return error;
+
+    const report = await this.getTokenReport(chain.toLowerCase(), address, `api:${apiKey._id}`);
+    if (!report) {
+      return { status: 404, body: { error: 'No Bubblemaps data for this token' } };
+    }
+
+    return { status: 200, body: report };
+  }
+
+  /**
+   * GET /tokens/:chain/:address/image?style=native|screenshot
+   * @private
+   */
+  async _getTokenImage([chain, address, apiKey], query) {
+    const error = this._validateToken(chain, address);
+    if (error) return error;
+
+    const style = query.get('style') || constants.defaultChartStyle;
+    if (!Object.values(constants.chartStyles).includes(style)) {
+      return { status: 400, body: { error: `style must be one of: ${Object.values(constants.chartStyles).join(', ')}` } };
+    }
+
+    const result = await checkQueueService.checkToken({
+      contractAddress: address,
+      chain: chain.toLowerCase(),
+      chartStyle: style,
+      userId: `api:${apiKey._id}`
+    });
+    if (!result.isValid) {
+      return { status: 404, body: { error: 'No Bubblemaps data for this token' } };
+    }
+    if (!result.image) {
+      return { status: 503, body: { error: 'The image could not be rendered, try again later' } };
+    }
+
+    return { status: 200, body: result.image, contentType: 'image/png' };
+  }
+
+  /**
+   * GET /stats/trending?limit=&days=
+   * @private
+   */
+  async _getTrending(query) {
+    const limit = this._intParam(query, 'limit', 10, 1, 50);
+    const days = this._intParam(query, 'days', 3, 1, 30);
+
+    return { status: 200, body: { days, tokens: await statisticsService.getTrendingTokens(limit, days) } };
+  }
+
+  /**
+   * GET /stats/top-rated?limit=
+   * @private
+   */
+  async _getTopRated(query) {
+    const limit = this._intParam(query, 'limit', 10, 1, 50);
+
+    return { status: 200, body: { tokens: await statisticsService.getTopRatedTokens(limit) } };
+  }
+
+  /**
+   * Check the chain and address of a token route
+   * @private
+   * @returns {Object|null} - 400 response, or null if both are valid
+   */
+  _validateToken(chain, address) {
+    if (!validation.isValidChain(chain.toLowerCase())) {
+      return { status: 400, body: { error: `Unknown chain: ${chain}` } };
+    }
+    if (!validation.isValidContractAddress(address)) {
+      return { status: 400, body: { error: `Invalid contract address: ${address}` } };
+    }
+    return null;
+  }
+
+  /**
+   * Read an integer query parameter within bounds
+   * @private
+   */
+  _intParam(query, name, fallback, min, max) {
+    const value = parseInt(query.get(name), 10);
+    return Number.isNaN(value) ? fallback : Math.min(Math.max(value, min), max);
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   * @param {Object} res - HTTP response
+   * @param {number} statusCode - HTTP status
+   * @param {Object} body - Response body
+   */
+  _send(res, statusCode, body) {
+    if (res.headersSent) return;
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = new ApiService();
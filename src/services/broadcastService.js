@@ -0,0 +1,537 @@
+const moment = require('moment');
+const BroadcastMessage = require('../models/BroadcastMessage');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const Interaction = require('../models/Interaction');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const validation = require('../utils/validation');
+const formatters = require('../utils/formatters');
+const constants = require('../../config/constants');
+
+const statuses = constants.broadcastStatuses;
+
+/**
+ * Broadcast engine: drafts, audience segments, scheduling and the delivery loop
+ */
+class BroadcastService {
+  constructor() {
+    this.bot = null;
+    this.timer = null;
+    this.running = new Map(); // Delivery loops in flight by broadcast ID
+    this.checkInterval = config.broadcast.checkIntervalMinutes * 60 * 1000;
+    this.sendInterval = 1000 / config.broadcast.messagesPerSecond;
+    this.nextSendAt = 0; // Shared by all running broadcasts, so together they stay under the rate limit
+  }
+
+  /**
+   * Split an admin's broadcast text into the message and its options block
+   * Options follow a line with only `---`, one `key: value` per line
+   * (audience, active, chain, token, lang, button, at)
+   * @param {string} text - Text or caption sent by the admin
+   * @returns {Object} - { message, segment, buttons, scheduledAt, errors }
+   */
+  parseMessage(text = '') {
+    const separator = text.lastIndexOf('\n---\n');
+    const message = (separator === -1 ? text : text.substring(0, separator)).trim();
+    const optionLines = separator === -1 ? [] : text.substring(separator + 5).split('\n');
+
+    const segment = { audience: constants.broadcastAudiences.USERS };
+    const buttons = [];
+    const errors = [];
+    let scheduledAt = null;
+
+    for (const line of optionLines) {
+      if (!line.trim()) continue;
+
+      const colon = line.indexOf(':');
+      const key = colon === -1 ? line.trim().toLowerCase() : line.substring(0, colon).trim().toLowerCase();
+      const value = colon === -1 ? '' : line.substring(colon + 1).trim();
+
+      switch (key) {
+        case 'audience':
+          if (Object.values(constants.broadcastAudiences).includes(value.toLowerCase())) {
+            segment.audience = value.toLowerCase();
+          } else {
+            errors.push(`audience must be one of: ${Object.values(constants.broadcastAudiences).join(', ')}`);
+          }
+          break;
+        case 'active':
+          if (parseInt(value, 10) > 0) {
+            segment.activeDays = parseInt(value, 10);
+          } else {
+            errors.push('active must be a number of days');
+          }
+          break;
+        case 'chain':
+          if (validation.isValidChain(value.toLowerCase())) {
+            segment.chain = value.toLowerCase();
+          } else {
+            errors.push(`unknown chain: ${value}`);
+          }
+          break;
+        case 'token':
+          if (validation.isValidContractAddress(value)) {
+            segment.token = value;
+          } else {
+            errors.push(`invalid token address: ${value}`);
+          }
+          break;
+        case 'lang':
+          if (/^[a-z]{2,3}$/i.test(value)) {
+            segment.language = value.toLowerCase();
+          } else {
+            errors.push(`lang must be a language code like "en": ${value}`);
+          }
+          break;
+        case 'button': {
+          const [buttonText, url] = value.split('|').map(part => part.trim());
+          if (buttonText && /^https?:\/\/\S+$/.test(url || '')) {
+            buttons.push({ text: buttonText, url });
+          } else {
+            errors.push(`button must look like "Text | https://example.com": ${value}`);
+          }
+          break;
+        }
+        case 'at': {
+          const time = moment.utc(value, 'YYYY-MM-DD HH:mm', true);
+          if (!time.isValid()) {
+            errors.push(`at must look like "2025-01-31 14:00" (UTC): ${value}`);
+          } else if (time.isBefore(moment.utc())) {
+            errors.push(`at is in the past: ${value}`);
+          } else {
+            scheduledAt = time.toDate();
+          }
+          break;
+        }
+        default:
+          errors.push(`unknown option: ${key}`);
+      }
+    }
+
+    return { message, segment, buttons, scheduledAt, errors };
+  }
+
+  /**
+   * Create a draft broadcast from an admin's message (text, or photo with caption)
+   * @param {Object} admin - Admin user document
+   * @param {Object} msg - Telegram message with the broadcast
+   * @returns {Promise<Object>} - { broadcast, errors }; broadcast is null when the options have errors
+   */
+  async createDraft(admin, msg) {
+    const photoFileId = msg.photo ? msg.photo[msg.photo.length - 1].file_id : undefined;
+    const parsed = this.parseMessage(msg.text || msg.caption || '');
+    const errors = [...parsed.errors];
+
+    if (!parsed.message && !photoFileId) {
+      errors.push('the message is empty');
+    }
+    if (photoFileId && formatters.formatBroadcastContent(parsed.message).length > 1024) {
+      errors.push('photo captions are limited to 1024 characters');
+    }
+    if (errors.length > 0) {
+      return { broadcast: null, errors };
+    }
+
+    const broadcast = await BroadcastMessage.createDraft(admin, {
+      message: parsed.message,
+      photoFileId,
+      buttons: parsed.buttons
+    }, parsed.segment, parsed.scheduledAt);
+
+    logger.info(`Admin ${admin.telegramId} drafted broadcast ${broadcast._id}`);
+    return { broadcast, errors: [] };
+  }
+
+  /**
+   * Find the chats a segment targets
+   * @param {Object} segment - { audience, activeDays, chain, token, language }
+   * @returns {Promise<Array<string>>} - Chat IDs (users first, then groups)
+   */
+  async resolveRecipients(segment = {}) {
+    const { audience = constants.broadcastAudiences.USERS, activeDays, chain, token, language } = segment;
+    const since = activeDays ? new Date(Date.now() - activeDays * 24 * 60 * 60 * 1000) : null;
+    const tokenMatch = token && token.startsWith('0x') ? new RegExp(`^${token}$`, 'i') : token;
+    const chatIds = [];
+
+    if (audience !== constants.broadcastAudiences.GROUPS) {
+      const query = { isActive: true };
+      if (since) query.lastActivity = { $gte: since };
+      if (chain) query.preferredChain = chain;
+      if (language) query.languageCode = new RegExp(`^${language}`, 'i');
+      if (token) {
+        query.telegramId = {
+          $in: await Interaction.distinct('telegramId', { type: constants.interactionTypes.CHECK_TOKEN, 'data.token': tokenMatch })
+        };
+      }
+
+      const users = await User.find(query).select('telegramId').lean();
+      chatIds.push(...users.map(user => user.telegramId));
+    }
+
+    if (audience !== constants.broadcastAudiences.USERS) {
+      const query = { isActive: true };
+      if (since) query.lastActivity = { $gte: since };
+
+      // Groups have no preferred chain: match the chains and tokens checked there instead
+      if (chain || token) {
+        const checks = { type: constants.interactionTypes.CHECK_TOKEN, chatId: { $ne: null } };
+        if (chain) checks['data.chain'] = chain;
+        if (token) checks['data.token'] = tokenMatch;
+        query.chatId = { $in: await Interaction.distinct('chatId', checks) };
+      }
+
+      const groups = await Group.find(query).select('chatId').lean();
+      chatIds.push(...groups.map(group => group.chatId));
+    }
+
+    return chatIds;
+  }
+
+  /**
+   * Send a broadcast's content to one chat
+   * @param {string} chatId - Chat ID
+   * @param {Object} broadcast - BroadcastMessage document
+   * @returns {Promise<Object>} - Sent message
+   */
+  async deliver(chatId, broadcast) {
+    const text = formatters.formatBroadcastContent(broadcast.message);
+    const options = { parse_mode: 'Markdown' };
+    if (broadcast.buttons.length > 0) {
+      options.reply_markup = { inline_keyboard: broadcast.buttons.map(button => [{ text: button.text, url: button.url }]) };
+    }
+
+    if (broadcast.photoFileId) {
+      return this.bot.sendPhoto(chatId, broadcast.photoFileId, { ...options, caption: text });
+    }
+    return this.bot.sendMessage(chatId, text, options);
+  }
+
+  /**
+   * Delete a draft that can't be previewed
+   * @param {Object} broadcast - Draft broadcast document
+   */
+  async discardDraft(broadcast) {
+    await BroadcastMessage.deleteOne({ _id: broadcast._id, status: statuses.DRAFT });
+    logger.info(`Broadcast draft ${broadcast._id} discarded`);
+  }
+
+  /**
+   * Confirm a draft: schedule it, or start sending right away
+   * @param {string} broadcastId - Broadcast document ID
+   * @param {Object} admin - Admin user document
+   * @returns {Promise<Object>} - Updated broadcast
+   */
+  async confirm(broadcastId, admin) {
+    const broadcast = await this._find(broadcastId);
+
+    if (broadcast.scheduledAt && broadcast.scheduledAt > new Date()) {
+      await broadcast.transition(statuses.SCHEDULED, admin.telegramId);
+      logger.info(`Broadcast ${broadcast._id} scheduled for ${broadcast.scheduledAt.toISOString()}`);
+      return broadcast;
+    }
+
+    return this.start(broadcast, admin.telegramId);
+  }
+
+  /**
+   * Resolve the recipients of a broadcast and start the delivery loop
+   * @param {Object} broadcast - BroadcastMessage document (draft or scheduled)
+   * @param {string} by - Telegram ID of the admin, or 'system'
+   * @returns {Promise<Object>} - Updated broadcast
+   */
+  async start(broadcast, by = 'system') {
+    broadcast.setRecipients(await this.resolveRecipients(broadcast.segment));
+    await broadcast.transition(statuses.PENDING, by);
+
+    broadcast.startedAt = new Date();
+    await broadcast.transition(statuses.IN_PROGRESS, by);
+
+    logger.info(`Broadcasting ${broadcast._id} to ${broadcast.targetCount} chats`);
+    this._launch(broadcast);
+    return broadcast;
+  }
+
+  /**
+   * Pause a running broadcast
+   * @param {string} broadcastId - Broadcast document ID
+   * @param {Object} admin - Admin user document
+   * @returns {Promise<Object>} - Updated broadcast
+   */
+  async pause(broadcastId, admin) {
+    return this._stop(broadcastId, statuses.PAUSED, admin.telegramId);
+  }
+
+  /**
+   * Resume a paused broadcast where it stopped
+   * @param {string} broadcastId - Broadcast document ID
+   * @param {Object} admin - Admin user document
+   * @returns {Promise<Object>} - Updated broadcast
+   */
+  async resume(broadcastId, admin) {
+    const broadcast = await this._find(broadcastId);
+    await broadcast.transition(statuses.IN_PROGRESS, admin.telegramId);
+
+    this._launch(broadcast);
+    return broadcast;
+  }
+
+  /**
+   * Cancel a broadcast that hasn't finished (draft, scheduled, running or paused)
+   * @param {string} broadcastId - Broadcast document ID
+   * @param {Object} admin - Admin user document
+   * @returns {Promise<Object>} - Updated broadcast
+   */
+  async cancel(broadcastId, admin) {
+    return this._stop(broadcastId, statuses.CANCELLED, admin.telegramId);
+  }
+
+  /**
+   * Start every scheduled broadcast that is due
+   * @returns {Promise<number>} - Number of broadcasts started
+   */
+  async runDueBroadcasts() {
+    let started = 0;
+
+    try {
+      const due = await BroadcastMessage.find({ status: statuses.SCHEDULED, scheduledAt: { $lte: new Date() } });
+
+      for (const broadcast of due) {
+        try {
+          await this.start(broadcast);
+          started++;
+        } catch (error) {
+          logger.error(`Error starting scheduled broadcast ${broadcast._id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error checking scheduled broadcasts: ${error.message}`);
+    }
+
+    return started;
+  }
+
+  /**
+   * Pick up broadcasts that were sending when the bot stopped
+   * Recipients still pending are sent to; paused broadcasts stay paused
+   * @returns {Promise<number>} - Number of broadcasts resumed
+   */
+  async resumeUnfinished() {
+    let resumed = 0;
+
+    try {
+      const unfinished = await BroadcastMessage.find({ status: { $in: [statuses.PENDING, statuses.IN_PROGRESS] } });
+
+      for (const broadcast of unfinished) {
+        try {
+          if (broadcast.status === statuses.PENDING) {
+            broadcast.startedAt = new Date();
+            await broadcast.transition(statuses.IN_PROGRESS);
+          }
+
+          const pending = broadcast.deliveryDetails.filter(detail => detail.status === 'pending').length;
+          logger.info(`Resuming broadcast ${broadcast._id} (${pending} of ${broadcast.targetCount} recipients left)`);
+          this._launch(broadcast);
+          resumed++;
+        } catch (error) {
+          logger.error(`Error resuming broadcast ${broadcast._id}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error looking up unfinished broadcasts: ${error.message}`);
+    }
+
+    return resumed;
+  }
+
+  /**
+   * Start the scheduler that sends scheduled broadcasts, resuming unfinished and overdue ones right away
+   * @param {Object} bot - Telegram bot instance
+   */
+  startScheduler(bot) {
+    this.bot = bot;
+    this.stopScheduler();
+
+    this.timer = setInterval(() => {
+      this.runDueBroadcasts();
+    }, this.checkInterval);
+    this.resumeUnfinished().then(() => this.runDueBroadcasts());
+
+    logger.info(`Broadcast scheduler started (every ${config.broadcast.checkIntervalMinutes} minutes)`);
+  }
+
+  /**
+   * Stop the broadcast scheduler
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Stop a broadcast with a final or paused status
+   * A running loop applies the change itself between two sends, so the document is never saved twice at once
+   * @private
+   * @param {string} broadcastId - Broadcast document ID
+   * @param {string} status - PAUSED or CANCELLED
+   * @param {string} by - Telegram ID of the admin
+   * @returns {Promise<Object>} - Updated broadcast
+   */
+  async _stop(broadcastId, status, by) {
+    const control = this.running.get(String(broadcastId));
+    if (control) {
+      control.stop = { status, by };
+      return control.stopped;
+    }
+
+    const broadcast = await this._find(broadcastId);
+    await broadcast.transition(status, by);
+    logger.info(`Broadcast ${broadcast._id} ${status} by ${by}`);
+    return broadcast;
+  }
+
+  /**
+   * Run the delivery loop of a broadcast in the background
+   * @private
+   * @param {Object} broadcast - BroadcastMessage document (in progress)
+   */
+  _launch(broadcast) {
+    const id = String(broadcast._id);
+    if (this.running.has(id)) return;
+
+    const control = { stop: null };
+    control.stopped = new Promise(resolve => { control.onStopped = resolve; });
+    this.running.set(id, control);
+
+    this._run(broadcast, control)
+      .catch(error => logger.error(`Error running broadcast ${id}: ${error.message}`))
+      .finally(() => {
+        this.running.delete(id);
+        control.onStopped(broadcast);
+      });
+  }
+
+  /**
+   * Send a broadcast to its pending recipients until done, paused or cancelled
+   * @private
+   * @param {Object} broadcast - BroadcastMessage document
+   * @param {Object} control - { stop } set by pause/cancel
+   */
+  async _run(broadcast, control) {
+    try {
+      for (const detail of broadcast.deliveryDetails.filter(d => d.status === 'pending')) {
+        if (control.stop) break;
+        await this._deliverTo(broadcast, detail, control);
+      }
+
+      if (control.stop) {
+        await broadcast.transition(control.stop.status, control.stop.by);
+        logger.info(`Broadcast ${broadcast._id} ${control.stop.status} by ${control.stop.by}`);
+        return;
+      }
+
+      await broadcast.transition(statuses.COMPLETED);
+      logger.info(`Broadcast ${broadcast._id} complete: ${broadcast.deliveredCount} delivered, ${broadcast.failedCount} failed`);
+    } catch (error) {
+      logger.error(`Broadcast ${broadcast._id} failed: ${error.message}`);
+      await broadcast.transition(statuses.FAILED).catch(() => {});
+    }
+
+    // Let the admin know how it went
+    await this.bot.sendMessage(broadcast.adminTelegramId, formatters.formatBroadcastSummary(broadcast), {
+      parse_mode: 'Markdown'
+    }).catch(error => {
+      logger.error(`Error sending broadcast summary to admin ${broadcast.adminTelegramId}: ${error.message}`);
+    });
+  }
+
+  /**
+   * Send a broadcast to one recipient and record the outcome
+   * The outcome is saved after every send, so a restart only repeats the send that was in flight
+   * @private
+   * @param {Object} broadcast - BroadcastMessage document
+   * @param {Object} detail - Pending delivery detail of the recipient
+   * @param {Object} control - { stop } set by pause/cancel
+   */
+  async _deliverTo(broadcast, detail, control) {
+    while (!control.stop) {
+      await this._throttle();
+
+      try {
+        await this.deliver(detail.userId, broadcast);
+        await broadcast.updateDeliveryStatus(detail.userId, true);
+        return;
+      } catch (error) {
+        const retryAfter = error.response && error.response.statusCode === 429 && error.response.body &&
+          error.response.body.parameters ? error.response.body.parameters.retry_after : null;
+
+        // Flood control: hold every send for as long as Telegram asks, then try the same recipient again
+        if (retryAfter && detail.attempts < config.broadcast.maxRetries) {
+          detail.attempts += 1;
+          this.nextSendAt = Math.max(this.nextSendAt, Date.now() + retryAfter * 1000);
+          logger.warn(`Broadcast ${broadcast._id} rate limited, retrying ${detail.userId} in ${retryAfter}s`);
+          continue;
+        }
+
+        logger.error(`Error sending broadcast ${broadcast._id} to ${detail.userId}: ${error.message}`);
+        await broadcast.updateDeliveryStatus(detail.userId, false, error.message);
+
+        // The user blocked the bot or it was removed from the group
+        if (error.response && error.response.statusCode === 403) {
+          await this._deactivateChat(detail.userId);
+        }
+        return;
+      }
+    }
+  }
+
+  /**
+   * Wait for the next send slot under the global rate limit
+   * @private
+   */
+  async _throttle() {
+    const now = Date.now();
+    const wait = Math.max(0, this.nextSendAt - now);
+    this.nextSendAt = Math.max(now, this.nextSendAt) + this.sendInterval;
+
+    if (wait > 0) {
+      await new Promise(resolve => setTimeout(resolve, wait));
+    }
+  }
+
+  /**
+   * Mark a user or group the bot can no longer reach as inactive
+   * @private
+   * @param {string} chatId - Chat ID (negative for groups)
+   */
+  async _deactivateChat(chatId) {
+    try {
+      if (chatId.startsWith('-')) {
+        await Group.updateOne({ chatId }, { $set: { isActive: false } });
+      } else {
+        await User.updateOne({ telegramId: chatId }, { $set: { isActive: false } });
+      }
+      logger.info(`Marked chat ${chatId} inactive after a blocked broadcast`);
+    } catch (error) {
+      logger.error(`Error marking chat ${chatId} inactive: ${error.message}`);
+    }
+  }
+
+  /**
+   * Load a broadcast or throw
+   * @private
+   * @param {string} broadcastId - Broadcast document ID
+   * @returns {Promise<Object>} - BroadcastMessage document
+   */
+  async _find(broadcastId) {
+    const broadcast = await BroadcastMessage.findById(broadcastId);
+    if (!broadcast) {
+      throw new Error(`Broadcast not found: ${broadcastId}`);
+    }
+    return broadcast;
+  }
+}
+
+module.exports = new BroadcastService();
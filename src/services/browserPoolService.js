@@ -0,0 +1,341 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const PlaywrightHelper = require('../utils/playwright-helper');
+
+/**
+ * Service managing one long-lived browser with a pool of reusable contexts
+ * Callers borrow a context for one page at a time; when every context is busy
+ * requests wait in a bounded queue
+ */
+class BrowserPoolService {
+  constructor() {
+    this.size = config.browserPool.size;
+    this.maxPagesPerContext = config.browserPool.maxPagesPerContext;
+    this.queueLimit = config.browserPool.queueLimit;
+    this.queueTimeout = config.browserPool.queueTimeout;
+    this.taskTimeout = config.browserPool.taskTimeout;
+    this.healthCheckInterval = 60000;
+
+    this.browser = null;
+    this.launching = null;
+    this.slots = [];
+    this.queue = [];
+    this.healthTimer = null;
+    this.nextSlotId = 1;
+
+    this.contextOptions = {
+      viewport: { width: 1280, height: 800 },
+      userAgent: 'Mozilla/5.0 (Macintosh; Apple Silicon Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36', // Modern user agent
+      ignoreHTTPSErrors: true,
+      bypassCSP: true
+    };
+  }
+
+  /**
+   * Run a task with a fresh page from the pool
+   * @param {Function} task - Async function receiving a Playwright page
+   * @param {Object} options - { onQueuePosition(position), queueTimeout, taskTimeout }
+   * @returns {Promise<*>} - Result of the task
+   */
+  async run(task, options = {}) {
+    const slot = await this._acquire(options);
+    let page = null;
+    let healthy = true;
+
+    try {
+      if (!slot.context) {
+        slot.context = await this._createContext();
+        slot.pagesServed = 0;
+      }
+
+      page = await slot.context.newPage();
+      page.on('crash', () => {
+        logger.warn(`Page crashed in browser context #${slot.id}`);
+        healthy = false;
+      });
+      slot.pagesServed++;
+
+      return await this._withTimeout(task(page), options.taskTimeout || this.taskTimeout, 'TASK_TIMEOUT');
+    } catch (error) {
+      // Don't trust a context that failed a task, it may be wedged
+      healthy = false;
+      throw error;
+    } finally {
+      if (page) {
+        await page.close().catch(() => {});
+      }
+      await this._release(slot, healthy);
+    }
+  }
+
+  /**
+   * Get the current state of the pool
+   * @returns {Object} - { size, contexts, busy, queued, browserConnected }
+   */
+  getStatus() {
+    return {
+      size: this.size,
+      contexts: this.slots.length,
+      busy: this.slots.filter(slot => slot.busy).length,
+      queued: this.queue.length,
+      browserConnected: !!(this.browser && this.browser.isConnected())
+    };
+  }
+
+  /**
+   * Start periodic health checks of idle contexts
+   */
+  startHealthChecks() {
+    this.stopHealthChecks();
+
+    this.healthTimer = setInterval(() => {
+      this.checkHealth();
+    }, this.healthCheckInterval);
+  }
+
+  /**
+   * Stop periodic health checks
+   */
+  stopHealthChecks() {
+    if (this.healthTimer) {
+      clearInterval(this.healthTimer);
+      this.healthTimer = null;
+    }
+  }
+
+  /**
+   * Check that idle contexts can still open a page and recycle the ones that can't
+   * @returns {Promise<number>} - Number of contexts recycled
+   */
+  async checkHealth() {
+    if (!this.browser) {
+      return 0;
+    }
+
+    let recycled = 0;
+    const idleSlots = this.slots.filter(slot => !slot.busy && slot.context);
+
+    for (const slot of idleSlots) {
+      // Hold the slot so it isn't handed out mid-check
+      slot.busy = true;
+
+      try {
+        const page = await slot.context.newPage();
+        await this._withTimeout(page.evaluate(() => document.readyState), 5000, 'HEALTH_CHECK_TIMEOUT');
+        await page.close();
+        await this._release(slot, true);
+      } catch (error) {
+        logger.warn(`Browser context #${slot.id} failed health check: ${error.message}`);
+        recycled++;
+        await this._release(slot, false);
+      }
+    }
+
+    if (recycled > 0) {
+      logger.info(`Browser pool health check recycled ${recycled} contexts`);
+    }
+
+    return recycled;
+  }
+
+  /**
+   * Close the browser and reject everything still waiting
+   */
+  async close() {
+    this.stopHealthChecks();
+
+    const waiting = this.queue.splice(0);
+    waiting.forEach(waiter => {
+      clearTimeout(waiter.timer);
+      waiter.reject(this._poolError('Browser pool is shutting down', 'POOL_CLOSED'));
+    });
+
+    this.slots = [];
+
+    if (this.browser) {
+      const browser = this.browser;
+      this.browser = null;
+      await browser.close().catch(error => {
+        logger.warn(`Error closing pooled browser: ${error.message}`);
+      });
+    }
+  }
+
+  /**
+   * Get a free context slot, waiting in the queue if the pool is exhausted
+   * @private
+   * @param {Object} options - { onQueuePosition, queueTimeout }
+   * @returns {Promise<Object>} - Slot
+   */
+  async _acquire(options) {
+    const freeSlot = this.slots.find(slot => !slot.busy);
+    if (freeSlot) {
+      freeSlot.busy = true;
+      return freeSlot;
+    }
+
+    if (this.slots.length < this.size) {
+      const slot = { id: this.nextSlotId++, context: null, pagesServed: 0, busy: true };
+      this.slots.push(slot);
+      return slot;
+    }
+
+    if (this.queue.length >= this.queueLimit) {
+      throw this._poolError('Browser pool queue is full', 'POOL_BUSY');
+    }
+
+    return new Promise((resolve, reject) => {
+      const waiter = { resolve, reject, onQueuePosition: options.onQueuePosition, position: 0 };
+
+      waiter.timer = setTimeout(() => {
+        this.queue = this.queue.filter(queued => queued !== waiter);
+        this._notifyQueuePositions();
+        reject(this._poolError('Timed out waiting for a free browser', 'QUEUE_TIMEOUT'));
+      }, options.queueTimeout || this.queueTimeout);
+
+      this.queue.push(waiter);
+      this._notifyQueuePositions();
+    });
+  }
+
+  /**
+   * Return a slot to the pool, recycling its context if needed, and wake the next waiter
+   * @private
+   * @param {Object} slot - Slot
+   * @param {boolean} healthy - Whether the slot's last use went fine
+   */
+  async _release(slot, healthy) {
+    if (!this.slots.includes(slot)) {
+      // Pool was closed while the slot was in use
+      return;
+    }
+
+    if (!healthy || slot.pagesServed >= this.maxPagesPerContext) {
+      await this._recycle(slot);
+    }
+
+    const waiter = this.queue.shift();
+    if (waiter) {
+      clearTimeout(waiter.timer);
+      this._notifyQueuePositions();
+      waiter.resolve(slot);
+    } else {
+      slot.busy = false;
+    }
+  }
+
+  /**
+   * Close a slot's context; a new one is created the next time the slot is used
+   * @private
+   * @param {Object} slot - Slot
+   */
+  async _recycle(slot) {
+    const context = slot.context;
+    slot.context = null;
+    slot.pagesServed = 0;
+
+    if (context) {
+      logger.debug(`Recycling browser context #${slot.id}`);
+      await context.close().catch(() => {});
+    }
+  }
+
+  /**
+   * Create a browser context, launching the browser if needed
+   * @private
+   * @returns {Promise<Object>} - Playwright browser context
+   */
+  async _createContext() {
+    const browser = await this._ensureBrowser();
+    return browser.newContext(this.contextOptions);
+  }
+
+  /**
+   * Launch the shared browser if it isn't running
+   * @private
+   * @returns {Promise<Object>} - Playwright browser
+   */
+  async _ensureBrowser() {
+    if (this.browser && this.browser.isConnected()) {
+      return this.browser;
+    }
+
+    if (!this.launching) {
+      this.launching = PlaywrightHelper.launchBrowser({ timeout: this.taskTimeout })
+        .then(browser => {
+          browser.on('disconnected', () => {
+            if (this.browser !== browser) return;
+
+            logger.warn('Pooled browser disconnected, it will be relaunched on next use');
+            this.browser = null;
+            this.slots.forEach(slot => {
+              slot.context = null;
+              slot.pagesServed = 0;
+            });
+          });
+
+          this.browser = browser;
+          logger.info(`Browser pool started (${this.size} contexts)`);
+          return browser;
+        })
+        .finally(() => {
+          this.launching = null;
+        });
+    }
+
+    return this.launching;
+  }
+
+  /**
+   * Tell queued callers their current position
+   * @private
+   */
+  _notifyQueuePositions() {
+    this.queue.forEach((waiter, index) => {
+      const position = index + 1;
+      if (waiter.position === position || !waiter.onQueuePosition) {
+        waiter.position = position;
+        return;
+      }
+
+      waiter.position = position;
+      try {
+        waiter.onQueuePosition(position);
+      } catch (error) {
+        logger.warn(`Error reporting queue position: ${error.message}`);
+      }
+    });
+  }
+
+  /**
+   * Reject a promise if it doesn't settle in time
+   * @private
+   * @param {Promise} promise - Promise to wait for
+   * @param {number} timeout - Timeout in milliseconds
+   * @param {string} code - Error code on timeout
+   * @returns {Promise<*>} - Result of the promise
+   */
+  _withTimeout(promise, timeout, code) {
+    let timer;
+    const timeoutPromise = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(this._poolError(`Browser task timed out after ${timeout}ms`, code)), timeout);
+    });
+
+    return Promise.race([promise, timeoutPromise]).finally(() => clearTimeout(timer));
+  }
+
+  /**
+   * Create an error with a code callers can check
+   * @private
+   * @param {string} message - Error message
+   * @param {string} code - Error code
+   * @returns {Error} - Error
+   */
+  _poolError(message, code) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = new BrowserPoolService();
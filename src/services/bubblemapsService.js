@@ -1,11 +1,17 @@
 const axios = require('axios');
 const config = require('../utils/config');
 const logger = require('../utils/logger');
+const cacheService = require('./cacheService');
 
 /**
  * Service for interacting with Bubblemaps API
  */
 class BubblemapsService {
+  constructor() {
+    this.mapDataCache = cacheService.getCache('bubblemaps-map-data');
+    this.metadataCache = cacheService.getCache('bubblemaps-metadata');
+  }
+
   /**
    * Get token map data from Bubblemaps API
    * @param {string} token - Contract address
@@ -14,17 +20,23 @@ class BubblemapsService {
    */
   async getTokenMapData(token, chain) {
     try {
-      logger.info(`Fetching map data for token ${token} on chain ${chain}`);
-      
-      const response = await axios.get(config.endpoints.mapData, {
-        params: {
-          token,
-          chain
-        },
-        timeout: 10000 // 10 seconds timeout
+      const { value } = await this.mapDataCache.getOrFetch(this._cacheKey(token, chain), async () => {
+        logger.info(`Fetching map data for token ${token} on chain ${chain}`);
+        
+        const response = await axios.get(config.endpoints.mapData, {
+          params: {
+            token,
+            chain
+          },
+          timeout: 10000 // 10 seconds timeout
+        });
+        
+        return response.data;
+      }, {
+        ttl: (data) => cacheService.ttlFromUpdate(data && data.dt_update)
       });
       
-      return response.data;
+      return value;
     } catch (error) {
       this._handleApiError(error, 'getTokenMapData', { token, chain });
       return null;
@@ -39,23 +51,31 @@ class BubblemapsService {
    */
   async getTokenMetadata(token, chain) {
     try {
-      logger.info(`Fetching metadata for token ${token} on chain ${chain}`);
-      
-      const response = await axios.get(config.endpoints.mapMetadata, {
-        params: {
-          token,
-          chain
-        },
-        timeout: 10000 // 10 seconds timeout
+      const { value, negative } = await this.metadataCache.getOrFetch(this._cacheKey(token, chain), async () => {
+        logger.info(`Fetching metadata for token ${token} on chain ${chain}`);
+        
+        const response = await axios.get(config.endpoints.mapMetadata, {
+          params: {
+            token,
+            chain
+          },
+          timeout: 10000 // 10 seconds timeout
+        });
+        
+        return response.data;
+      }, {
+        ttl: (data) => cacheService.ttlFromUpdate(data && data.dt_update),
+        // Remember "not available" answers (and empty ones) so chain detection doesn't ask again every time
+        isNegative: (data) => !data || data.status === 'KO'
       });
       
       // Check if the response indicates data is not available
-      if (response.data.status === 'KO') {
-        logger.warn(`Metadata not available for token ${token} on chain ${chain}: ${response.data.message}`);
+      if (negative) {
+        logger.warn(`Metadata not available for token ${token} on chain ${chain}: ${value ? value.message : 'empty response'}`);
         return null;
       }
       
-      return response.data;
+      return value;
     } catch (error) {
       this._handleApiError(error, 'getTokenMetadata', { token, chain });
       return null;
@@ -88,6 +108,18 @@ class BubblemapsService {
     }
   }
   
+  /**
+   * Build the cache key of a token (EVM addresses are case-insensitive)
+   * @private
+   * @param {string} token - Contract address
+   * @param {string} chain - Chain ID
+   * @returns {string} - Cache key
+   */
+  _cacheKey(token, chain) {
+    const address = token.startsWith('0x') ? token.toLowerCase() : token;
+    return `${chain}:${address}`;
+  }
+  
   /**
    * Handle API errors
    * @private
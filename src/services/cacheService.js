@@ -0,0 +1,290 @@
+const mongoose = require('mongoose');
+const CacheEntry = require('../models/CacheEntry');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * In-memory least-recently-used cache backend
+ */
+class MemoryCacheBackend {
+  /**
+   * @param {number} maxEntries - Maximum number of entries before the least recently used are evicted
+   */
+  constructor(maxEntries) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+
+    if (entry.expiresAt <= Date.now()) {
+      this.entries.delete(key);
+      return null;
+    }
+
+    // Map keeps insertion order, re-inserting marks the entry as most recently used
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  get size() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * Mongo-backed cache backend, shared between restarts and bot instances
+ */
+class MongoCacheBackend {
+  /**
+   * @param {string} namespace - Cache namespace
+   */
+  constructor(namespace) {
+    this.namespace = namespace;
+  }
+
+  async get(key) {
+    // Skip silently while the database is not connected
+    if (mongoose.connection.readyState !== 1) return null;
+
+    const entry = await CacheEntry.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+    if (!entry) return null;
+
+    return { value: entry.value, negative: entry.negative, expiresAt: entry.expiresAt.getTime() };
+  }
+
+  async set(key, entry) {
+    if (mongoose.connection.readyState !== 1) return;
+
+    await CacheEntry.updateOne(
+      { key },
+      {
+        $set: {
+          namespace: this.namespace,
+          value: entry.value,
+          negative: entry.negative,
+          expiresAt: new Date(entry.expiresAt)
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  async delete(key) {
+    if (mongoose.connection.readyState !== 1) return;
+    await CacheEntry.deleteOne({ key });
+  }
+}
+
+/**
+ * A namespaced cache reading through one or more backends (memory first, then Mongo)
+ */
+class Cache {
+  /**
+   * @param {string} namespace - Cache namespace
+   * @param {Array} backends - Backends, fastest first
+   * @param {Object} options - { ttl, negativeTTL } in milliseconds
+   */
+  constructor(namespace, backends, options = {}) {
+    this.namespace = namespace;
+    this.backends = backends;
+    this.ttl = options.ttl || config.cache.minTTLMinutes * 60 * 1000;
+    this.negativeTTL = options.negativeTTL || config.cache.negativeTTLMinutes * 60 * 1000;
+    this.inFlight = new Map();
+    this.metrics = { hits: 0, negativeHits: 0, misses: 0, errors: 0, coalesced: 0 };
+  }
+
+  /**
+   * Get a cached value, or fetch and cache it
+   * Concurrent calls for the same key share one fetch
+   * @param {string} key - Cache key
+   * @param {Function} fetcher - Async function returning the fresh value; errors are not cached
+   * @param {Object} options - { ttl(value) returning ms, isNegative(value) returning boolean }
+   * @returns {Promise<Object>} - { value, negative }
+   */
+  async getOrFetch(key, fetcher, options = {}) {
+    const cached = await this._read(key);
+    if (cached) {
+      if (cached.negative) {
+        this.metrics.negativeHits++;
+      } else {
+        this.metrics.hits++;
+      }
+      return { value: cached.value, negative: cached.negative };
+    }
+
+    if (this.inFlight.has(key)) {
+      this.metrics.coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    this.metrics.misses++;
+
+    const request = (async () => {
+      const value = await fetcher();
+      const negative = options.isNegative ? !!options.isNegative(value) : false;
+      const ttl = negative ? this.negativeTTL : (options.ttl ? options.ttl(value) : this.ttl);
+
+      await this._write(key, { value, negative, expiresAt: Date.now() + ttl });
+      return { value, negative };
+    })();
+
+    this.inFlight.set(key, request);
+    try {
+      return await request;
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  /**
+   * Remove a value from every backend
+   * @param {string} key - Cache key
+   */
+  async delete(key) {
+    const fullKey = this._key(key);
+    await Promise.all(this.backends.map(backend => backend.delete(fullKey).catch(() => {})));
+  }
+
+  /**
+   * Get hit/miss metrics of this cache
+   * @returns {Object} - Metrics
+   */
+  getMetrics() {
+    const lookups = this.metrics.hits + this.metrics.negativeHits + this.metrics.misses;
+    const memory = this.backends.find(backend => backend instanceof MemoryCacheBackend);
+
+    return {
+      namespace: this.namespace,
+      ...this.metrics,
+      hitRate: lookups > 0 ? (this.metrics.hits + this.metrics.negativeHits) / lookups : 0,
+      size: memory ? memory.size : null,
+      evictions: memory ? memory.evictions : 0
+    };
+  }
+
+  /**
+   * Read an entry from the first backend that has it, copying it into the faster ones
+   * @private
+   * @param {string} key - Cache key
+   * @returns {Promise<Object|null>} - Entry or null
+   */
+  async _read(key) {
+    const fullKey = this._key(key);
+
+    for (let i = 0; i < this.backends.length; i++) {
+      try {
+        const entry = await this.backends[i].get(fullKey);
+        if (entry) {
+          await Promise.all(this.backends.slice(0, i).map(backend => backend.set(fullKey, entry)));
+          return entry;
+        }
+      } catch (error) {
+        this.metrics.errors++;
+        logger.warn(`Cache read error in ${this.namespace}: ${error.message}`);
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Write an entry to every backend
+   * @private
+   * @param {string} key - Cache key
+   * @param {Object} entry - { value, negative, expiresAt }
+   */
+  async _write(key, entry) {
+    const fullKey = this._key(key);
+
+    await Promise.all(this.backends.map(backend => backend.set(fullKey, entry).catch(error => {
+      this.metrics.errors++;
+      logger.warn(`Cache write error in ${this.namespace}: ${error.message}`);
+    })));
+  }
+
+  /**
+   * Build the namespaced key
+   * @private
+   * @param {string} key - Cache key
+   * @returns {string} - Namespaced key
+   */
+  _key(key) {
+    return `${this.namespace}:${key}`;
+  }
+}
+
+/**
+ * Service creating caches with the configured backends and collecting their metrics
+ */
+class CacheService {
+  constructor() {
+    this.caches = new Map();
+  }
+
+  /**
+   * Get or create a namespaced cache
+   * @param {string} namespace - Cache namespace
+   * @param {Object} options - { ttl, negativeTTL, maxEntries }
+   * @returns {Cache} - Cache
+   */
+  getCache(namespace, options = {}) {
+    if (!this.caches.has(namespace)) {
+      const backends = [new MemoryCacheBackend(options.maxEntries || config.cache.maxEntries)];
+      if (config.cache.backend === 'mongo') {
+        backends.push(new MongoCacheBackend(namespace));
+      }
+
+      this.caches.set(namespace, new Cache(namespace, backends, options));
+    }
+
+    return this.caches.get(namespace);
+  }
+
+  /**
+   * Compute how long to keep Bubblemaps data from the time it was last computed:
+   * maps computed long ago are unlikely to be recomputed soon, fresh ones may be refreshed again
+   * @param {string|number|Date} dtUpdate - The dt_update field of map data or metadata
+   * @returns {number} - TTL in milliseconds
+   */
+  ttlFromUpdate(dtUpdate) {
+    const minTTL = config.cache.minTTLMinutes * 60 * 1000;
+    const maxTTL = config.cache.maxTTLMinutes * 60 * 1000;
+    const updatedAt = dtUpdate ? new Date(dtUpdate).getTime() : NaN;
+
+    if (Number.isNaN(updatedAt)) {
+      return minTTL;
+    }
+
+    const age = Math.max(0, Date.now() - updatedAt);
+    return Math.min(maxTTL, Math.max(minTTL, age / 4));
+  }
+
+  /**
+   * Get metrics of every cache
+   * @returns {Array} - Metrics per cache
+   */
+  getMetrics() {
+    return Array.from(this.caches.values()).map(cache => cache.getMetrics());
+  }
+}
+
+module.exports = new CacheService();
@@ -0,0 +1,130 @@
+const ChainResolution = require('../models/ChainResolution');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const constants = require('../../config/constants');
+const bubblemapsService = require('./bubblemapsService');
+const tokenRatingService = require('./tokenRatingService');
+
+/**
+ * Service resolving which EVM chains an address exists on
+ * Resolutions are persisted so repeat checks don't probe every chain again;
+ * stale ones are still answered from the table and re-probed in the background
+ */
+class ChainResolutionService {
+  constructor() {
+    this.refreshAfter = config.chainResolution.refreshAfterHours * 60 * 60 * 1000;
+    this.probing = new Map(); // Probes in flight by address
+  }
+
+  /**
+   * Get the chains an EVM address exists on
+   * @param {string} address - Contract address (EVM format)
+   * @returns {Promise<Array<string>>} - Chain IDs, empty if the address wasn't found anywhere
+   */
+  async resolveChains(address) {
+    const normalized = address.toLowerCase();
+
+    let resolution = null;
+    try {
+      resolution = await ChainResolution.findByAddress(normalized);
+    } catch (error) {
+      logger.warn(`Error reading chain resolution for ${normalized}: ${error.message}`);
+    }
+
+    if (!resolution || resolution.chains.length === 0) {
+      return this.probeChains(normalized);
+    }
+
+    if (Date.now() - resolution.resolvedAt.getTime() > this.refreshAfter) {
+      logger.debug(`Chain resolution for ${normalized} is stale, refreshing in background`);
+      this.probeChains(normalized).catch(error => {
+        logger.error(`Error refreshing chain resolution for ${normalized}:`, error.message);
+      });
+    }
+
+    return resolution.chains;
+  }
+
+  /**
+   * Probe every EVM chain for an address and store the result
+   * @param {string} address - Contract address (EVM format)
+   * @returns {Promise<Array<string>>} - Chain IDs where Bubblemaps has data
+   */
+  async probeChains(address) {
+    const normalized = address.toLowerCase();
+
+    if (!this.probing.has(normalized)) {
+      const probe = this._probe(normalized).finally(() => {
+        this.probing.delete(normalized);
+      });
+      this.probing.set(normalized, probe);
+    }
+
+    return this.probing.get(normalized);
+  }
+
+  /**
+   * Summarize an address on each of its chains, to help choose between them
+   * @param {string} address - Contract address
+   * @param {Array<string>} chains - Chain IDs
+   * @returns {Promise<Array<Object>>} - { chain, holderCount, decentralisationScore } per chain
+   */
+  async getChainSummaries(address, chains) {
+    return Promise.all(chains.map(async chain => {
+      const [mapData, metaData] = await Promise.all([
+        bubblemapsService.getTokenMapData(address, chain),
+        bubblemapsService.getTokenMetadata(address, chain)
+      ]);
+
+      const summary = tokenRatingService.summarizeDistribution(mapData, metaData);
+
+      return {
+        chain,
+        holderCount: summary ? summary.holderCount : null,
+        decentralisationScore: summary ? summary.decentralisationScore : null
+      };
+    }));
+  }
+
+  /**
+   * Check all EVM chains in parallel and persist the chains found
+   * @private
+   * @param {string} address - Normalized contract address
+   * @returns {Promise<Array<string>>} - Chain IDs
+   */
+  async _probe(address) {
+    logger.info(`Probing chains for EVM address: ${address}`);
+
+    // List of chains to check (excluding Solana)
+    const chainsToCheck = constants.chains
+      .filter(chain => chain.id !== 'sol')
+      .map(chain => chain.id);
+
+    const results = await Promise.allSettled(
+      chainsToCheck.map(chain => bubblemapsService.validateContract(address, chain))
+    );
+
+    const chains = chainsToCheck.filter((chain, i) => results[i].status === 'fulfilled' && results[i].value === true);
+
+    if (chains.length > 1) {
+      logger.info(`Address ${address} exists on multiple chains: ${chains.join(', ')}`);
+    }
+
+    // Addresses found nowhere are not stored, the metadata cache already remembers those answers
+    if (chains.length > 0) {
+      try {
+        await ChainResolution.updateOne(
+          { address },
+          { $set: { chains, resolvedAt: new Date() } },
+          { upsert: true }
+        );
+      } catch (error) {
+        logger.warn(`Error saving chain resolution for ${address}: ${error.message}`);
+      }
+    }
+
+    return chains;
+  }
+}
+
+module.exports = new ChainResolutionService();
@@ -0,0 +1,377 @@
+const fs = require('fs').promises;
+const path = require('path');
+const moment = require('moment');
+const logger = require('../utils/logger');
+const browserPoolService = require('./browserPoolService');
+
+// Chart canvas size (matches the BubbleMaps screenshots)
+const WIDTH = 1280;
+const HEIGHT = 800;
+
+// Bubble map panel
+const MAP_AREA = { x: 20, y: 90, width: 760, height: 690 };
+
+// Colors
+const COLORS = {
+  background: '#0f1624',
+  panel: '#172133',
+  text: '#e8edf5',
+  muted: '#8a97ab',
+  link: '#4b5a73',
+  wallet: '#5dade2',
+  exchange: '#f5b041',
+  contract: '#95a5a6',
+  clusters: ['#e91e63', '#9b59b6', '#2ecc71', '#e67e22', '#1abc9c', '#ff6f61', '#c0ca33', '#7e57c2']
+};
+
+/**
+ * Service for rendering token distribution charts locally from Bubblemaps map data
+ */
+class ChartService {
+  constructor() {
+    this.chartDir = path.join(process.cwd(), 'screenshots');
+    this.cacheTTL = 3600000; // Charts are reused for 1 hour
+    this.renderTimeout = 15000;
+    this.maxBubbles = 150; // Largest holders drawn on the map
+  }
+
+  /**
+   * Render a distribution chart (bubble map, top holders and supply breakdown) as a PNG
+   * @param {string} token - Contract address
+   * @param {string} chain - Chain ID
+   * @param {Object} mapData - Map data from Bubblemaps API
+   * @param {Object} metaData - Metadata from Bubblemaps API
+   * @param {Object} options - Browser pool options ({ onQueuePosition })
+   * @returns {Promise<Buffer|null>} - PNG buffer or null if the chart could not be rendered
+   */
+  async renderDistributionChart(token, chain, mapData, metaData, options = {}) {
+    if (!mapData || !mapData.nodes || mapData.nodes.length === 0) {
+      logger.warn(`No map data to render chart for ${token} on ${chain}`);
+      return null;
+    }
+
+    const filePath = path.join(this.chartDir, `native_${chain}_${token}.png`);
+
+    // Reuse a recent chart
+    try {
+      const stats = await fs.stat(filePath);
+      if (Date.now() - stats.mtimeMs < this.cacheTTL) {
+        logger.info(`Using cached chart for ${token} on ${chain}`);
+        return fs.readFile(filePath);
+      }
+    } catch (error) {
+      // No cached chart, render a new one
+    }
+
+    try {
+      const svg = this.buildChartSvg(mapData, metaData || {}, chain);
+
+      const chart = await browserPoolService.run(async (page) => {
+        // Everything is inline, no network access is needed
+        await page.setContent(`<html><body style="margin:0">${svg}</body></html>`, { timeout: this.renderTimeout });
+        return page.screenshot({
+          clip: { x: 0, y: 0, width: WIDTH, height: HEIGHT },
+          timeout: this.renderTimeout
+        });
+      }, options);
+
+      await fs.mkdir(this.chartDir, { recursive: true });
+      await fs.writeFile(filePath, chart);
+      logger.info(`Chart rendered and saved to ${filePath}`);
+
+      return chart;
+    } catch (error) {
+      logger.error(`Error rendering chart for ${token} on ${chain}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Build the chart as a standalone SVG document
+   * @param {Object} mapData - Map data from Bubblemaps API
+   * @param {Object} metaData - Metadata from Bubblemaps API
+   * @param {string} chain - Chain ID
+   * @returns {string} - SVG markup
+   */
+  buildChartSvg(mapData, metaData, chain) {
+    const nodes = mapData.nodes
+      .map((node, index) => ({ ...node, index, percent: node.percentage || 0 }))
+      .sort((a, b) => b.percent - a.percent);
+
+    const title = `${mapData.full_name || metaData.name || 'Unknown Token'} (${mapData.symbol || metaData.symbol || '???'})`;
+    const score = typeof metaData.decentralisation_score === 'number' ? metaData.decentralisation_score.toFixed(1) : 'N/A';
+    const updated = mapData.dt_update || metaData.dt_update;
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}" font-family="Arial, Helvetica, sans-serif">` +
+      `<rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.background}"/>` +
+      `<text x="20" y="42" font-size="26" font-weight="bold" fill="${COLORS.text}">${escapeXml(title)}</text>` +
+      `<text x="20" y="70" font-size="15" fill="${COLORS.muted}">${chain.toUpperCase()} · Decentralisation score ${score}/100 · ${nodes.length} holders` +
+      `${updated ? ` · Updated ${moment(updated).format('YYYY-MM-DD HH:mm')}` : ''}</text>` +
+      `<rect x="${MAP_AREA.x}" y="${MAP_AREA.y}" width="${MAP_AREA.width}" height="${MAP_AREA.height}" rx="12" fill="${COLORS.panel}"/>` +
+      this._buildBubbleMap(nodes, mapData.links || []) +
+      this._buildTopHolderBars(nodes, 810, 90) +
+      this._buildSupplyDonut(nodes, metaData, 810, 520) +
+      `<text x="${WIDTH - 20}" y="${HEIGHT - 8}" font-size="12" text-anchor="end" fill="${COLORS.muted}">Rendered from Bubblemaps data</text>` +
+      `</svg>`;
+  }
+
+  /**
+   * Build the bubble map: one circle per holder, sized by share of supply and colored by cluster
+   * @private
+   * @param {Array} nodes - Holder nodes sorted by share, descending
+   * @param {Array} links - Transfer links between holders (node indexes)
+   * @returns {string} - SVG markup
+   */
+  _buildBubbleMap(nodes, links) {
+    const drawn = nodes.slice(0, this.maxBubbles);
+    const clusterColors = this._assignClusterColors(nodes, links);
+
+    // Scale radii so the bubbles cover about half of the panel
+    const totalPercent = drawn.reduce((total, node) => total + Math.max(node.percent, 0.01), 0);
+    const scale = Math.sqrt((MAP_AREA.width * MAP_AREA.height * 0.5) / (Math.PI * totalPercent));
+    const bubbles = drawn.map(node => ({
+      node,
+      r: Math.max(3, Math.sqrt(Math.max(node.percent, 0.01)) * scale)
+    }));
+
+    this._packBubbles(bubbles);
+
+    const positions = new Map(bubbles.map(bubble => [bubble.node.index, bubble]));
+
+    const linkLines = links
+      .filter(link => positions.has(link.source) && positions.has(link.target))
+      .map(link => {
+        const from = positions.get(link.source);
+        const to = positions.get(link.target);
+        return `<line x1="${from.x.toFixed(1)}" y1="${from.y.toFixed(1)}" x2="${to.x.toFixed(1)}" y2="${to.y.toFixed(1)}" stroke="${COLORS.link}" stroke-width="1"/>`;
+      })
+      .join('');
+
+    const circles = bubbles.map((bubble, rank) => {
+      const { node, x, y, r } = bubble;
+      const fill = node.is_exchange ? COLORS.exchange
+        : node.is_contract ? COLORS.contract
+        : clusterColors.get(node.index) || COLORS.wallet;
+      const label = r >= 14
+        ? `<text x="${x.toFixed(1)}" y="${(y + 5).toFixed(1)}" font-size="${Math.min(16, Math.round(r / 1.6))}" text-anchor="middle" fill="${COLORS.background}" font-weight="bold">${rank + 1}</text>`
+        : '';
+
+      return `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${r.toFixed(1)}" fill="${fill}" fill-opacity="0.85" stroke="${COLORS.background}" stroke-width="1"/>${label}`;
+    }).join('');
+
+    const legend = [
+      ['Wallet', COLORS.wallet],
+      ['Linked cluster', COLORS.clusters[0]],
+      ['Exchange', COLORS.exchange],
+      ['Contract', COLORS.contract]
+    ].map(([label, color], index) => {
+      const x = MAP_AREA.x + 16 + index * 140;
+      const y = MAP_AREA.y + MAP_AREA.height - 16;
+      return `<circle cx="${x}" cy="${y - 5}" r="6" fill="${color}"/><text x="${x + 12}" y="${y}" font-size="13" fill="${COLORS.muted}">${label}</text>`;
+    }).join('');
+
+    return `<g>${linkLines}${circles}${legend}</g>`;
+  }
+
+  /**
+   * Place bubbles without overlap, largest first, spiralling out from the panel center
+   * @private
+   * @param {Array} bubbles - Bubbles ({ r }) sorted by radius, descending; x and y are set in place
+   */
+  _packBubbles(bubbles) {
+    const centerX = MAP_AREA.x + MAP_AREA.width / 2;
+    const centerY = MAP_AREA.y + (MAP_AREA.height - 30) / 2;
+    const placed = [];
+
+    for (const bubble of bubbles) {
+      let angle = 0;
+      let distance = 0;
+
+      for (;;) {
+        const x = centerX + distance * Math.cos(angle);
+        const y = centerY + distance * Math.sin(angle);
+        const overlaps = placed.some(other => Math.hypot(other.x - x, other.y - y) < other.r + bubble.r + 2);
+
+        if (!overlaps || distance > MAP_AREA.width) {
+          bubble.x = x;
+          bubble.y = y;
+          break;
+        }
+
+        // Archimedean spiral: small angular steps, slowly growing radius
+        angle += 0.35;
+        distance += 0.6;
+      }
+
+      placed.push(bubble);
+    }
+
+    // Fit the packed bubbles into the panel
+    const minX = Math.min(...bubbles.map(bubble => bubble.x - bubble.r));
+    const maxX = Math.max(...bubbles.map(bubble => bubble.x + bubble.r));
+    const minY = Math.min(...bubbles.map(bubble => bubble.y - bubble.r));
+    const maxY = Math.max(...bubbles.map(bubble => bubble.y + bubble.r));
+    const fit = Math.min(
+      1,
+      (MAP_AREA.width - 40) / (maxX - minX),
+      (MAP_AREA.height - 70) / (maxY - minY)
+    );
+
+    bubbles.forEach(bubble => {
+      bubble.x = centerX + (bubble.x - (minX + maxX) / 2) * fit;
+      bubble.y = centerY + (bubble.y - (minY + maxY) / 2) * fit;
+      bubble.r *= fit;
+    });
+  }
+
+  /**
+   * Give every group of holders connected by transfers its own color
+   * @private
+   * @param {Array} nodes - Holder nodes sorted by share, descending
+   * @param {Array} links - Transfer links between holders (node indexes)
+   * @returns {Map} - Node index to color (only for holders in a cluster)
+   */
+  _assignClusterColors(nodes, links) {
+    // Union-find over node indexes
+    const parent = new Map();
+    const find = (index) => {
+      while (parent.has(index) && parent.get(index) !== index) {
+        index = parent.get(index);
+      }
+      return index;
+    };
+
+    links.forEach(link => {
+      const rootA = find(link.source);
+      const rootB = find(link.target);
+      if (rootA !== rootB) parent.set(rootB, rootA);
+      if (!parent.has(rootA)) parent.set(rootA, rootA);
+    });
+
+    // Clusters are colored in order of their largest holder
+    const colors = new Map();
+    const clusterColors = new Map();
+    nodes.forEach(node => {
+      if (!parent.has(node.index)) return;
+
+      const root = find(node.index);
+      if (!clusterColors.has(root)) {
+        clusterColors.set(root, COLORS.clusters[clusterColors.size % COLORS.clusters.length]);
+      }
+      colors.set(node.index, clusterColors.get(root));
+    });
+
+    return colors;
+  }
+
+  /**
+   * Build the top 10 holders bar chart
+   * @private
+   * @param {Array} nodes - Holder nodes sorted by share, descending
+   * @param {number} x - Left position
+   * @param {number} y - Top position
+   * @returns {string} - SVG markup
+   */
+  _buildTopHolderBars(nodes, x, y) {
+    const width = WIDTH - x - 20;
+    const top = nodes.slice(0, 10);
+    const maxPercent = Math.max(...top.map(node => node.percent), 1);
+    const barWidth = width - 190;
+
+    const bars = top.map((node, index) => {
+      const rowY = y + 50 + index * 36;
+      const name = node.name || `${node.address.slice(0, 6)}...${node.address.slice(-4)}`;
+      const fill = node.is_exchange ? COLORS.exchange : node.is_contract ? COLORS.contract : COLORS.wallet;
+      const length = Math.max(2, (node.percent / maxPercent) * barWidth);
+
+      return `<text x="${x + 16}" y="${rowY + 14}" font-size="13" fill="${COLORS.text}">${index + 1}. ${escapeXml(truncate(name, 16))}</text>` +
+        `<rect x="${x + 150}" y="${rowY}" width="${length.toFixed(1)}" height="20" rx="4" fill="${fill}"/>` +
+        `<text x="${x + width - 12}" y="${rowY + 14}" font-size="13" text-anchor="end" fill="${COLORS.text}">${node.percent.toFixed(2)}%</text>`;
+    }).join('');
+
+    return `<rect x="${x}" y="${y}" width="${width}" height="410" rx="12" fill="${COLORS.panel}"/>` +
+      `<text x="${x + 16}" y="${y + 30}" font-size="17" font-weight="bold" fill="${COLORS.text}">Top 10 holders</text>` +
+      bars;
+  }
+
+  /**
+   * Build the supply breakdown donut (exchanges, contracts, top 10 wallets, everyone else)
+   * @private
+   * @param {Array} nodes - Holder nodes sorted by share, descending
+   * @param {Object} metaData - Metadata from Bubblemaps API
+   * @param {number} x - Left position
+   * @param {number} y - Top position
+   * @returns {string} - SVG markup
+   */
+  _buildSupplyDonut(nodes, metaData, x, y) {
+    const width = WIDTH - x - 20;
+    const height = HEIGHT - y - 20;
+    const identifiedSupply = metaData.identified_supply || {};
+
+    const cexPercent = identifiedSupply.percent_in_cexs || 0;
+    const contractPercent = identifiedSupply.percent_in_contracts || 0;
+    const walletPercent = Math.min(
+      Math.max(0, 100 - cexPercent - contractPercent),
+      nodes.filter(node => !node.is_exchange && !node.is_contract).slice(0, 10).reduce((total, node) => total + node.percent, 0)
+    );
+    const otherPercent = Math.max(0, 100 - cexPercent - contractPercent - walletPercent);
+
+    const segments = [
+      ['Exchanges', cexPercent, COLORS.exchange],
+      ['Contracts', contractPercent, COLORS.contract],
+      ['Top 10 wallets', walletPercent, COLORS.wallet],
+      ['Everyone else', otherPercent, COLORS.link]
+    ];
+
+    const cx = x + 110;
+    const cy = y + height / 2 + 14;
+    const radius = 80;
+    const circumference = 2 * Math.PI * radius;
+    let offset = 0;
+
+    const arcs = segments.filter(([, percent]) => percent > 0).map(([, percent, color]) => {
+      const length = (percent / 100) * circumference;
+      const arc = `<circle cx="${cx}" cy="${cy}" r="${radius}" fill="none" stroke="${color}" stroke-width="34" ` +
+        `stroke-dasharray="${length.toFixed(2)} ${(circumference - length).toFixed(2)}" stroke-dashoffset="${(-offset).toFixed(2)}" ` +
+        `transform="rotate(-90 ${cx} ${cy})"/>`;
+      offset += length;
+      return arc;
+    }).join('');
+
+    const legend = segments.map(([label, percent, color], index) => {
+      const rowY = cy - 48 + index * 30;
+      return `<rect x="${x + 230}" y="${rowY - 12}" width="14" height="14" rx="3" fill="${color}"/>` +
+        `<text x="${x + 252}" y="${rowY}" font-size="14" fill="${COLORS.text}">${label}: ${percent.toFixed(1)}%</text>`;
+    }).join('');
+
+    return `<rect x="${x}" y="${y}" width="${width}" height="${height}" rx="12" fill="${COLORS.panel}"/>` +
+      `<text x="${x + 16}" y="${y + 30}" font-size="17" font-weight="bold" fill="${COLORS.text}">Supply breakdown</text>` +
+      arcs +
+      legend;
+  }
+}
+
+/**
+ * Escape text for use inside SVG markup
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Shorten text to a maximum length with an ellipsis
+ * @param {string} text - Text
+ * @param {number} length - Maximum length
+ * @returns {string} - Shortened text
+ */
+function truncate(text, length) {
+  return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+}
+
+module.exports = new ChartService();
@@ -0,0 +1,280 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const validation = require('../utils/validation');
+const constants = require('../../config/constants');
+const bubblemapsService = require('./bubblemapsService');
+const marketDataService = require('./marketDataService');
+const screenshotService = require('./screenshotService');
+const snapshotService = require('./snapshotService');
+const chainResolutionService = require('./chainResolutionService');
+
+/**
+ * Service queueing token checks (chain detection, data fetching and map rendering)
+ * with global and per-user concurrency caps; identical checks already in flight are shared
+ * Probing the chains of an address before a check goes through the same queue
+ */
+class CheckQueueService {
+  constructor() {
+    this.concurrency = config.checkQueue.concurrency;
+    this.perUserConcurrency = config.checkQueue.perUserConcurrency;
+
+    this.pending = []; // Jobs waiting for a free slot
+    this.jobs = new Map(); // Every job in flight (pending or running) by key
+    this.running = 0;
+    this.runningByUser = new Map();
+  }
+
+  /**
+   * Check a token through the queue
+   * @param {Object} request - Check request
+   * @param {string} request.contractAddress - Contract address
+   * @param {string} request.chain - Chain ID (optional, detected if omitted)
+   * @param {string} request.fallbackChain - Chain used if detection fails
+   * @param {string} request.chartStyle - Chart style for the map image (constants.chartStyles), null for no image
+   * @param {string} request.userId - ID of the requester (for the per-user cap)
+   * @param {Function} request.onProgress - Called with (stage, details) as the check advances
+   * @returns {Promise<Object>} - { chain, isValid, mapData, metaData, marketData, image }
+   */
+  checkToken(request) {
+    const { contractAddress, chain, fallbackChain, chartStyle, userId, onProgress } = request;
+    const address = contractAddress.startsWith('0x') ? contractAddress.toLowerCase() : contractAddress;
+    const key = `${chain || `auto-${fallbackChain}`}:${address}:${chartStyle}`;
+
+    return this._enqueue(key, userId, onProgress, (setStage) => this._runCheck(contractAddress, chain, fallbackChain, chartStyle, setStage));
+  }
+
+  /**
+   * Find the chains an EVM address exists on through the queue
+   * @param {Object} request - Resolution request
+   * @param {string} request.contractAddress - Contract address (EVM format)
+   * @param {string} request.userId - ID of the requester (for the per-user cap)
+   * @param {Function} request.onProgress - Called with (stage, details) as the job advances
+   * @returns {Promise<Array<string>>} - Chain IDs (chainResolutionService.resolveChains)
+   */
+  resolveChains(request) {
+    const { contractAddress, userId, onProgress } = request;
+    const key = `chains:${contractAddress.toLowerCase()}`;
+
+    return this._enqueue(key, userId, onProgress, (setStage) => {
+      setStage(constants.checkStages.DETECTING_CHAIN);
+      return chainResolutionService.resolveChains(contractAddress);
+    });
+  }
+
+  /**
+   * Summarize an address on each of its chains through the queue
+   * @param {Object} request - Summary request
+   * @param {string} request.contractAddress - Contract address
+   * @param {Array<string>} request.chains - Chain IDs
+   * @param {string} request.userId - ID of the requester (for the per-user cap)
+   * @param {Function} request.onProgress - Called with (stage, details) as the job advances
+   * @returns {Promise<Array<Object>>} - Per-chain summaries (chainResolutionService.getChainSummaries)
+   */
+  getChainSummaries(request) {
+    const { contractAddress, chains, userId, onProgress } = request;
+    const key = `summaries:${contractAddress.toLowerCase()}:${chains.join(',')}`;
+
+    return this._enqueue(key, userId, onProgress, (setStage) => {
+      setStage(constants.checkStages.DETECTING_CHAIN);
+      return chainResolutionService.getChainSummaries(contractAddress, chains);
+    });
+  }
+
+  /**
+   * Queue a job, or join the identical one already in flight
+   * @private
+   * @param {string} key - Job key, identical jobs share it
+   * @param {string} userId - ID of the requester (for the per-user cap)
+   * @param {Function} onProgress - Progress callback (optional)
+   * @param {Function} run - Called with setStage when the job gets a slot, resolves to the job result
+   * @returns {Promise<*>} - Job result
+   */
+  _enqueue(key, userId, onProgress, run) {
+    // Same job already in flight: follow it instead of starting another one
+    const existing = this.jobs.get(key);
+    if (existing) {
+      logger.debug(`Joining in-flight check ${key}`);
+      if (onProgress) {
+        existing.subscribers.push(onProgress);
+        this._report(onProgress, existing.stage, existing.details);
+      }
+      return existing.promise;
+    }
+
+    const job = {
+      key,
+      userId: String(userId),
+      subscribers: onProgress ? [onProgress] : [],
+      stage: constants.checkStages.QUEUED,
+      details: {},
+      run
+    };
+
+    job.promise = new Promise((resolve, reject) => {
+      job.resolve = resolve;
+      job.reject = reject;
+    });
+
+    this.jobs.set(key, job);
+    this.pending.push(job);
+    this._drain();
+    this._reportQueuePositions();
+
+    return job.promise;
+  }
+
+  /**
+   * Get the current state of the queue
+   * @returns {Object} - { running, pending, concurrency, perUserConcurrency }
+   */
+  getStatus() {
+    return {
+      running: this.running,
+      pending: this.pending.length,
+      concurrency: this.concurrency,
+      perUserConcurrency: this.perUserConcurrency
+    };
+  }
+
+  /**
+   * Start as many pending jobs as the caps allow
+   * @private
+   */
+  _drain() {
+    while (this.running < this.concurrency) {
+      const index = this.pending.findIndex(job => (this.runningByUser.get(job.userId) || 0) < this.perUserConcurrency);
+      if (index === -1) break;
+
+      const [job] = this.pending.splice(index, 1);
+      this._start(job);
+    }
+  }
+
+  /**
+   * Run a job and release its slot when done
+   * @private
+   * @param {Object} job - Job
+   */
+  _start(job) {
+    this.running++;
+    this.runningByUser.set(job.userId, (this.runningByUser.get(job.userId) || 0) + 1);
+
+    const setStage = (stage, details = {}) => {
+      job.stage = stage;
+      job.details = details;
+      job.subscribers.forEach(subscriber => this._report(subscriber, stage, details));
+    };
+
+    job.run(setStage)
+      .then(job.resolve, job.reject)
+      .finally(() => {
+        this.running--;
+        const userRunning = this.runningByUser.get(job.userId) - 1;
+        if (userRunning > 0) {
+          this.runningByUser.set(job.userId, userRunning);
+        } else {
+          this.runningByUser.delete(job.userId);
+        }
+
+        this.jobs.delete(job.key);
+        this._drain();
+        this._reportQueuePositions();
+      });
+  }
+
+  /**
+   * The check pipeline: detect chain, fetch data, render the map
+   * @private
+   * @param {string} contractAddress - Contract address
+   * @param {string} chain - Chain ID (optional)
+   * @param {string} fallbackChain - Chain used if detection fails
+   * @param {string} chartStyle - Chart style (null to skip the image)
+   * @param {Function} setStage - Progress reporter
+   * @returns {Promise<Object>} - Check result
+   */
+  async _runCheck(contractAddress, chain, fallbackChain, chartStyle, setStage) {
+    let chainToUse = chain;
+
+    // Auto-detect chain if not provided
+    if (!chainToUse) {
+      setStage(constants.checkStages.DETECTING_CHAIN);
+      chainToUse = contractAddress.startsWith('0x')
+        ? await validation.detectEVMChain(contractAddress)
+        : 'sol';
+    }
+
+    // If we couldn't detect, use the requester's preferred chain
+    if (!chainToUse) {
+      chainToUse = fallbackChain || constants.defaultChain;
+    }
+
+    setStage(constants.checkStages.FETCHING);
+
+    // Check if token is available in Bubblemaps
+    const isValid = await bubblemapsService.validateContract(contractAddress, chainToUse);
+    if (!isValid) {
+      return { chain: chainToUse, isValid: false };
+    }
+
+    const [mapData, metaData, marketData] = await Promise.all([
+      bubblemapsService.getTokenMapData(contractAddress, chainToUse),
+      bubblemapsService.getTokenMetadata(contractAddress, chainToUse),
+      marketDataService.getTokenMarketData(contractAddress, chainToUse)
+    ]);
+
+    if (!mapData || !metaData) {
+      throw new Error(`Incomplete token data for ${contractAddress} on ${chainToUse}`);
+    }
+
+    // Record a distribution snapshot for /history
+    await snapshotService.recordSnapshot(contractAddress, chainToUse, mapData, metaData, marketData);
+
+    if (!chartStyle) {
+      return { chain: chainToUse, isValid: true, mapData, metaData, marketData, image: null };
+    }
+
+    setStage(constants.checkStages.RENDERING);
+
+    let image = null;
+    try {
+      image = await screenshotService.captureTokenImage(contractAddress, chainToUse, chartStyle, mapData, metaData, {
+        onQueuePosition: (position) => setStage(constants.checkStages.RENDERING, { position })
+      });
+    } catch (error) {
+      logger.error(`Error rendering map for ${contractAddress} on ${chainToUse}: ${error.message}`);
+    }
+
+    return { chain: chainToUse, isValid: true, mapData, metaData, marketData, image };
+  }
+
+  /**
+   * Tell waiting jobs their position in the queue
+   * @private
+   */
+  _reportQueuePositions() {
+    this.pending.forEach((job, index) => {
+      const position = index + 1;
+      if (job.details.position === position) return;
+
+      job.details = { position };
+      job.subscribers.forEach(subscriber => this._report(subscriber, constants.checkStages.QUEUED, job.details));
+    });
+  }
+
+  /**
+   * Call a progress subscriber without letting it break the job
+   * @private
+   * @param {Function} subscriber - Progress callback
+   * @param {string} stage - Stage
+   * @param {Object} details - Stage details
+   */
+  _report(subscriber, stage, details) {
+    try {
+      subscriber(stage, details);
+    } catch (error) {
+      logger.warn(`Error reporting check progress: ${error.message}`);
+    }
+  }
+}
+
+module.exports = new CheckQueueService();
@@ -0,0 +1,232 @@
+const DigestSubscription = require('../models/DigestSubscription');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const formatters = require('../utils/formatters');
+const constants = require('../../config/constants');
+const statisticsService = require('./statisticsService');
+const snapshotService = require('./snapshotService');
+
+/**
+ * Service for digest subscriptions and the scheduler that posts them
+ */
+class DigestService {
+  constructor() {
+    this.bot = null;
+    this.timer = null;
+    this.isRunning = false;
+    this.checkInterval = config.digest.checkIntervalMinutes * 60 * 1000;
+  }
+
+  /**
+   * Get the digest subscription of a chat
+   * @param {string} chatId - User or group chat ID
+   * @returns {Promise<Object|null>} - DigestSubscription document
+   */
+  async getSubscription(chatId) {
+    try {
+      return await DigestSubscription.findOne({ chatId: String(chatId) });
+    } catch (error) {
+      logger.error(`Error getting digest subscription for ${chatId}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Subscribe a chat, change its schedule or unsubscribe it
+   * @param {string} chatId - User or group chat ID
+   * @param {Object} options - { targetType, user, frequency, hourUTC }; a null frequency unsubscribes
+   * @returns {Promise<Object>} - Updated DigestSubscription document
+   */
+  async setSubscription(chatId, options) {
+    try {
+      const current = await this.getSubscription(chatId);
+      const frequency = options.frequency !== undefined
+        ? options.frequency
+        : (current && current.isActive ? current.frequency : null);
+      const hourUTC = options.hourUTC !== undefined
+        ? options.hourUTC
+        : (current ? current.hourUTC : constants.defaultDigestHour);
+
+      const changes = {
+        targetType: options.targetType,
+        isActive: Boolean(frequency),
+        hourUTC,
+        nextRunAt: this.computeNextRun(frequency || constants.digestFrequencies.DAILY, hourUTC)
+      };
+      if (frequency) changes.frequency = frequency;
+      if (options.user) changes.user = options.user._id;
+
+      return await DigestSubscription.findOneAndUpdate(
+        { chatId: String(chatId) },
+        { $set: changes },
+        { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+      );
+    } catch (error) {
+      logger.error(`Error updating digest subscription for ${chatId}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Compute when a digest is next due
+   * @param {string} frequency - Digest frequency (constants.digestFrequencies)
+   * @param {number} hourUTC - Hour of the day (UTC)
+   * @param {Date} from - Time to compute from (defaults to now)
+   * @returns {Date} - Next run time, always after `from`
+   */
+  computeNextRun(frequency, hourUTC, from = new Date()) {
+    const weekly = frequency === constants.digestFrequencies.WEEKLY;
+    const next = new Date(from);
+    next.setUTCHours(hourUTC, 0, 0, 0);
+
+    if (weekly) {
+      next.setUTCDate(next.getUTCDate() + (constants.digestWeekday - next.getUTCDay() + 7) % 7);
+    }
+    if (next <= from) {
+      next.setUTCDate(next.getUTCDate() + (weekly ? 7 : 1));
+    }
+
+    return next;
+  }
+
+  /**
+   * Build the digest message of a subscription
+   * @param {Object} subscription - DigestSubscription document
+   * @param {Map} shared - Sections shared by all digests of a run, by frequency (filled as they are built)
+   * @returns {Promise<string>} - Formatted digest
+   */
+  async buildDigest(subscription, shared = new Map()) {
+    const days = subscription.frequency === constants.digestFrequencies.WEEKLY ? 7 : 1;
+
+    if (!shared.has(subscription.frequency)) {
+      const [trendingTokens, topRatedTokens, popularChains] = await Promise.all([
+        statisticsService.getTrendingTokens(5, days),
+        statisticsService.getTopRatedTokens(5),
+        statisticsService.getPopularChains(null, days)
+      ]);
+      shared.set(subscription.frequency, { trendingTokens, topRatedTokens, popularChains });
+    }
+
+    // Score changes only make sense for a user's own favorites
+    let scoreChanges = null;
+    if (subscription.targetType === 'user' && subscription.user) {
+      const user = await User.findById(subscription.user).select('favorites').lean();
+      const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+      scoreChanges = user ? await snapshotService.getScoreChanges(user.favorites, since) : [];
+    }
+
+    return formatters.formatDigest({
+      frequency: subscription.frequency,
+      ...shared.get(subscription.frequency),
+      scoreChanges
+    });
+  }
+
+  /**
+   * Post every digest that is due and schedule the next ones
+   * @returns {Promise<Object>} - { due, sent }
+   */
+  async runDueDigests() {
+    if (this.isRunning) {
+      logger.warn('Digest run already in progress, skipping this run');
+      return { due: 0, sent: 0 };
+    }
+
+    this.isRunning = true;
+    let due = 0;
+    let sent = 0;
+
+    try {
+      const subscriptions = await DigestSubscription.find({ isActive: true, nextRunAt: { $lte: new Date() } });
+      const shared = new Map();
+      due = subscriptions.length;
+
+      if (due > 0) {
+        logger.info(`Posting ${due} due digests`);
+      }
+
+      for (const subscription of subscriptions) {
+        const delivered = await this._send(subscription, shared);
+        if (delivered) sent++;
+
+        // Schedule from now, so a long downtime leads to one catch-up digest rather than several
+        subscription.nextRunAt = this.computeNextRun(subscription.frequency, subscription.hourUTC);
+        if (delivered) subscription.lastSentAt = new Date();
+        await subscription.save();
+      }
+
+      if (due > 0) {
+        logger.info(`Digest run complete: ${sent}/${due} sent`);
+      }
+    } catch (error) {
+      logger.error(`Error running digests: ${error.message}`);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return { due, sent };
+  }
+
+  /**
+   * Start the digest scheduler, posting digests missed while the bot was down right away
+   * @param {Object} bot - Telegram bot instance
+   */
+  startScheduler(bot) {
+    this.bot = bot;
+    this.stopScheduler();
+
+    this.timer = setInterval(() => {
+      this.runDueDigests();
+    }, this.checkInterval);
+    this.runDueDigests();
+
+    logger.info(`Digest scheduler started (every ${config.digest.checkIntervalMinutes} minutes)`);
+  }
+
+  /**
+   * Stop the digest scheduler
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Build and send the digest of a subscription
+   * @private
+   * @param {Object} subscription - DigestSubscription document
+   * @param {Map} shared - Sections shared by all digests of the run
+   * @returns {Promise<boolean>} - True if the digest was delivered
+   */
+  async _send(subscription, shared) {
+    if (!this.bot) {
+      logger.warn('Digest scheduler has no bot instance, cannot post digests');
+      return false;
+    }
+
+    try {
+      const text = await this.buildDigest(subscription, shared);
+
+      await this.bot.sendMessage(subscription.chatId, text, {
+        parse_mode: 'Markdown',
+        disable_web_page_preview: true
+      });
+
+      logger.info(`Posted ${subscription.frequency} digest to ${subscription.targetType} ${subscription.chatId}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error posting digest to ${subscription.chatId}: ${error.message}`);
+
+      // The user blocked the bot or it was removed from the group
+      if (error.response && error.response.statusCode === 403) {
+        subscription.isActive = false;
+      }
+      return false;
+    }
+  }
+}
+
+module.exports = new DigestService();
@@ -0,0 +1,277 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const WebhookSubscription = require('../models/WebhookSubscription');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const constants = require('../../config/constants');
+
+/**
+ * Service sending bot events to the URLs admins subscribed, signed and retried with backoff
+ */
+class EventWebhookService {
+  constructor() {
+    this.timer = null;
+    this.isRunning = false;
+    this.retryInterval = 30000;
+    this.maxAttempts = config.eventWebhooks.maxAttempts;
+    this.retryBase = config.eventWebhooks.retrySeconds * 1000;
+    this.timeout = config.eventWebhooks.timeoutMs;
+  }
+
+  /**
+   * Send an event to every subscription that wants it
+   * Never throws; callers don't wait for the deliveries
+   * @param {string} event - Event name (constants.webhookEvents)
+   * @param {Object} data - Event data
+   * @returns {Promise<number>} - Number of deliveries queued
+   */
+  async emit(event, data) {
+    try {
+      const subscriptions = await WebhookSubscription.find({ isActive: true, events: event });
+
+      for (const subscription of subscriptions) {
+        // Hold the delivery back from the retry worker while the first attempt runs
+        const delivery = await WebhookDelivery.create({
+          subscription: subscription._id,
+          event,
+          data,
+          nextAttemptAt: new Date(Date.now() + this.retryBase)
+        });
+        this._attempt(delivery, subscription);
+      }
+
+      return subscriptions.length;
+    } catch (error) {
+      logger.error(`Error emitting ${event} webhook event: ${error.message}`);
+      return 0;
+    }
+  }
+
+  /**
+   * Send the interactions that have an event (token checks, new favorites)
+   * @param {Object} user - User document
+   * @param {string} type - Interaction type
+   * @param {Object} data - Interaction data
+   * @param {string} chatId - Group chat ID (optional)
+   */
+  emitInteraction(user, type, data = {}, chatId = null) {
+    const types = constants.interactionTypes;
+    const events = constants.webhookEvents;
+
+    if (type === types.CHECK_TOKEN) {
+      this.emit(events.TOKEN_CHECKED, {
+        contractAddress: data.token,
+        chain: data.chain,
+        user: this._describeUser(user),
+        chatId: chatId ? String(chatId) : null
+      });
+    } else if (type === types.ADD_FAVORITE) {
+      this.emit(events.FAVORITE_ADDED, {
+        contractAddress: data.contractAddress,
+        chain: data.chain,
+        name: data.name || null,
+        symbol: data.symbol || null,
+        user: this._describeUser(user)
+      });
+    }
+  }
+
+  /**
+   * Register a URL for some events
+   * @param {Object} admin - Admin user
+   * @param {string} url - Endpoint URL
+   * @param {Array<string>} events - Event names (all events when empty)
+   * @returns {Promise<Object>} - WebhookSubscription document, including its secret
+   */
+  async subscribe(admin, url, events = []) {
+    const subscription = await WebhookSubscription.register(
+      url,
+      events.length > 0 ? events : Object.values(constants.webhookEvents),
+      admin.telegramId
+    );
+
+    logger.info(`Admin ${admin.telegramId} subscribed ${url} to ${subscription.events.join(', ')}`);
+    return subscription;
+  }
+
+  /**
+   * List subscriptions, newest first
+   * @returns {Promise<Array>} - Subscriptions (without secrets)
+   */
+  async listSubscriptions() {
+    return WebhookSubscription.find({ isActive: true }).select('-secret').sort({ createdAt: -1 }).lean();
+  }
+
+  /**
+   * Stop sending events to a subscription
+   * @param {Object} admin - Admin user
+   * @param {string} subscriptionId - Subscription ID
+   * @returns {Promise<Object|null>} - Removed subscription, null if not found
+   */
+  async unsubscribe(admin, subscriptionId) {
+    if (!/^[a-f0-9]{24}$/i.test(subscriptionId)) return null;
+
+    const subscription = await WebhookSubscription.findOneAndUpdate(
+      { _id: subscriptionId, isActive: true },
+      { $set: { isActive: false } },
+      { new: true }
+    );
+    if (subscription) {
+      logger.info(`Admin ${admin.telegramId} removed webhook subscription ${subscriptionId} (${subscription.url})`);
+    }
+    return subscription;
+  }
+
+  /**
+   * Retry every pending delivery that is due
+   * @returns {Promise<number>} - Number of deliveries attempted
+   */
+  async runDueDeliveries() {
+    if (this.isRunning) return 0;
+    this.isRunning = true;
+
+    let attempted = 0;
+    try {
+      const due = await WebhookDelivery.find({ status: 'pending', nextAttemptAt: { $lte: new Date() } })
+        .sort({ nextAttemptAt: 1 })
+        .limit(100)
+        .populate('subscription');
+
+      for (const delivery of due) {
+        if (!delivery.subscription || !delivery.subscription.isActive) {
+          delivery.status = 'failed';
+          delivery.lastError = 'Subscription removed';
+          await delivery.save();
+          continue;
+        }
+
+        await this._attempt(delivery, delivery.subscription);
+        attempted++;
+      }
+    } catch (error) {
+      logger.error(`Error retrying webhook deliveries: ${error.message}`);
+    } finally {
+      this.isRunning = false;
+    }
+
+    return attempted;
+  }
+
+  /**
+   * Start the worker retrying failed deliveries
+   */
+  startScheduler() {
+    this.stopScheduler();
+
+    this.timer = setInterval(() => {
+      this.runDueDeliveries();
+    }, this.retryInterval);
+
+    logger.info('Webhook delivery retries started');
+  }
+
+  /**
+   * Stop the retry worker
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Sign a payload the way receivers should check it
+   * The signature covers `<timestamp>.<body>` so old deliveries can't be replayed with a new timestamp
+   * @param {string} secret - Subscription secret
+   * @param {number} timestamp - Unix timestamp (seconds) sent in X-Webhook-Timestamp
+   * @param {string} body - Raw JSON body
+   * @returns {string} - Hex HMAC-SHA256
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  /**
+   * POST a delivery and record the outcome, scheduling a retry with backoff on failure
+   * @private
+   * @param {Object} delivery - WebhookDelivery document
+   * @param {Object} subscription - WebhookSubscription document
+   * @returns {Promise<boolean>} - True if the endpoint accepted the event
+   */
+  async _attempt(delivery, subscription) {
+    const body = JSON.stringify({
+      id: String(delivery._id),
+      event: delivery.event,
+      createdAt: delivery.createdAt,
+      data: delivery.data
+    });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    delivery.attempts += 1;
+    let error = null;
+
+    try {
+      const response = await axios.post(subscription.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Id': String(delivery._id),
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${this.sign(subscription.secret, timestamp, body)}`
+        },
+        timeout: this.timeout,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+
+      delivery.lastStatusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        error = `HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    if (!error) {
+      delivery.status = 'delivered';
+      delivery.deliveredAt = new Date();
+      delivery.lastError = null;
+      logger.info(`Webhook ${delivery.event} ${delivery._id} delivered to ${subscription.url}`);
+    } else if (delivery.attempts >= this.maxAttempts) {
+      delivery.status = 'failed';
+      delivery.lastError = error;
+      logger.error(`Webhook ${delivery.event} ${delivery._id} to ${subscription.url} failed after ${delivery.attempts} attempts: ${error}`);
+    } else {
+      const delay = this.retryBase * Math.pow(2, delivery.attempts - 1);
+      delivery.nextAttemptAt = new Date(Date.now() + delay);
+      delivery.lastError = error;
+      logger.warn(`Webhook ${delivery.event} ${delivery._id} to ${subscription.url} failed (${error}), retrying in ${Math.round(delay / 1000)}s`);
+    }
+
+    try {
+      await delivery.save();
+      await WebhookSubscription.updateOne(
+        { _id: subscription._id },
+        { $set: { lastDeliveryAt: new Date(), lastDeliveryStatus: error || 'ok' } }
+      );
+    } catch (saveError) {
+      logger.error(`Error saving webhook delivery ${delivery._id}: ${saveError.message}`);
+    }
+
+    return !error;
+  }
+
+  /**
+   * Describe a user in event payloads
+   * @private
+   * @param {Object} user - User document
+   * @returns {Object} - { telegramId, username }
+   */
+  _describeUser(user) {
+    return { telegramId: user.telegramId, username: user.username || null };
+  }
+}
+
+module.exports = new EventWebhookService();
@@ -1,10 +1,18 @@
 const Group = require('../models/Group');
+const GroupSettings = require('../models/GroupSettings');
+const userService = require('./userService');
+const eventWebhookService = require('./eventWebhookService');
 const logger = require('../utils/logger');
+const constants = require('../../config/constants');
 
 /**
  * Service for group management and statistics
  */
 class GroupService {
+  constructor() {
+    this.lastReports = new Map(); // Last report message of each token in each group, for per-token cooldowns
+  }
+
   /**
    * Register a group and update its information
    * @param {Object} groupData - Group information
@@ -24,6 +32,47 @@ class GroupService {
     }
   }
 
+  /**
+   * Record a change of the bot's own membership in a group (my_chat_member update)
+   * @param {Object} update - ChatMemberUpdated object from Telegram
+   * @returns {Promise<Object|null>} - { group, event, isNew }, or null for other chats and unchanged statuses
+   */
+  async handleMembershipChange(update) {
+    const { chat, from } = update;
+    if (chat.type !== 'group' && chat.type !== 'supergroup') {
+      return null;
+    }
+
+    try {
+      const chatId = String(chat.id);
+      const botStatus = this._botStatus(update.new_chat_member);
+      const event = this._membershipEvent(this._botStatus(update.old_chat_member), botStatus);
+      if (!event) {
+        return null;
+      }
+
+      const isNew = !(await Group.exists({ chatId }));
+      const group = await Group.findOrCreate({ chatId, name: chat.title || 'Unknown group', username: chat.username });
+      await group.recordMembership(event, botStatus, from && from.id);
+
+      logger.info(`Bot ${event} in group ${chatId} (${group.name}), now ${botStatus}`);
+      if (event === 'joined') {
+        eventWebhookService.emit(constants.webhookEvents.GROUP_JOINED, {
+          chatId,
+          name: group.name,
+          username: group.username || null,
+          botStatus,
+          addedBy: from ? String(from.id) : null,
+          isNew
+        });
+      }
+      return { group, event, isNew };
+    } catch (error) {
+      logger.error(`Error recording membership change in group ${chat.id}: ${error.message}`);
+      return null;
+    }
+  }
+
   /**
    * Track token check in a group
    * @param {string} chatId - Group chat ID
@@ -45,6 +94,148 @@ class GroupService {
     }
   }
 
+  /**
+   * Record a token check made in a group, for the group's counters and its /groupstats
+   * @param {Object} chat - Telegram chat object
+   * @param {Object} from - Telegram user who asked for the check
+   * @param {string} contractAddress - Contract address
+   * @param {string} chain - Chain ID
+   */
+  async recordTokenCheck(chat, from, contractAddress, chain) {
+    const chatId = String(chat.id);
+
+    try {
+      await this.registerGroup({ chatId, name: chat.title || 'Unknown group', username: chat.username });
+      await this.trackTokenCheck(chatId);
+
+      const user = await userService.getOrCreateUser(from);
+      await userService.trackInteraction(user, constants.interactionTypes.CHECK_TOKEN, {
+        token: contractAddress,
+        chain
+      }, chatId);
+    } catch (error) {
+      logger.error(`Error recording token check in group ${chatId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the chart style configured for a group
+   * @param {string} chatId - Group chat ID
+   * @returns {Promise<string>} - Chart style (constants.chartStyles)
+   */
+  async getChartStyle(chatId) {
+    try {
+      const group = await Group.findOne({ chatId: String(chatId) }).select('chartStyle').lean();
+      return (group && group.chartStyle) || constants.defaultChartStyle;
+    } catch (error) {
+      logger.error(`Error getting chart style for group ${chatId}: ${error.message}`);
+      return constants.defaultChartStyle;
+    }
+  }
+
+  /**
+   * Set the chart style for a group
+   * @param {Object} chat - Telegram chat object
+   * @param {string} chartStyle - Chart style (constants.chartStyles)
+   * @returns {Promise<Object>} - Updated group
+   */
+  async setChartStyle(chat, chartStyle) {
+    try {
+      return await Group.findOneAndUpdate(
+        { chatId: String(chat.id) },
+        {
+          $set: { chartStyle, lastActivity: Date.now() },
+          $setOnInsert: { name: chat.title || 'Unknown group', username: chat.username }
+        },
+        { new: true, upsert: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      logger.error(`Error setting chart style for group ${chat.id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the settings of a group (defaults if the group never changed them)
+   * @param {string} chatId - Group chat ID
+   * @returns {Promise<Object>} - GroupSettings document
+   */
+  async getSettings(chatId) {
+    try {
+      return await GroupSettings.getForChat(chatId);
+    } catch (error) {
+      logger.error(`Error getting settings for group ${chatId}: ${error.message}`);
+      return new GroupSettings({ chatId: String(chatId) });
+    }
+  }
+
+  /**
+   * Update the settings of a group
+   * @param {Object} chat - Telegram chat object
+   * @param {Object} changes - Settings to change
+   * @param {string} adminId - Telegram ID of the admin making the change
+   * @returns {Promise<Object>} - Updated GroupSettings document
+   */
+  async updateSettings(chat, changes, adminId) {
+    try {
+      return await GroupSettings.findOneAndUpdate(
+        { chatId: String(chat.id) },
+        { $set: { ...changes, updatedBy: String(adminId) } },
+        { new: true, upsert: true, setDefaultsOnInsert: true, runValidators: true }
+      );
+    } catch (error) {
+      logger.error(`Error updating settings for group ${chat.id}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the previous report of a token in a group if it was posted less than the cooldown ago
+   * @param {string} chatId - Group chat ID
+   * @param {string} contractAddress - Contract address
+   * @param {number} cooldownMinutes - Cooldown in minutes
+   * @returns {Object|null} - { reportedAt, messageId } or null if the token can be reported again
+   */
+  getRecentReport(chatId, contractAddress, cooldownMinutes) {
+    if (!cooldownMinutes) return null;
+
+    const report = this.lastReports.get(this._reportKey(chatId, contractAddress));
+    if (!report || Date.now() - report.reportedAt >= cooldownMinutes * 60 * 1000) {
+      return null;
+    }
+
+    return report;
+  }
+
+  /**
+   * Remember the report message of a token in a group
+   * @param {string} chatId - Group chat ID
+   * @param {string} contractAddress - Contract address
+   * @param {number} messageId - ID of the report message (null while the report is being prepared)
+   */
+  markTokenReported(chatId, contractAddress, messageId = null) {
+    // Re-insert so the map stays ordered from oldest to newest report
+    const key = this._reportKey(chatId, contractAddress);
+    this.lastReports.delete(key);
+    this.lastReports.set(key, { reportedAt: Date.now(), messageId });
+
+    // Drop entries older than the longest cooldown on offer
+    const maxCooldown = Math.max(...constants.groupCooldownOptions) * 60 * 1000;
+    for (const [reportKey, report] of this.lastReports) {
+      if (Date.now() - report.reportedAt < maxCooldown) break;
+      this.lastReports.delete(reportKey);
+    }
+  }
+
+  /**
+   * Forget the report of a token in a group, so it can be checked again right away
+   * @param {string} chatId - Group chat ID
+   * @param {string} contractAddress - Contract address
+   */
+  clearTokenReport(chatId, contractAddress) {
+    this.lastReports.delete(this._reportKey(chatId, contractAddress));
+  }
+
   /**
    * Get group statistics
    * @param {Object} options - Query options
@@ -260,6 +451,59 @@ class GroupService {
       };
     }
   }
+
+  /**
+   * Map a Telegram chat member status of the bot to Group.botStatus
+   * @private
+   * @param {Object} member - ChatMember object of the bot
+   * @returns {string} - Bot status
+   */
+  _botStatus(member) {
+    switch (member && member.status) {
+      case 'creator':
+      case 'administrator':
+        return 'admin';
+      case 'member':
+        return 'member';
+      case 'restricted':
+        // Restricted members can also be outside the group
+        return member.is_member === false ? 'left' : 'restricted';
+      case 'left':
+      case 'kicked':
+        return member.status;
+      default:
+        return 'unknown';
+    }
+  }
+
+  /**
+   * Name the change between two bot statuses
+   * @private
+   * @param {string} previous - Bot status before the change
+   * @param {string} current - Bot status after the change
+   * @returns {string|null} - Membership event, or null if nothing changed
+   */
+  _membershipEvent(previous, current) {
+    if (previous === current) return null;
+    if (current === 'kicked') return 'removed';
+    if (current === 'left') return 'left';
+    if (['left', 'kicked', 'unknown'].includes(previous)) return 'joined';
+    if (current === 'admin') return 'promoted';
+    if (current === 'restricted') return 'restricted';
+    return previous === 'admin' ? 'demoted' : 'unrestricted';
+  }
+
+  /**
+   * Build the cooldown key of a token in a group
+   * @private
+   * @param {string} chatId - Group chat ID
+   * @param {string} contractAddress - Contract address
+   * @returns {string} - Key
+   */
+  _reportKey(chatId, contractAddress) {
+    const address = contractAddress.startsWith('0x') ? contractAddress.toLowerCase() : contractAddress;
+    return `${chatId}:${address}`;
+  }
 }
 
 module.exports = new GroupService(); 
\ No newline at end of file
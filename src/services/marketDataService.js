@@ -1,5 +1,6 @@
 const axios = require('axios');
 const logger = require('../utils/logger');
+const cacheService = require('./cacheService');
 
 /**
  * Service for fetching token market data from various sources
@@ -7,8 +8,9 @@ const logger = require('../utils/logger');
 class MarketDataService {
   constructor() {
     this.coingeckoBaseUrl = 'https://api.coingecko.com/api/v3';
-    this.cache = new Map();
-    this.cacheTTL = 10 * 60 * 1000; // 10 minutes in milliseconds
+    this.cache = cacheService.getCache('coingecko-market-data', {
+      ttl: 10 * 60 * 1000 // 10 minutes in milliseconds
+    });
   }
 
   /**
@@ -26,52 +28,61 @@ class MarketDataService {
         return null;
       }
 
-      // Check cache first
+      // Tokens missing on CoinGecko are cached as "not available" too
       const cacheKey = `${geckoChain}:${tokenAddress.toLowerCase()}`;
-      const cachedData = this._getCachedData(cacheKey);
-      if (cachedData) return cachedData;
-
-      // Fetch data from CoinGecko
-      logger.info(`Fetching market data for ${tokenAddress} on ${chainId} from CoinGecko`);
-      
-      // Get token info to find CoinGecko ID
-      const tokenInfo = await this._getTokenInfo(tokenAddress, geckoChain);
-      if (!tokenInfo) {
-        logger.warn(`Token ${tokenAddress} not found on CoinGecko`);
-        return null;
-      }
-
-      // Get market data using CoinGecko ID
-      const rawMarketData = await this._getMarketData(tokenInfo.id);
-      if (!rawMarketData || !rawMarketData.market_data) {
-        logger.warn(`Market data for token ${tokenAddress} not available`);
-        return null;
-      }
-      
-      // Extract and format the relevant market data
-      const marketData = {
-        price: rawMarketData.market_data.current_price?.usd || 0,
-        price_change_24h: rawMarketData.market_data.price_change_percentage_24h || 0,
-        market_cap: rawMarketData.market_data.market_cap?.usd || 0,
-        volume_24h: rawMarketData.market_data.total_volume?.usd || 0
-      };
-
-      // Cache the result
-      this._cacheData(cacheKey, marketData);
+      const { value } = await this.cache.getOrFetch(
+        cacheKey,
+        () => this._fetchMarketData(tokenAddress, chainId, geckoChain),
+        { isNegative: (marketData) => !marketData }
+      );
       
-      return marketData;
+      return value;
     } catch (error) {
       this._handleApiError(error, 'getTokenMarketData', { tokenAddress, chainId });
       return null;
     }
   }
 
+  /**
+   * Fetch and format market data from CoinGecko
+   * @private
+   * @param {string} tokenAddress - Contract address
+   * @param {string} chainId - Chain ID
+   * @param {string} geckoChain - Chain ID in CoinGecko format
+   * @returns {Promise<Object>} - Market data or null if the token isn't listed (throws on API errors)
+   */
+  async _fetchMarketData(tokenAddress, chainId, geckoChain) {
+    logger.info(`Fetching market data for ${tokenAddress} on ${chainId} from CoinGecko`);
+    
+    // Get token info to find CoinGecko ID
+    const tokenInfo = await this._getTokenInfo(tokenAddress, geckoChain);
+    if (!tokenInfo) {
+      logger.warn(`Token ${tokenAddress} not found on CoinGecko`);
+      return null;
+    }
+
+    // Get market data using CoinGecko ID
+    const rawMarketData = await this._getMarketData(tokenInfo.id);
+    if (!rawMarketData || !rawMarketData.market_data) {
+      logger.warn(`Market data for token ${tokenAddress} not available`);
+      return null;
+    }
+    
+    // Extract and format the relevant market data
+    return {
+      price: rawMarketData.market_data.current_price?.usd || 0,
+      price_change_24h: rawMarketData.market_data.price_change_percentage_24h || 0,
+      market_cap: rawMarketData.market_data.market_cap?.usd || 0,
+      volume_24h: rawMarketData.market_data.total_volume?.usd || 0
+    };
+  }
+
   /**
    * Get token info from CoinGecko
    * @private
    * @param {string} tokenAddress - Contract address
    * @param {string} geckoChain - Chain ID in CoinGecko format
-   * @returns {Promise<Object>} - Token info or null
+   * @returns {Promise<Object>} - Token info or null if not listed (throws on other errors)
    */
   async _getTokenInfo(tokenAddress, geckoChain) {
     try {
@@ -84,8 +95,8 @@ class MarketDataService {
       if (error.response && error.response.status === 404) {
         return null; // Token not found, return null silently
       }
-      logger.error(`Error fetching token info for ${tokenAddress} on ${geckoChain}:`, error.message);
-      return null;
+      // Other errors are not cached, the token may well be listed
+      throw error;
     }
   }
 
@@ -93,7 +104,7 @@ class MarketDataService {
    * Get market data for a token using its CoinGecko ID
    * @private
    * @param {string} coinId - CoinGecko coin ID
-   * @returns {Promise<Object>} - Market data or null
+   * @returns {Promise<Object>} - Market data (throws on errors)
    */
   async _getMarketData(coinId) {
     try {
@@ -112,7 +123,7 @@ class MarketDataService {
       return response.data;
     } catch (error) {
       logger.error(`Error fetching market data for coin ID ${coinId}:`, error.message);
-      return null;
+      throw error;
     }
   }
 
@@ -139,34 +150,6 @@ class MarketDataService {
     return chainMapping[chainId.toLowerCase()] || null;
   }
 
-  /**
-   * Get cached data if valid
-   * @private
-   * @param {string} key - Cache key
-   * @returns {Object|null} - Cached data or null
-   */
-  _getCachedData(key) {
-    const cachedItem = this.cache.get(key);
-    if (cachedItem && Date.now() - cachedItem.timestamp < this.cacheTTL) {
-      logger.debug(`Using cached market data for ${key}`);
-      return cachedItem.data;
-    }
-    return null;
-  }
-
-  /**
-   * Cache data with timestamp
-   * @private
-   * @param {string} key - Cache key
-   * @param {Object} data - Data to cache
-   */
-  _cacheData(key, data) {
-    this.cache.set(key, {
-      data,
-      timestamp: Date.now()
-    });
-  }
-
   /**
    * Handle API errors
    * @private
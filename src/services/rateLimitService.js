@@ -0,0 +1,57 @@
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+
+/**
+ * Service limiting how many token checks a user (or API requests a key) can start in a sliding time window
+ */
+class RateLimitService {
+  constructor() {
+    this.maxChecks = config.rateLimit.maxChecks;
+    this.window = config.rateLimit.windowSeconds * 1000;
+    this.checks = new Map(); // Check timestamps by user ID
+    this.lastPrune = Date.now();
+  }
+
+  /**
+   * Count a check for a user if they are under the limit
+   * @param {string|number} userId - Telegram user ID (or another key, e.g. `api:<id>`)
+   * @param {number} max - Checks allowed per window (defaults to RATE_LIMIT_MAX_CHECKS)
+   * @returns {Object} - { allowed, retryAfter } with retryAfter in seconds when not allowed
+   */
+  consume(userId, max = this.maxChecks) {
+    const key = String(userId);
+    const now = Date.now();
+    const recent = (this.checks.get(key) || []).filter(timestamp => now - timestamp < this.window);
+
+    if (recent.length >= max) {
+      this.checks.set(key, recent);
+      const retryAfter = Math.ceil((recent[recent.length - max] + this.window - now) / 1000);
+      logger.info(`Rate limit hit by ${key}, retry in ${retryAfter}s`);
+      return { allowed: false, retryAfter };
+    }
+
+    recent.push(now);
+    this.checks.set(key, recent);
+    this._prune(now);
+
+    return { allowed: true, retryAfter: 0 };
+  }
+
+  /**
+   * Forget users with no check in the current window (at most once per window)
+   * @private
+   * @param {number} now - Current timestamp
+   */
+  _prune(now) {
+    if (now - this.lastPrune < this.window) return;
+    this.lastPrune = now;
+
+    for (const [key, timestamps] of this.checks) {
+      if (now - timestamps[timestamps.length - 1] >= this.window) {
+        this.checks.delete(key);
+      }
+    }
+  }
+}
+
+module.exports = new RateLimitService();
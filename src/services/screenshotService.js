@@ -1,12 +1,13 @@
-const { chromium } = require('playwright');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../utils/logger');
 const bubblemapsService = require('./bubblemapsService');
-const PlaywrightHelper = require('../utils/playwright-helper');
+const browserPoolService = require('./browserPoolService');
+const chartService = require('./chartService');
+const constants = require('../../config/constants');
 
 /**
- * Service for capturing screenshots of bubble maps using Playwright
+ * Service for capturing screenshots of bubble maps using pooled Playwright browsers
  */
 class ScreenshotService {
   constructor() {
@@ -14,9 +15,11 @@ class ScreenshotService {
     this.ensureDirectoryExists();
     this.maxRetries = 3; // Maximum number of retry attempts
     this.retryDelay = 2000; // Delay between retries in milliseconds
-    this.pageTimeout = 60000; // Increased page load timeout to 60 seconds
     this.navigationTimeout = 60000; // Separate navigation timeout
     this.stabilizationTime = 8000; // Increased wait time for graph to stabilize
+    this.cacheTTL = 3600000; // Screenshots are reused for 1 hour
+    this.fileIdCache = new Map(); // Telegram file IDs of screenshots already uploaded, least recently used first
+    this.maxCachedFileIds = 1000; // Least recently used file IDs are dropped past this
   }
 
   /**
@@ -47,9 +50,10 @@ class ScreenshotService {
    * Capture a screenshot of a token's bubble map
    * @param {string} token - Contract address
    * @param {string} chain - Chain ID
+   * @param {Object} options - { onQueuePosition(position) } called while waiting for a free browser
    * @returns {Promise<Buffer>} - Screenshot buffer
    */
-  async captureMapScreenshot(token, chain) {
+  async captureMapScreenshot(token, chain, options = {}) {
     const url = this.generateMapUrl(token, chain);
     const filename = `${chain}_${token}.png`;
     const filePath = path.join(this.screenshotDir, filename);
@@ -59,7 +63,7 @@ class ScreenshotService {
     // Check if screenshot already exists and is recent (less than 1 hour old)
     try {
       const stats = await fs.stat(filePath);
-      const isRecent = Date.now() - stats.mtimeMs < 3600000; // 1 hour in milliseconds
+      const isRecent = Date.now() - stats.mtimeMs < this.cacheTTL;
       
       if (isRecent) {
         logger.info(`Using cached screenshot for ${token} on ${chain}`);
@@ -73,7 +77,7 @@ class ScreenshotService {
     let lastError = null;
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
       try {
-        const screenshot = await this._takeScreenshot(url, token, chain, attempt);
+        const screenshot = await this._takeScreenshot(url, token, chain, attempt, options);
         
         // Save the screenshot to file if it was successful
         if (screenshot) {
@@ -84,6 +88,12 @@ class ScreenshotService {
           throw new Error('No screenshot data returned');
         }
       } catch (error) {
+        // The pool is saturated, retrying would only make the queue longer
+        if (error.code === 'POOL_BUSY' || error.code === 'QUEUE_TIMEOUT') {
+          logger.warn(`Browser pool unavailable for ${token} on ${chain}: ${error.message}`);
+          throw error;
+        }
+        
         lastError = error;
         logger.warn(`Screenshot attempt ${attempt}/${this.maxRetries} failed for ${token} on ${chain}: ${error.message}`);
         
@@ -113,70 +123,67 @@ class ScreenshotService {
         logger.info(`Creating fallback image for ${token} on ${chain}`);
         
         // Create a default fallback screenshot from a blank HTML page
-        const browser = await chromium.launch({ headless: true });
-        const page = await browser.newPage();
-        
-        // Generate a simple page with token info
-        await page.setContent(`
-          <html>
-            <head>
-              <style>
-                body {
-                  font-family: Arial, sans-serif;
-                  display: flex;
-                  flex-direction: column;
-                  align-items: center;
-                  justify-content: center;
-                  height: 100vh;
-                  margin: 0;
-                  background-color: #f5f5f5;
-                  color: #333;
-                }
-                .container {
-                  text-align: center;
-                  padding: 2rem;
-                  background-color: white;
-                  border-radius: 8px;
-                  box-shadow: 0 2px 10px rgba(0,0,0,0.1);
-                  max-width: 80%;
-                }
-                h1 {
-                  color: #E91E63;
-                  margin-bottom: 1rem;
-                }
-                .token {
-                  font-family: monospace;
-                  background-color: #f0f0f0;
-                  padding: 0.5rem;
-                  border-radius: 4px;
-                  margin: 1rem 0;
-                  word-break: break-all;
-                }
-                .chain {
-                  font-weight: bold;
-                  color: #2196F3;
-                }
-              </style>
-            </head>
-            <body>
-              <div class="container">
-                <h1>BubbleMaps Visualization</h1>
-                <p>Token visualization is currently unavailable.</p>
-                <div class="token">${token}</div>
-                <p>Chain: <span class="chain">${chain.toUpperCase()}</span></p>
-                <p>Please check back later or visit <a href="${url}" target="_blank">BubbleMaps</a> directly.</p>
-              </div>
-            </body>
-          </html>
-        `);
-        
-        // Take a screenshot of this page
-        const fallbackScreenshot = await page.screenshot({ 
-          fullPage: false,
-          clip: { x: 0, y: 0, width: 800, height: 600 }
-        });
+        const fallbackScreenshot = await browserPoolService.run(async (page) => {
+          // Generate a simple page with token info
+          await page.setContent(`
+            <html>
+              <head>
+                <style>
+                  body {
+                    font-family: Arial, sans-serif;
+                    display: flex;
+                    flex-direction: column;
+                    align-items: center;
+                    justify-content: center;
+                    height: 100vh;
+                    margin: 0;
+                    background-color: #f5f5f5;
+                    color: #333;
+                  }
+                  .container {
+                    text-align: center;
+                    padding: 2rem;
+                    background-color: white;
+                    border-radius: 8px;
+                    box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+                    max-width: 80%;
+                  }
+                  h1 {
+                    color: #E91E63;
+                    margin-bottom: 1rem;
+                  }
+                  .token {
+                    font-family: monospace;
+                    background-color: #f0f0f0;
+                    padding: 0.5rem;
+                    border-radius: 4px;
+                    margin: 1rem 0;
+                    word-break: break-all;
+                  }
+                  .chain {
+                    font-weight: bold;
+                    color: #2196F3;
+                  }
+                </style>
+              </head>
+              <body>
+                <div class="container">
+                  <h1>BubbleMaps Visualization</h1>
+                  <p>Token visualization is currently unavailable.</p>
+                  <div class="token">${token}</div>
+                  <p>Chain: <span class="chain">${chain.toUpperCase()}</span></p>
+                  <p>Please check back later or visit <a href="${url}" target="_blank">BubbleMaps</a> directly.</p>
+                </div>
+              </body>
+            </html>
+          `);
         
-        await browser.close();
+          // Take a screenshot of this page
+          return page.screenshot({ 
+            fullPage: false,
+            clip: { x: 0, y: 0, width: 800, height: 600 }
+          });
+        }, options);
         
         // Save this as the fallback image for future use
         await fs.writeFile(fallbackPath, fallbackScreenshot);
@@ -194,159 +201,217 @@ class ScreenshotService {
   }
 
   /**
-   * Take a screenshot of a URL using Playwright
+   * Get the image for a token report in the requested style
+   * @param {string} token - Contract address
+   * @param {string} chain - Chain ID
+   * @param {string} style - Chart style (constants.chartStyles)
+   * @param {Object} mapData - Map data from Bubblemaps API (needed for native charts)
+   * @param {Object} metaData - Metadata from Bubblemaps API (needed for native charts)
+   * @param {Object} options - { onQueuePosition(position) } called while waiting for a free browser
+   * @returns {Promise<Buffer|null>} - Image buffer or null if no image is available
+   */
+  async captureTokenImage(token, chain, style, mapData, metaData, options = {}) {
+    if (style === constants.chartStyles.SCREENSHOT) {
+      return this.captureMapScreenshot(token, chain, options);
+    }
+    
+    return chartService.renderDistributionChart(token, chain, mapData, metaData, options);
+  }
+
+  /**
+   * Remember the Telegram file ID of an uploaded screenshot so it can be reused
+   * (e.g. for inline query results) without uploading it again
+   * @param {string} token - Contract address
+   * @param {string} chain - Chain ID
+   * @param {Object} message - Telegram message returned by sendPhoto
+   */
+  rememberFileId(token, chain, message) {
+    if (!message || !message.photo || message.photo.length === 0) {
+      return;
+    }
+    
+    // The last size is the largest one
+    const fileId = message.photo[message.photo.length - 1].file_id;
+    const key = this._fileIdKey(token, chain);
+    
+    // Map keeps insertion order, re-inserting marks the entry as most recently used
+    this.fileIdCache.delete(key);
+    this.fileIdCache.set(key, {
+      fileId,
+      timestamp: Date.now()
+    });
+    
+    while (this.fileIdCache.size > this.maxCachedFileIds) {
+      this.fileIdCache.delete(this.fileIdCache.keys().next().value);
+    }
+  }
+
+  /**
+   * Get the Telegram file ID of a recently uploaded screenshot
+   * @param {string} token - Contract address
+   * @param {string} chain - Chain ID
+   * @returns {string|null} - File ID or null if not cached
+   */
+  getCachedFileId(token, chain) {
+    const key = this._fileIdKey(token, chain);
+    const cached = this.fileIdCache.get(key);
+    if (!cached) {
+      return null;
+    }
+    
+    if (Date.now() - cached.timestamp >= this.cacheTTL) {
+      this.fileIdCache.delete(key);
+      return null;
+    }
+    
+    this.fileIdCache.delete(key);
+    this.fileIdCache.set(key, cached);
+    return cached.fileId;
+  }
+  
+  /**
+   * Build the file ID cache key of a token (EVM addresses are case-insensitive, Solana ones are not)
+   * @private
+   * @param {string} token - Contract address
+   * @param {string} chain - Chain ID
+   * @returns {string} - Cache key
+   */
+  _fileIdKey(token, chain) {
+    return `${chain}_${token.startsWith('0x') ? token.toLowerCase() : token}`;
+  }
+
+  /**
+   * Take a screenshot of a URL using a pooled browser page
    * @private
    * @param {string} url - URL to screenshot
    * @param {string} token - Token address (for logging)
    * @param {string} chain - Chain ID (for logging)
    * @param {number} attempt - Current attempt number
+   * @param {Object} options - Browser pool options ({ onQueuePosition })
    * @returns {Promise<Buffer>} - Screenshot buffer
    */
-  async _takeScreenshot(url, token, chain, attempt) {
-    let browser = null;
-    
+  async _takeScreenshot(url, token, chain, attempt, options = {}) {
     try {
       logger.info(`Screenshot attempt ${attempt} for ${token} on ${chain}`);
       
-      // Launch browser with PlaywrightHelper
-      browser = await PlaywrightHelper.launchBrowser({
-        timeout: this.pageTimeout
-      });
-      
-      const context = await browser.newContext({
-        viewport: { width: 1280, height: 800 },
-        userAgent: 'Mozilla/5.0 (Macintosh; Apple Silicon Mac OS X 14_0) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/122.0.0.0 Safari/537.36', // Modern user agent
-        ignoreHTTPSErrors: true,
-        bypassCSP: true
-      });
-      
-      const page = await context.newPage();
-      
-      // Add timeout for navigation
-      page.setDefaultTimeout(this.navigationTimeout);
+      return await browserPoolService.run(async (page) => {
+        // Add timeout for navigation
+        page.setDefaultTimeout(this.navigationTimeout);
       
-      // Navigate to the page
-      logger.info(`Navigating to ${url}`);
-      try {
-        const response = await page.goto(url, {
-          waitUntil: 'domcontentloaded',
-          timeout: 30000
-        });
+        // Navigate to the page
+        logger.info(`Navigating to ${url}`);
+        try {
+          const response = await page.goto(url, {
+            waitUntil: 'domcontentloaded',
+            timeout: 30000
+          });
         
-        if (!response || !response.ok()) {
-          throw new Error(`Failed to load page: ${response ? response.status() : 'No response'}`);
+          if (!response || !response.ok()) {
+            throw new Error(`Failed to load page: ${response ? response.status() : 'No response'}`);
+          }
+        } catch (navError) {
+          logger.error(`Navigation error: ${navError.message}`);
+          // Even if the page didn't fully load, we can try to take a screenshot
+          // if the DOM content was loaded
         }
-      } catch (navError) {
-        logger.error(`Navigation error: ${navError.message}`);
-        // Even if the page didn't fully load, we can try to take a screenshot
-        // if the DOM content was loaded
-      }
       
-      // Reduce waiting time
-      logger.info('Waiting for 10 seconds to allow page to stabilize');
-      await page.waitForTimeout(10000);
+        // Reduce waiting time
+        logger.info('Waiting for 10 seconds to allow page to stabilize');
+        await page.waitForTimeout(10000);
       
-      // Check for the specific modal and close it if it exists
-      logger.info('Checking for specific modal');
-      try {
-        // Try multiple approaches to remove the modal
-        const modalRemoved = await page.evaluate(() => {
-          let removed = false;
+        // Check for the specific modal and close it if it exists
+        logger.info('Checking for specific modal');
+        try {
+          // Try multiple approaches to remove the modal
+          const modalRemoved = await page.evaluate(() => {
+            let removed = false;
           
-          // First try: Remove by class and role
-          const popup = document.querySelector('.mdc-dialog__surface[role="alertdialog"]');
-          const backdrop = document.querySelector('.mdc-dialog__scrim');
-          if (popup || backdrop) {
-            if (popup) popup.remove();
-            if (backdrop) backdrop.remove();
-            removed = true;
-          }
+            // First try: Remove by class and role
+            const popup = document.querySelector('.mdc-dialog__surface[role="alertdialog"]');
+            const backdrop = document.querySelector('.mdc-dialog__scrim');
+            if (popup || backdrop) {
+              if (popup) popup.remove();
+              if (backdrop) backdrop.remove();
+              removed = true;
+            }
           
-          // Second try: Remove any mdc-dialog elements
-          const dialogs = document.querySelectorAll('.mdc-dialog');
-          dialogs.forEach(dialog => {
-            dialog.remove();
-            removed = true;
-          });
+            // Second try: Remove any mdc-dialog elements
+            const dialogs = document.querySelectorAll('.mdc-dialog');
+            dialogs.forEach(dialog => {
+              dialog.remove();
+              removed = true;
+            });
           
-          // Third try: Remove by dialog role
-          const dialogElements = document.querySelectorAll('[role="dialog"], [role="alertdialog"]');
-          dialogElements.forEach(dialog => {
-            dialog.remove();
-            removed = true;
-          });
+            // Third try: Remove by dialog role
+            const dialogElements = document.querySelectorAll('[role="dialog"], [role="alertdialog"]');
+            dialogElements.forEach(dialog => {
+              dialog.remove();
+              removed = true;
+            });
           
-          // Fourth try: Force dialog state
-          document.body.style.overflow = '';
-          document.body.style.position = '';
-          document.body.style.width = '';
-          document.body.style.height = '';
+            // Fourth try: Force dialog state
+            document.body.style.overflow = '';
+            document.body.style.position = '';
+            document.body.style.width = '';
+            document.body.style.height = '';
           
-          return removed;
-        });
+            return removed;
+          });
 
-        if (modalRemoved) {
-          logger.info('Attempted aggressive modal removal');
-          await page.waitForTimeout(500);
+          if (modalRemoved) {
+            logger.info('Attempted aggressive modal removal');
+            await page.waitForTimeout(500);
           
-          // Verify modal is gone
-          const modalStillExists = await page.evaluate(() => {
-            return !!(
-              document.querySelector('.mdc-dialog__surface') ||
-              document.querySelector('.mdc-dialog') ||
-              document.querySelector('[role="dialog"]') ||
-              document.querySelector('[role="alertdialog"]')
-            );
-          });
+            // Verify modal is gone
+            const modalStillExists = await page.evaluate(() => {
+              return !!(
+                document.querySelector('.mdc-dialog__surface') ||
+                document.querySelector('.mdc-dialog') ||
+                document.querySelector('[role="dialog"]') ||
+                document.querySelector('[role="alertdialog"]')
+              );
+            });
           
-          if (modalStillExists) {
-            logger.warn('Modal still detected after removal attempt, trying keyboard escape');
-            await page.keyboard.press('Escape');
-            await page.waitForTimeout(500);
+            if (modalStillExists) {
+              logger.warn('Modal still detected after removal attempt, trying keyboard escape');
+              await page.keyboard.press('Escape');
+              await page.waitForTimeout(500);
+            }
+          } else {
+            logger.info('No modal elements found to remove');
           }
-        } else {
-          logger.info('No modal elements found to remove');
-        }
 
-        // Final verification and cleanup
-        await page.evaluate(() => {
-          // Remove any remaining overlay styles from body
-          document.body.style.overflow = '';
-          document.body.style.position = '';
-          // Remove any backdrop elements that might remain
-          const backdrops = document.querySelectorAll('.mdc-dialog__scrim, .modal-backdrop, .dialog-backdrop');
-          backdrops.forEach(backdrop => backdrop.remove());
-        });
+          // Final verification and cleanup
+          await page.evaluate(() => {
+            // Remove any remaining overlay styles from body
+            document.body.style.overflow = '';
+            document.body.style.position = '';
+            // Remove any backdrop elements that might remain
+            const backdrops = document.querySelectorAll('.mdc-dialog__scrim, .modal-backdrop, .dialog-backdrop');
+            backdrops.forEach(backdrop => backdrop.remove());
+          });
 
-      } catch (modalError) {
-        logger.warn(`Error handling modal removal: ${modalError.message}`);
-      }
+        } catch (modalError) {
+          logger.warn(`Error handling modal removal: ${modalError.message}`);
+        }
 
-      logger.info(`Taking screenshot of ${token}`);
-      const screenshot = await page.screenshot({ 
-        fullPage: false,
-        clip: {
-          x: 0,
-          y: 0,
-          width: 1280,
-          height: 800
-        },
-        timeout: 15000
-      });
+        logger.info(`Taking screenshot of ${token}`);
+        const screenshot = await page.screenshot({ 
+          fullPage: false,
+          clip: {
+            x: 0,
+            y: 0,
+            width: 1280,
+            height: 800
+          },
+          timeout: 15000
+        });
       
-      return screenshot;
+        return screenshot;
+      }, options);
     } catch (error) {
       logger.error(`Error during screenshot process for ${token} on ${chain}:`, error.message);
       throw error;
-    } finally {
-      if (browser) {
-        logger.info(`Closing browser for ${token}`);
-        try {
-          await browser.close();
-        } catch (closeError) {
-          logger.warn(`Error closing browser: ${closeError.message}`);
-        }
-      }
     }
   }
 }
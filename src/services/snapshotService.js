@@ -0,0 +1,230 @@
+const TokenSnapshot = require('../models/TokenSnapshot');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const bubblemapsService = require('./bubblemapsService');
+const marketDataService = require('./marketDataService');
+const tokenRatingService = require('./tokenRatingService');
+
+/**
+ * Service for recording and reading historical token distribution snapshots
+ */
+class SnapshotService {
+  constructor() {
+    this.timer = null;
+    this.isRefreshing = false;
+    this.refreshInterval = config.snapshots.refreshIntervalHours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Normalize an address for storage and lookup (EVM addresses are case-insensitive)
+   * @param {string} contractAddress - Contract address
+   * @returns {string} - Normalized address
+   */
+  normalizeAddress(contractAddress) {
+    return contractAddress.startsWith('0x') ? contractAddress.toLowerCase() : contractAddress;
+  }
+
+  /**
+   * Record a snapshot of a token from freshly fetched data
+   * @param {string} contractAddress - Contract address
+   * @param {string} chain - Chain ID
+   * @param {Object} mapData - Map data from Bubblemaps API
+   * @param {Object} metaData - Metadata from Bubblemaps API
+   * @param {Object} marketData - Market data (optional)
+   * @param {string} source - 'check' or 'refresh'
+   * @returns {Promise<Object|null>} - Snapshot document or null on failure
+   */
+  async recordSnapshot(contractAddress, chain, mapData, metaData, marketData = null, source = 'check') {
+    try {
+      const summary = tokenRatingService.summarizeDistribution(mapData, metaData);
+      if (!summary) {
+        return null;
+      }
+
+      const snapshot = await TokenSnapshot.create({
+        contractAddress: this.normalizeAddress(contractAddress),
+        chain,
+        name: mapData.full_name || metaData.name || '',
+        symbol: mapData.symbol || metaData.symbol || '',
+        source,
+        decentralisationScore: summary.decentralisationScore,
+        holderCount: summary.holderCount,
+        topHolders: summary.topHolders,
+        topHolderPercent: summary.topHolderPercent,
+        top10Percent: summary.top10Percent,
+        giniCoefficient: summary.giniCoefficient,
+        cexPercent: summary.cexPercent,
+        contractPercent: summary.contractPercent,
+        marketData: marketData ? {
+          price: marketData.price,
+          priceChange24h: marketData.price_change_24h,
+          marketCap: marketData.market_cap,
+          volume24h: marketData.volume_24h
+        } : undefined,
+        dataUpdatedAt: mapData.dt_update || metaData.dt_update || undefined
+      });
+
+      logger.debug(`Recorded ${source} snapshot for ${contractAddress} on ${chain}`);
+      return snapshot;
+    } catch (error) {
+      logger.error(`Error recording snapshot for ${contractAddress} on ${chain}: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Get snapshot history of a token, newest first
+   * If no chain is given, the chain with the most recent snapshot is used
+   * @param {string} contractAddress - Contract address
+   * @param {string} chain - Chain ID (optional)
+   * @param {number} limit - Maximum number of snapshots
+   * @returns {Promise<Array>} - Snapshots
+   */
+  async getHistory(contractAddress, chain = null, limit = 10) {
+    try {
+      const address = this.normalizeAddress(contractAddress);
+      let chainToUse = chain;
+
+      if (!chainToUse) {
+        const latest = await TokenSnapshot.findOne({ contractAddress: address })
+          .sort({ createdAt: -1 })
+          .lean();
+        if (!latest) return [];
+        chainToUse = latest.chain;
+      }
+
+      return await TokenSnapshot.getHistory(address, chainToUse, limit);
+    } catch (error) {
+      logger.error(`Error getting snapshot history for ${contractAddress}: ${error.message}`);
+      return [];
+    }
+  }
+
+  /**
+   * Get how the decentralisation score of tokens changed since a date, biggest changes first
+   * The score at the date is the last snapshot before it, or the first one after it for tokens first seen since
+   * @param {Array} tokens - Tokens ({ contractAddress, chain, symbol })
+   * @param {Date} since - Start of the period
+   * @param {number} limit - Maximum number of tokens
+   * @returns {Promise<Array>} - { contractAddress, chain, symbol, from, to, change }
+   */
+  async getScoreChanges(tokens, since, limit = 5) {
+    const changes = [];
+
+    try {
+      for (const token of tokens) {
+        const query = {
+          contractAddress: this.normalizeAddress(token.contractAddress),
+          chain: token.chain,
+          decentralisationScore: { $ne: null }
+        };
+
+        const latest = await TokenSnapshot.findOne(query).sort({ createdAt: -1 }).lean();
+        if (!latest || latest.createdAt < since) continue;
+
+        const baseline = await TokenSnapshot.findOne({ ...query, createdAt: { $lte: since } }).sort({ createdAt: -1 }).lean() ||
+          await TokenSnapshot.findOne({ ...query, createdAt: { $gt: since } }).sort({ createdAt: 1 }).lean();
+        if (!baseline || baseline._id.equals(latest._id)) continue;
+
+        const change = latest.decentralisationScore - baseline.decentralisationScore;
+        if (change === 0) continue;
+
+        changes.push({
+          contractAddress: token.contractAddress,
+          chain: token.chain,
+          symbol: latest.symbol || token.symbol || '',
+          from: baseline.decentralisationScore,
+          to: latest.decentralisationScore,
+          change
+        });
+      }
+    } catch (error) {
+      logger.error(`Error getting score changes: ${error.message}`);
+    }
+
+    return changes
+      .sort((a, b) => Math.abs(b.change) - Math.abs(a.change))
+      .slice(0, limit);
+  }
+
+  /**
+   * Refresh snapshots of watched (favorited) tokens that have no recent snapshot
+   * @returns {Promise<number>} - Number of snapshots recorded
+   */
+  async refreshWatchedTokens() {
+    if (this.isRefreshing) {
+      logger.warn('Snapshot refresh already in progress, skipping this run');
+      return 0;
+    }
+
+    this.isRefreshing = true;
+    let recorded = 0;
+
+    try {
+      const watchedTokens = await User.aggregate([
+        { $match: { isActive: true } },
+        { $unwind: '$favorites' },
+        { $group: { _id: { contractAddress: '$favorites.contractAddress', chain: '$favorites.chain' } } }
+      ]);
+
+      const cutoff = new Date(Date.now() - this.refreshInterval);
+      logger.info(`Refreshing snapshots for ${watchedTokens.length} watched tokens`);
+
+      // Process sequentially to stay gentle with the APIs
+      for (const { _id: token } of watchedTokens) {
+        const recent = await TokenSnapshot.exists({
+          contractAddress: this.normalizeAddress(token.contractAddress),
+          chain: token.chain,
+          createdAt: { $gte: cutoff }
+        });
+        if (recent) continue;
+
+        const [mapData, metaData, marketData] = await Promise.all([
+          bubblemapsService.getTokenMapData(token.contractAddress, token.chain),
+          bubblemapsService.getTokenMetadata(token.contractAddress, token.chain),
+          marketDataService.getTokenMarketData(token.contractAddress, token.chain)
+        ]);
+
+        if (!mapData || !metaData || metaData.status !== 'OK') continue;
+
+        if (await this.recordSnapshot(token.contractAddress, token.chain, mapData, metaData, marketData, 'refresh')) {
+          recorded++;
+        }
+      }
+
+      logger.info(`Snapshot refresh complete: ${recorded} snapshots recorded`);
+    } catch (error) {
+      logger.error(`Error refreshing watched token snapshots: ${error.message}`);
+    } finally {
+      this.isRefreshing = false;
+    }
+
+    return recorded;
+  }
+
+  /**
+   * Start the periodic snapshot refresher
+   */
+  startScheduler() {
+    this.stopScheduler();
+
+    this.timer = setInterval(() => {
+      this.refreshWatchedTokens();
+    }, this.refreshInterval);
+
+    logger.info(`Snapshot refresher started (every ${config.snapshots.refreshIntervalHours} hours)`);
+  }
+
+  /**
+   * Stop the periodic snapshot refresher
+   */
+  stopScheduler() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+module.exports = new SnapshotService();
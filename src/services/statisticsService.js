@@ -18,7 +18,7 @@ class StatisticsService {
       // Get basic usage statistics
       const totalUsers = await User.countDocuments();
       const activeUsers = await this.getActiveUsersCount(7); // Active in last 7 days
-      const totalChecks = await Interaction.countDocuments({ type: constants.interactionTypes.CHECK_TOKEN });
+      const totalChecks = await Interaction.countDocuments(this._checkMatch());
       
       // Get top tokens by check count
       const topTokens = await this.getTopTokens(10);
@@ -55,15 +55,53 @@ class StatisticsService {
     }
   }
   
+  /**
+   * Get statistics for the token checks of one group
+   * @param {string} chatId - Group chat ID
+   * @returns {Promise<Object>} - Group statistics
+   */
+  async getGroupChatStats(chatId) {
+    try {
+      const [totalChecks, topTokens, trendingDay, trendingWeek, topMembers, popularChains] = await Promise.all([
+        Interaction.countDocuments(this._checkMatch(chatId)),
+        this.getTopTokens(5, chatId),
+        this.getTrendingTokens(3, 1, chatId),
+        this.getTrendingTokens(3, 7, chatId),
+        this.getTopMembers(chatId, 5, 7),
+        this.getPopularChains(chatId)
+      ]);
+      
+      return {
+        totalChecks,
+        topTokens,
+        trendingDay,
+        trendingWeek,
+        topMembers,
+        popularChains
+      };
+    } catch (error) {
+      logger.error(`Error getting statistics for group ${chatId}:`, error.message);
+      return {
+        totalChecks: 0,
+        topTokens: [],
+        trendingDay: [],
+        trendingWeek: [],
+        topMembers: [],
+        popularChains: []
+      };
+    }
+  }
+  
   /**
    * Get top tokens by check count
    * @param {number} limit - Number of tokens to get
+   * @param {string} chatId - Only count checks made in this group (optional, private checks if omitted)
    * @returns {Promise<Array>} - Top tokens
    */
-  async getTopTokens(limit = 10) {
+  async getTopTokens(limit = 10, chatId = null) {
     try {
       const topTokens = await Interaction.aggregate([
-        { $match: { type: constants.interactionTypes.CHECK_TOKEN } },
+        { $match: this._checkMatch(chatId) },
         { 
           $group: { 
             _id: { 
@@ -112,12 +150,21 @@ class StatisticsService {
   
   /**
    * Get popular chains based on token checks
+   * @param {string} chatId - Only count checks made in this group (optional, private checks if omitted)
+   * @param {number} days - Only count checks from the last days (optional, all time if omitted)
    * @returns {Promise<Array>} - Popular chains
    */
-  async getPopularChains() {
+  async getPopularChains(chatId = null, days = null) {
     try {
+      const match = this._checkMatch(chatId);
+      if (days) {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - days);
+        match.createdAt = { $gte: cutoffDate };
+      }
+      
       const popularChains = await Interaction.aggregate([
-        { $match: { type: constants.interactionTypes.CHECK_TOKEN } },
+        { $match: match },
         { $group: { _id: '$data.chain', count: { $sum: 1 } } },
         { $sort: { count: -1 } }
       ]);
@@ -160,9 +207,10 @@ class StatisticsService {
    * Get trending tokens based on recent activity
    * @param {number} limit - Number of tokens to get
    * @param {number} days - Days to consider for trending
+   * @param {string} chatId - Only count checks made in this group (optional, private checks if omitted)
    * @returns {Promise<Array>} - Trending tokens
    */
-  async getTrendingTokens(limit = 5, days = 3) {
+  async getTrendingTokens(limit = 5, days = 3, chatId = null) {
     try {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - days);
@@ -170,7 +218,7 @@ class StatisticsService {
       const trendingTokens = await Interaction.aggregate([
         { 
           $match: { 
-            type: constants.interactionTypes.CHECK_TOKEN,
+            ...this._checkMatch(chatId),
             createdAt: { $gte: cutoffDate }
           } 
         },
@@ -218,6 +266,49 @@ class StatisticsService {
     }
   }
 
+  /**
+   * Get the members of a group who checked the most tokens there
+   * @param {string} chatId - Group chat ID
+   * @param {number} limit - Number of members to get
+   * @param {number} days - Days to consider
+   * @returns {Promise<Array>} - Members with their check count
+   */
+  async getTopMembers(chatId, limit = 5, days = 7) {
+    try {
+      const cutoffDate = new Date();
+      cutoffDate.setDate(cutoffDate.getDate() - days);
+      
+      const topMembers = await Interaction.aggregate([
+        { 
+          $match: { 
+            ...this._checkMatch(chatId),
+            createdAt: { $gte: cutoffDate }
+          } 
+        },
+        { $group: { _id: '$telegramId', count: { $sum: 1 } } },
+        { $sort: { count: -1 } },
+        { $limit: limit }
+      ]);
+      
+      const users = await User.find({ telegramId: { $in: topMembers.map(item => item._id) } })
+        .select('telegramId username firstName')
+        .lean();
+      
+      return topMembers.map(item => {
+        const user = users.find(u => u.telegramId === item._id) || {};
+        return {
+          telegramId: item._id,
+          username: user.username,
+          firstName: user.firstName,
+          checkCount: item.count
+        };
+      });
+    } catch (error) {
+      logger.error(`Error getting top members for group ${chatId}:`, error.message);
+      return [];
+    }
+  }
+  
   /**
    * Get top rated tokens by community
    * @param {number} limit - Maximum number of tokens to return
@@ -232,6 +323,20 @@ class StatisticsService {
       return [];
     }
   }
+  
+  /**
+   * Build the match stage for token checks in private chats, or in one group
+   * Group checks only count towards the statistics of their group, as in userService.getUserStats
+   * @private
+   * @param {string} chatId - Group chat ID (optional)
+   * @returns {Object} - Match query
+   */
+  _checkMatch(chatId = null) {
+    return {
+      type: constants.interactionTypes.CHECK_TOKEN,
+      chatId: chatId ? String(chatId) : null
+    };
+  }
 }
 
 module.exports = new StatisticsService(); 
\ No newline at end of file
@@ -3,9 +3,11 @@
  */
 const logger = require('../utils/logger');
 const TokenRating = require('../models/TokenRating');
+const GroupTokenRating = require('../models/GroupTokenRating');
 const User = require('../models/User');
 const Interaction = require('../models/Interaction');
 const constants = require('../../config/constants');
+const eventWebhookService = require('./eventWebhookService');
 
 /**
  * Service for handling token ratings (likes/dislikes)
@@ -41,6 +43,10 @@ const tokenRatingService = {
       // Generate rating label based on health score
       const ratingLabel = this.getRatingLabel(overallHealthScore);
 
+      // Key figures behind the component scores, used to explain the rating
+      const sortedNodes = [...mapData.nodes].sort((a, b) => this.getNodeValue(b) - this.getNodeValue(a));
+      const links = mapData.links || mapData.edges || [];
+
       return {
         overallHealthScore,
         ratingLabel,
@@ -50,6 +56,13 @@ const tokenRatingService = {
           riskConcentrationScore,
           addressActivityScore
         },
+        metrics: {
+          largestHolderPercent: sortedNodes.length > 0 ? this.getNodeValue(sortedNodes[0]) * 100 : 0,
+          top5Percent: this.calculatePercentageHeldByTopN(sortedNodes, 5),
+          top10Percent: this.calculatePercentageHeldByTopN(sortedNodes, 10),
+          giniCoefficient: this.calculateGiniCoefficient(sortedNodes),
+          linksPerHolder: mapData.nodes.length > 0 ? links.length / mapData.nodes.length : 0
+        },
         metadata: {
           totalHolders: mapData.nodes.length,
           totalSupply: metaData.totalSupply || 0,
@@ -63,6 +76,112 @@ const tokenRatingService = {
     }
   },
 
+  /**
+   * Summarize the holder distribution of a token in a compact, comparable form
+   * @param {Object} mapData - BubbleMaps token map data
+   * @param {Object} metaData - BubbleMaps token metadata
+   * @returns {Object|null} - Distribution summary or null if no valid data
+   */
+  summarizeDistribution(mapData, metaData) {
+    try {
+      if (!mapData || !mapData.nodes || !metaData) {
+        return null;
+      }
+
+      const sortedNodes = [...mapData.nodes].sort((a, b) => this.getNodeValue(b) - this.getNodeValue(a));
+      const identifiedSupply = metaData.identified_supply || {};
+
+      return {
+        decentralisationScore: typeof metaData.decentralisation_score === 'number' ? metaData.decentralisation_score : null,
+        holderCount: sortedNodes.length,
+        topHolderPercent: sortedNodes.length > 0 ? this.getNodeValue(sortedNodes[0]) * 100 : 0,
+        topHolders: sortedNodes.slice(0, 10).map(node => ({
+          address: node.address,
+          name: node.name || '',
+          percent: this.getNodeValue(node) * 100
+        })),
+        top10Percent: sortedNodes.slice(0, 10).reduce((total, node) => total + this.getNodeValue(node) * 100, 0),
+        giniCoefficient: this.calculateGiniCoefficient(sortedNodes),
+        cexPercent: identifiedSupply.percent_in_cexs || 0,
+        contractPercent: identifiedSupply.percent_in_contracts || 0
+      };
+    } catch (error) {
+      logger.error('Error summarizing token distribution:', error.message);
+      return null;
+    }
+  },
+
+  /**
+   * Locate a wallet in the holder graph of a token
+   * Its cluster is the connected component of the graph formed by the transfer links between holders
+   * @param {Object} mapData - BubbleMaps token map data
+   * @param {string} walletAddress - Wallet address
+   * @returns {Object|null} - Rank, share and cluster of the wallet, null if it isn't among the holders
+   */
+  locateHolder(mapData, walletAddress) {
+    if (!mapData || !mapData.nodes || !walletAddress) {
+      return null;
+    }
+
+    // EVM addresses are case-insensitive
+    const sameAddress = (address) => !!address && (walletAddress.startsWith('0x')
+      ? address.toLowerCase() === walletAddress.toLowerCase()
+      : address === walletAddress);
+    const index = mapData.nodes.findIndex(node => sameAddress(node.address));
+    if (index === -1) {
+      return null;
+    }
+
+    const node = mapData.nodes[index];
+    const value = this.getNodeValue(node);
+    const describe = (i) => ({
+      address: mapData.nodes[i].address,
+      name: mapData.nodes[i].name || '',
+      percent: this.getNodeValue(mapData.nodes[i]) * 100
+    });
+
+    // Links reference holders by their index in nodes
+    const neighbours = new Map();
+    (mapData.links || mapData.edges || []).forEach(link => {
+      if (!mapData.nodes[link.source] || !mapData.nodes[link.target] || link.source === link.target) return;
+      if (!neighbours.has(link.source)) neighbours.set(link.source, new Set());
+      if (!neighbours.has(link.target)) neighbours.set(link.target, new Set());
+      neighbours.get(link.source).add(link.target);
+      neighbours.get(link.target).add(link.source);
+    });
+
+    // Walk the connected component of the wallet
+    const direct = neighbours.get(index) || new Set();
+    const cluster = new Set([index]);
+    const queue = [index];
+    while (queue.length > 0) {
+      for (const next of neighbours.get(queue.shift()) || []) {
+        if (!cluster.has(next)) {
+          cluster.add(next);
+          queue.push(next);
+        }
+      }
+    }
+
+    const linked = [...cluster]
+      .filter(i => i !== index)
+      .map(i => ({ ...describe(i), direct: direct.has(i) }))
+      .sort((a, b) => b.percent - a.percent);
+    const linkedPercent = linked.reduce((total, holder) => total + holder.percent, 0);
+
+    return {
+      ...describe(index),
+      rank: mapData.nodes.filter(other => this.getNodeValue(other) > value).length + 1,
+      holderCount: mapData.nodes.length,
+      isContract: !!node.is_contract,
+      isExchange: !!node.is_exchange,
+      linked,
+      directLinks: direct.size,
+      linkedPercent,
+      clusterPercent: value * 100 + linkedPercent
+    };
+  },
+
   /**
    * Calculate decentralization score based on distribution of tokens
    * @param {Object} mapData - BubbleMaps token map data
@@ -76,7 +195,7 @@ const tokenRatingService = {
       if (totalNodes === 0) return 0;
 
       // Sort nodes by token value (descending)
-      const sortedNodes = [...nodes].sort((a, b) => (b.value || 0) - (a.value || 0));
+      const sortedNodes = [...nodes].sort((a, b) => this.getNodeValue(b) - this.getNodeValue(a));
       
       // Calculate percentage held by top holders
       const top10Percent = this.calculatePercentageHeldByTopN(sortedNodes, 10);
@@ -111,7 +230,8 @@ const tokenRatingService = {
    */
   calculateHolderStabilityScore(mapData) {
     try {
-      const { nodes, edges } = mapData;
+      const { nodes } = mapData;
+      const edges = mapData.links || mapData.edges;
       
       if (!nodes || nodes.length === 0) return 0;
       
@@ -128,7 +248,7 @@ const tokenRatingService = {
       
       // Adjust based on the number of large holders
       // More large holders can indicate better distribution and potentially more stability
-      const largeHolders = nodes.filter(node => (node.value || 0) > 0.005).length;
+      const largeHolders = nodes.filter(node => this.getNodeValue(node) > 0.005).length;
       const largeHolderRatio = nodeCount > 0 ? largeHolders / nodeCount : 0;
       const adjustment = largeHolderRatio * 20;
       
@@ -152,10 +272,10 @@ const tokenRatingService = {
       if (!nodes || nodes.length === 0) return 0;
       
       // Sort nodes by value (descending)
-      const sortedNodes = [...nodes].sort((a, b) => (b.value || 0) - (a.value || 0));
+      const sortedNodes = [...nodes].sort((a, b) => this.getNodeValue(b) - this.getNodeValue(a));
       
       // Calculate percentage held by single largest holder
-      const largestHolderPct = sortedNodes.length > 0 ? (sortedNodes[0].value || 0) * 100 : 0;
+      const largestHolderPct = sortedNodes.length > 0 ? this.getNodeValue(sortedNodes[0]) * 100 : 0;
       
       // Calculate percentage held by top 5 holders
       const top5Percent = this.calculatePercentageHeldByTopN(sortedNodes, 5);
@@ -179,7 +299,8 @@ const tokenRatingService = {
    */
   calculateAddressActivityScore(mapData) {
     try {
-      const { nodes, edges } = mapData;
+      const { nodes } = mapData;
+      const edges = mapData.links || mapData.edges;
       
       if (!nodes || nodes.length === 0) return 0;
       
@@ -249,7 +370,7 @@ const tokenRatingService = {
     if (!sortedNodes || sortedNodes.length === 0) return 0;
     
     const totalNodes = sortedNodes.length;
-    const values = sortedNodes.map(node => node.value || 0);
+    const values = sortedNodes.map(node => this.getNodeValue(node));
     
     let sumOfAbsoluteDifferences = 0;
     let sumOfValues = 0;
@@ -277,14 +398,27 @@ const tokenRatingService = {
     if (!sortedNodes || sortedNodes.length === 0) return 0;
     
     const topN = sortedNodes.slice(0, Math.min(n, sortedNodes.length));
-    const topNTotal = topN.reduce((total, node) => total + (node.value || 0), 0);
+    const topNTotal = topN.reduce((total, node) => total + this.getNodeValue(node), 0);
     
-    const totalValue = sortedNodes.reduce((total, node) => total + (node.value || 0), 0);
+    const totalValue = sortedNodes.reduce((total, node) => total + this.getNodeValue(node), 0);
     
     if (totalValue === 0) return 0;
     return (topNTotal / totalValue) * 100;
   },
 
+  /**
+   * Get a holder's share of supply as a fraction (0-1)
+   * Map data nodes carry `percentage`; `value` is accepted for pre-normalized input
+   * @param {Object} node - Map data node
+   * @returns {number} - Share of supply (0-1)
+   */
+  getNodeValue(node) {
+    if (!node) return 0;
+    if (typeof node.value === 'number') return node.value;
+    if (typeof node.percentage === 'number') return node.percentage / 100;
+    return 0;
+  },
+
   /**
    * Get rating label based on health score
    * @param {number} score - Overall health score
@@ -315,6 +449,22 @@ const tokenRatingService = {
     }
   },
 
+  /**
+   * Get the rating of a token in a group
+   * @param {string} chatId - Group chat ID
+   * @param {string} contractAddress - Token contract address
+   * @param {string} chain - Blockchain chain
+   * @returns {Promise<Object>} - Group token rating object, null if nobody voted in the group
+   */
+  async getGroupTokenRating(chatId, contractAddress, chain) {
+    try {
+      return await GroupTokenRating.findOne({ chatId: String(chatId), contractAddress, chain });
+    } catch (error) {
+      logger.error(`Error getting group token rating: ${error.message}`);
+      return null;
+    }
+  },
+
   /**
    * Toggle like for a token
    * @param {Object} user - User document
@@ -322,52 +472,12 @@ const tokenRatingService = {
    * @param {string} chain - Blockchain chain
    * @param {string} name - Token name (optional)
    * @param {string} symbol - Token symbol (optional)
+   * @param {string} chatId - Group the vote was cast in, also counted in the group's rating (optional)
    * @returns {Promise<Object>} - Updated token rating
    */
-  async toggleLike(user, contractAddress, chain, name = '', symbol = '') {
+  async toggleLike(user, contractAddress, chain, name = '', symbol = '', chatId = null) {
     try {
-      // Get or create token rating
-      let tokenRating = await TokenRating.findOrCreate(contractAddress, chain, name, symbol);
-      
-      // Check if user has already liked the token
-      const hasLiked = tokenRating.likedBy.some(userId => userId.equals(user._id));
-      
-      // Check if user has disliked the token
-      const hasDisliked = tokenRating.dislikedBy.some(userId => userId.equals(user._id));
-      
-      // Handle rating logic
-      if (hasLiked) {
-        // User already liked it, so remove the like
-        tokenRating.likedBy = tokenRating.likedBy.filter(userId => !userId.equals(user._id));
-        tokenRating.likesCount--;
-        
-        // Log interaction
-        await Interaction.log(user, constants.interactionTypes.UNLIKE_TOKEN, {
-          contract: contractAddress,
-          chain: chain
-        });
-      } else {
-        // Add like
-        tokenRating.likedBy.push(user._id);
-        tokenRating.likesCount++;
-        
-        // If user had disliked, remove the dislike
-        if (hasDisliked) {
-          tokenRating.dislikedBy = tokenRating.dislikedBy.filter(userId => !userId.equals(user._id));
-          tokenRating.dislikesCount--;
-        }
-        
-        // Log interaction
-        await Interaction.log(user, constants.interactionTypes.LIKE_TOKEN, {
-          contract: contractAddress,
-          chain: chain
-        });
-      }
-      
-      tokenRating.lastUpdated = Date.now();
-      await tokenRating.save();
-      
-      return tokenRating;
+      return await this._toggleVote(user, contractAddress, chain, name, symbol, 'like', chatId);
     } catch (error) {
       logger.error(`Error toggling like for token: ${error.message}`);
       throw error;
@@ -381,58 +491,124 @@ const tokenRatingService = {
    * @param {string} chain - Blockchain chain
    * @param {string} name - Token name (optional)
    * @param {string} symbol - Token symbol (optional)
+   * @param {string} chatId - Group the vote was cast in, also counted in the group's rating (optional)
    * @returns {Promise<Object>} - Updated token rating
    */
-  async toggleDislike(user, contractAddress, chain, name = '', symbol = '') {
+  async toggleDislike(user, contractAddress, chain, name = '', symbol = '', chatId = null) {
     try {
-      // Get or create token rating
-      let tokenRating = await TokenRating.findOrCreate(contractAddress, chain, name, symbol);
-      
-      // Check if user has already disliked the token
-      const hasDisliked = tokenRating.dislikedBy.some(userId => userId.equals(user._id));
-      
-      // Check if user has liked the token
-      const hasLiked = tokenRating.likedBy.some(userId => userId.equals(user._id));
-      
-      // Handle rating logic
-      if (hasDisliked) {
-        // User already disliked it, so remove the dislike
-        tokenRating.dislikedBy = tokenRating.dislikedBy.filter(userId => !userId.equals(user._id));
-        tokenRating.dislikesCount--;
-        
-        // Log interaction
-        await Interaction.log(user, constants.interactionTypes.UNDISLIKE_TOKEN, {
-          contract: contractAddress,
-          chain: chain
-        });
-      } else {
-        // Add dislike
-        tokenRating.dislikedBy.push(user._id);
-        tokenRating.dislikesCount++;
-        
-        // If user had liked, remove the like
-        if (hasLiked) {
-          tokenRating.likedBy = tokenRating.likedBy.filter(userId => !userId.equals(user._id));
-          tokenRating.likesCount--;
-        }
-        
-        // Log interaction
-        await Interaction.log(user, constants.interactionTypes.DISLIKE_TOKEN, {
-          contract: contractAddress,
-          chain: chain
-        });
-      }
-      
-      tokenRating.lastUpdated = Date.now();
-      await tokenRating.save();
-      
-      return tokenRating;
+      return await this._toggleVote(user, contractAddress, chain, name, symbol, 'dislike', chatId);
     } catch (error) {
       logger.error(`Error toggling dislike for token: ${error.message}`);
       throw error;
     }
   },
 
+  /**
+   * Toggle a user's vote on a token, globally and in the group it was cast in
+   * @private
+   * @param {Object} user - User document
+   * @param {string} contractAddress - Token contract address
+   * @param {string} chain - Blockchain chain
+   * @param {string} name - Token name
+   * @param {string} symbol - Token symbol
+   * @param {string} vote - 'like' or 'dislike'
+   * @param {string} chatId - Group chat ID, or null for a private vote
+   * @returns {Promise<Object>} - Updated token rating
+   */
+  async _toggleVote(user, contractAddress, chain, name, symbol, vote, chatId) {
+    const groupFilter = chatId ? { chatId: String(chatId), contractAddress, chain } : null;
+    
+    // In a group the button toggles the member's vote there
+    const currentVote = groupFilter
+      ? await this.getUserGroupRatingForToken(user, chatId, contractAddress, chain)
+      : await this.getUserRatingForToken(user, contractAddress, chain);
+    const newVote = currentVote === vote ? null : vote;
+    
+    const groupRating = groupFilter ? await this._setVote(GroupTokenRating, groupFilter, user, newVote) : null;
+    
+    // Group votes only count globally for members who haven't voted on the token themselves
+    const details = {};
+    if (name) details.name = name;
+    if (symbol) details.symbol = symbol;
+    const tokenRating = await this._setVote(TokenRating, { contractAddress, chain }, user, newVote, details, !!groupFilter);
+    
+    // Log interaction
+    const types = constants.interactionTypes;
+    const type = vote === 'like'
+      ? (newVote ? types.LIKE_TOKEN : types.UNLIKE_TOKEN)
+      : (newVote ? types.DISLIKE_TOKEN : types.UNDISLIKE_TOKEN);
+    await Interaction.log(user, type, {
+      contract: contractAddress,
+      chain: chain
+    }, chatId);
+    
+    eventWebhookService.emit(constants.webhookEvents.TOKEN_RATED, {
+      contractAddress,
+      chain,
+      name: tokenRating.name || name || null,
+      symbol: tokenRating.symbol || symbol || null,
+      vote: newVote,
+      user: { telegramId: user.telegramId, username: user.username || null },
+      chatId: chatId ? String(chatId) : null,
+      rating: { likes: tokenRating.likesCount, dislikes: tokenRating.dislikesCount },
+      groupRating: groupRating ? { likes: groupRating.likesCount, dislikes: groupRating.dislikesCount } : null
+    });
+    
+    return tokenRating;
+  },
+
+  /**
+   * Get a user's vote in a rating document
+   * @private
+   * @param {Object} rating - TokenRating or GroupTokenRating document, or null
+   * @param {Object} user - User document
+   * @returns {string|null} - 'like', 'dislike', or null
+   */
+  _getVote(rating, user) {
+    if (!rating) return null;
+    if (rating.likedBy.some(userId => userId.equals(user._id))) return 'like';
+    if (rating.dislikedBy.some(userId => userId.equals(user._id))) return 'dislike';
+    return null;
+  },
+
+  /**
+   * Replace a user's vote in a rating and recount it, creating the rating on its first vote
+   * Each step is a single atomic update, so concurrent votes on the same token are never lost
+   * @private
+   * @param {Object} Model - TokenRating or GroupTokenRating
+   * @param {Object} filter - Unique key of the rating
+   * @param {Object} user - User document
+   * @param {string|null} vote - 'like', 'dislike', or null to remove the vote
+   * @param {Object} details - Fields to set on the rating (optional)
+   * @param {boolean} onlyIfUnvoted - Leave the rating alone when the user already voted on it (optional)
+   * @returns {Promise<Object>} - Updated rating
+   */
+  async _setVote(Model, filter, user, vote, details = {}, onlyIfUnvoted = false) {
+    const userId = user._id;
+    let update;
+    if (vote === 'like') {
+      update = { $addToSet: { likedBy: userId }, $pull: { dislikedBy: userId } };
+    } else if (vote === 'dislike') {
+      update = { $addToSet: { dislikedBy: userId }, $pull: { likedBy: userId } };
+    } else {
+      update = { $pull: { likedBy: userId, dislikedBy: userId } };
+    }
+    update.$set = { ...details, lastUpdated: Date.now() };
+    
+    if (onlyIfUnvoted) {
+      // The rating must exist before the conditional update, which can't upsert
+      await Model.updateOne(filter, { $set: details }, { upsert: true });
+      await Model.updateOne({ ...filter, likedBy: { $ne: userId }, dislikedBy: { $ne: userId } }, update);
+    } else {
+      await Model.updateOne(filter, update, { upsert: true });
+    }
+    
+    // Counts are recomputed from the arrays by the database, so they can't drift under concurrent votes
+    return Model.findOneAndUpdate(filter, [
+      { $set: { likesCount: { $size: { $ifNull: ['$likedBy', []] } }, dislikesCount: { $size: { $ifNull: ['$dislikedBy', []] } } } }
+    ], { new: true });
+  },
+
   /**
    * Get user's rating for a token
    * @param {Object} user - User document
@@ -463,6 +639,23 @@ const tokenRatingService = {
     }
   },
 
+  /**
+   * Get user's rating for a token in a group
+   * @param {Object} user - User document
+   * @param {string} chatId - Group chat ID
+   * @param {string} contractAddress - Token contract address
+   * @param {string} chain - Blockchain chain
+   * @returns {Promise<string|null>} - 'like', 'dislike', or null
+   */
+  async getUserGroupRatingForToken(user, chatId, contractAddress, chain) {
+    try {
+      return this._getVote(await GroupTokenRating.findOne({ chatId: String(chatId), contractAddress, chain }), user);
+    } catch (error) {
+      logger.error(`Error getting user group rating for token: ${error.message}`);
+      return null;
+    }
+  },
+
   /**
    * Get top rated tokens
    * @param {number} limit - Number of tokens to return
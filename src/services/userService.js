@@ -1,7 +1,9 @@
 const User = require('../models/User');
 const Interaction = require('../models/Interaction');
+const Alert = require('../models/Alert');
 const logger = require('../utils/logger');
 const validation = require('../utils/validation');
+const eventWebhookService = require('./eventWebhookService');
 
 /**
  * Service for user management and interaction tracking
@@ -14,7 +16,7 @@ class UserService {
    */
   async getOrCreateUser(telegramUser) {
     try {
-      const { id, username, first_name, last_name } = telegramUser;
+      const { id, username, first_name, last_name, language_code } = telegramUser;
       
       // Check if user is admin
       const isAdmin = validation.isAdmin(id);
@@ -24,6 +26,7 @@ class UserService {
         username: username || '',
         firstName: first_name || '',
         lastName: last_name || '',
+        languageCode: language_code,
         isAdmin
       };
       
@@ -44,11 +47,14 @@ class UserService {
    * @param {Object} user - User document
    * @param {string} type - Interaction type
    * @param {Object} data - Additional data
+   * @param {string} chatId - Group chat ID if the interaction happened in a group (optional)
    * @returns {Promise<Object>} - Interaction document
    */
-  async trackInteraction(user, type, data = {}) {
+  async trackInteraction(user, type, data = {}, chatId = null) {
     try {
-      return await Interaction.log(user, type, data);
+      const interaction = await Interaction.log(user, type, data, chatId);
+      eventWebhookService.emitInteraction(user, type, data, chatId);
+      return interaction;
     } catch (error) {
       logger.error(`Error tracking interaction (${type}):`, error.message);
       // Don't throw, just log the error
@@ -56,26 +62,6 @@ class UserService {
     }
   }
   
-  /**
-   * Get all active users
-   * @param {number} hoursActive - Hours to consider a user active
-   * @returns {Promise<Array>} - Array of active users
-   */
-  async getActiveUsers(hoursActive = 24) {
-    try {
-      const activeTime = new Date();
-      activeTime.setHours(activeTime.getHours() - hoursActive);
-      
-      return await User.find({
-        isActive: true,
-        lastActivity: { $gte: activeTime }
-      });
-    } catch (error) {
-      logger.error('Error getting active users:', error.message);
-      return [];
-    }
-  }
-  
   /**
    * Get user statistics
    * @returns {Promise<Object>} - User statistics
@@ -95,7 +81,9 @@ class UserService {
       // Get today's interactions
       const todayStart = new Date();
       todayStart.setHours(0, 0, 0, 0);
+      // Group checks are counted with the group statistics
       const todayInteractions = await Interaction.countDocuments({
+        chatId: null,
         createdAt: { $gte: todayStart }
       });
       
@@ -104,16 +92,16 @@ class UserService {
       
       // Get token check statistics
       const tokenStats = await Interaction.aggregate([
-        { $match: { type: 'check_token' } },
+        { $match: { type: 'check_token', chatId: null } },
         { $group: { _id: '$data.token', count: { $sum: 1 } } }
       ]);
       
-      const tokensChecked = await Interaction.countDocuments({ type: 'check_token' });
+      const tokensChecked = await Interaction.countDocuments({ type: 'check_token', chatId: null });
       const uniqueTokens = tokenStats.length;
       
       // Get popular chains
       const popularChains = await Interaction.aggregate([
-        { $match: { type: 'check_token' } },
+        { $match: { type: 'check_token', chatId: null } },
         { $group: { _id: '$data.chain', count: { $sum: 1 } } },
         { $sort: { count: -1 } },
         { $limit: 5 }
@@ -159,15 +147,31 @@ class UserService {
     }
   }
   
+  /**
+   * Update user's chart style
+   * @param {Object} user - User document
+   * @param {string} chartStyle - Chart style (constants.chartStyles)
+   * @returns {Promise<Object>} - Updated user
+   */
+  async updateChartStyle(user, chartStyle) {
+    try {
+      return await user.setChartStyle(chartStyle);
+    } catch (error) {
+      logger.error(`Error updating chart style for user ${user.telegramId}:`, error.message);
+      throw error;
+    }
+  }
+  
   /**
    * Update user state
    * @param {Object} user - User document
    * @param {string} state - New state
+   * @param {Object} data - What the state is about (optional)
    * @returns {Promise<Object>} - Updated user
    */
-  async updateUserState(user, state) {
+  async updateUserState(user, state, data = null) {
     try {
-      return await user.setState(state);
+      return await user.setState(state, data);
     } catch (error) {
       logger.error(`Error updating state for user ${user.telegramId}:`, error.message);
       throw error;
@@ -247,8 +251,15 @@ class UserService {
         });
         
         // Remove from favorites
-        user.favorites.splice(existingIndex, 1);
+        const [removed] = user.favorites.splice(existingIndex, 1);
         await user.save();
+        
+        // Alerts only exist for favorites, drop this token's rules
+        await Alert.deleteMany({
+          user: user._id,
+          contractAddress: removed.contractAddress,
+          chain: removed.chain
+        });
       }
       
       return user;
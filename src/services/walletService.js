@@ -0,0 +1,179 @@
+const fs = require('fs');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const cacheService = require('./cacheService');
+const bubblemapsService = require('./bubblemapsService');
+const tokenRatingService = require('./tokenRatingService');
+
+// Tokens analysed in parallel while building a report
+const ANALYSIS_BATCH_SIZE = 5;
+
+/**
+ * Holdings provider reading sample wallets from a JSON file, for development and testing
+ * The file maps wallet addresses to arrays of { contractAddress, chain, name, symbol, balance, valueUsd }
+ */
+class FixtureHoldingsProvider {
+  /**
+   * @param {string} file - Path of the fixture file
+   */
+  constructor(file) {
+    this.file = file;
+    this.wallets = null;
+  }
+
+  async getHoldings(walletAddress) {
+    if (!this.wallets) {
+      const wallets = JSON.parse(await fs.promises.readFile(this.file, 'utf8'));
+      this.wallets = new Map(Object.entries(wallets).map(([address, holdings]) => [walletKey(address), holdings]));
+    }
+
+    return this.wallets.get(walletKey(walletAddress)) || [];
+  }
+}
+
+// EVM addresses are case-insensitive
+const walletKey = (address) => (address.startsWith('0x') ? address.toLowerCase() : address);
+
+/**
+ * Service listing the tokens a wallet holds and flagging positions in poorly distributed tokens
+ * Holdings come from a provider: any object with getHoldings(walletAddress) resolving to
+ * [{ contractAddress, chain, name, symbol, balance, valueUsd }], registered under the name set in WALLET_HOLDINGS_PROVIDER
+ */
+class WalletService {
+  constructor() {
+    this.providers = new Map([
+      ['fixture', new FixtureHoldingsProvider(config.wallet.fixtureFile)]
+    ]);
+    this.reportCache = cacheService.getCache('wallet-reports', {
+      ttl: config.wallet.reportTTLMinutes * 60 * 1000
+    });
+  }
+
+  /**
+   * Register a holdings provider
+   * @param {string} name - Name selected with WALLET_HOLDINGS_PROVIDER
+   * @param {Object} provider - Object with getHoldings(walletAddress)
+   */
+  registerProvider(name, provider) {
+    this.providers.set(name, provider);
+  }
+
+  /**
+   * Whether a holdings provider is configured
+   * @returns {boolean}
+   */
+  isEnabled() {
+    return !!config.wallet.provider && this.providers.has(config.wallet.provider);
+  }
+
+  /**
+   * Get the report of a wallet, analysing its holdings when it isn't cached
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Object>} - { walletAddress, positions, totalValue, flaggedCount, flaggedValue, omitted, generatedAt }
+   */
+  async getWalletReport(walletAddress) {
+    const { value } = await this.reportCache.getOrFetch(walletKey(walletAddress), () => this._buildReport(walletAddress));
+    return value;
+  }
+
+  /**
+   * Fetch the holdings of a wallet and run each token through the Bubblemaps data
+   * @private
+   * @param {string} walletAddress - Wallet address
+   * @returns {Promise<Object>} - Wallet report
+   */
+  async _buildReport(walletAddress) {
+    const provider = this.providers.get(config.wallet.provider);
+    const holdings = (await provider.getHoldings(walletAddress))
+      .filter(holding => holding && holding.contractAddress && holding.chain)
+      .sort((a, b) => (b.valueUsd || 0) - (a.valueUsd || 0));
+    const analysed = holdings.slice(0, config.wallet.maxTokens);
+
+    logger.info(`Analysing ${analysed.length} of ${holdings.length} tokens held by wallet ${walletAddress}`);
+
+    const positions = [];
+    for (let i = 0; i < analysed.length; i += ANALYSIS_BATCH_SIZE) {
+      const batch = analysed.slice(i, i + ANALYSIS_BATCH_SIZE);
+      positions.push(...await Promise.all(batch.map(holding => this._analysePosition(holding))));
+    }
+
+    const totalValue = positions.reduce((total, position) => total + (position.valueUsd || 0), 0);
+    positions.forEach(position => {
+      position.sharePercent = totalValue > 0 && position.valueUsd ? (position.valueUsd / totalValue) * 100 : null;
+    });
+
+    const flagged = positions.filter(position => position.flagged);
+
+    return {
+      walletAddress,
+      positions,
+      totalValue,
+      flaggedCount: flagged.length,
+      flaggedValue: flagged.reduce((total, position) => total + (position.valueUsd || 0), 0),
+      omitted: holdings.length - analysed.length,
+      generatedAt: new Date()
+    };
+  }
+
+  /**
+   * Score one holding with its Bubblemaps metadata and map
+   * @private
+   * @param {Object} holding - Holding from the provider
+   * @returns {Promise<Object>} - Position
+   */
+  async _analysePosition(holding) {
+    const position = {
+      contractAddress: holding.contractAddress,
+      chain: holding.chain,
+      name: holding.name || '',
+      symbol: holding.symbol || '',
+      balance: typeof holding.balance === 'number' ? holding.balance : null,
+      valueUsd: typeof holding.valueUsd === 'number' ? holding.valueUsd : null,
+      available: false,
+      flagged: false,
+      reasons: []
+    };
+
+    try {
+      const [mapData, metaData] = await Promise.all([
+        bubblemapsService.getTokenMapData(holding.contractAddress, holding.chain),
+        bubblemapsService.getTokenMetadata(holding.contractAddress, holding.chain)
+      ]);
+
+      if (!mapData || !metaData || metaData.status !== 'OK') {
+        return position;
+      }
+
+      const distribution = tokenRatingService.summarizeDistribution(mapData, metaData);
+      const health = tokenRatingService.calculateTokenHealthRating(mapData, metaData);
+      if (!distribution) {
+        return position;
+      }
+
+      const reasons = [];
+      if (distribution.decentralisationScore !== null && distribution.decentralisationScore < config.wallet.minDecentralisationScore) {
+        reasons.push(`Score ${distribution.decentralisationScore.toFixed(1)}`);
+      }
+      if (distribution.topHolderPercent > config.wallet.maxTopHolderPercent) {
+        reasons.push(`Top holder ${distribution.topHolderPercent.toFixed(1)}%`);
+      }
+
+      return {
+        ...position,
+        name: position.name || mapData.full_name || '',
+        symbol: position.symbol || mapData.symbol || '',
+        available: true,
+        decentralisationScore: distribution.decentralisationScore,
+        topHolderPercent: distribution.topHolderPercent,
+        ratingLabel: health ? health.ratingLabel : null,
+        flagged: reasons.length > 0,
+        reasons
+      };
+    } catch (error) {
+      logger.error(`Error analysing ${holding.contractAddress} on ${holding.chain} for a wallet report: ${error.message}`);
+      return position;
+    }
+  }
+}
+
+module.exports = new WalletService();
@@ -0,0 +1,217 @@
+const http = require('http');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const logger = require('../utils/logger');
+const config = require('../utils/config');
+const browserPoolService = require('./browserPoolService');
+
+// Largest update body accepted from Telegram
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * HTTP server for webhook mode: receives Telegram updates and answers health probes
+ */
+class WebhookService {
+  constructor() {
+    this.bot = null;
+    this.server = null;
+    this.secretToken = config.webhook.secretToken || crypto.randomBytes(32).toString('hex');
+    this.lastApiSuccessAt = null;
+  }
+
+  /**
+   * Start the server and point the bot's webhook at it
+   * @param {Object} bot - Telegram bot instance (created without polling)
+   * @param {Array<string>} allowedUpdates - Update types to receive
+   */
+  async start(bot, allowedUpdates) {
+    if (!config.webhook.url) {
+      throw new Error('WEBHOOK_URL is required in webhook mode');
+    }
+
+    this.bot = bot;
+    this.server = http.createServer((req, res) => {
+      this._handleRequest(req, res).catch(error => {
+        logger.error(`Error handling ${req.method} ${req.url}: ${error.message}`);
+        this._send(res, 500, { error: 'Internal error' });
+      });
+    });
+
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(config.webhook.port, resolve);
+    });
+    logger.info(`Webhook server listening on port ${config.webhook.port}`);
+
+    const url = config.webhook.url.replace(/\/+$/, '') + config.webhook.path;
+    await bot.setWebHook(url, {
+      secret_token: this.secretToken,
+      allowed_updates: JSON.stringify(allowedUpdates)
+    });
+    this.recordApiSuccess();
+
+    logger.info(`Webhook set to ${url}`);
+  }
+
+  /**
+   * Stop accepting requests
+   * The webhook stays registered so Telegram keeps updates for the next start
+   */
+  async stop() {
+    if (!this.server) return;
+
+    const server = this.server;
+    this.server = null;
+    await new Promise(resolve => {
+      server.close(resolve);
+      server.closeIdleConnections();
+    });
+
+    logger.info('Webhook server stopped');
+  }
+
+  /**
+   * Note that a Telegram API call went through
+   */
+  recordApiSuccess() {
+    this.lastApiSuccessAt = new Date();
+  }
+
+  /**
+   * Check the dependencies the bot needs to serve updates
+   * @returns {Promise<Object>} - { ready, checks }
+   */
+  async getReadiness() {
+    const pool = browserPoolService.getStatus();
+    const checks = {
+      mongo: mongoose.connection.readyState === 1,
+      // The browser starts on first use; once started it must be up with room in its queue
+      browserPool: (pool.contexts === 0 || pool.browserConnected) && pool.queued < browserPoolService.queueLimit,
+      telegramApi: await this._checkTelegramApi()
+    };
+
+    return {
+      ready: Object.values(checks).every(Boolean),
+      checks,
+      lastApiSuccessAt: this.lastApiSuccessAt
+    };
+  }
+
+  /**
+   * Route a request to the webhook or a health endpoint
+   * @private
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async _handleRequest(req, res) {
+    const path = req.url.split('?')[0];
+
+    if (req.method === 'GET' && path === '/healthz') {
+      this._send(res, 200, { status: 'ok', uptime: Math.round(process.uptime()) });
+      return;
+    }
+
+    if (req.method === 'GET' && path === '/readyz') {
+      const readiness = await this.getReadiness();
+      this._send(res, readiness.ready ? 200 : 503, readiness);
+      return;
+    }
+
+    if (req.method === 'POST' && path === config.webhook.path) {
+      await this._handleUpdate(req, res);
+      return;
+    }
+
+    this._send(res, 404, { error: 'Not found' });
+  }
+
+  /**
+   * Validate a webhook request and dispatch its update to the bot's handlers
+   * @private
+   * @param {Object} req - HTTP request
+   * @param {Object} res - HTTP response
+   */
+  async _handleUpdate(req, res) {
+    const header = Buffer.from(String(req.headers['x-telegram-bot-api-secret-token'] || ''));
+    const secret = Buffer.from(this.secretToken);
+    if (header.length !== secret.length || !crypto.timingSafeEqual(header, secret)) {
+      logger.warn(`Rejected webhook request without a valid secret token from ${req.socket.remoteAddress}`);
+      this._send(res, 401, { error: 'Unauthorized' });
+      return;
+    }
+
+    let update;
+    try {
+      update = JSON.parse(await this._readBody(req));
+    } catch (error) {
+      this._send(res, 400, { error: 'Invalid update' });
+      return;
+    }
+
+    // Answer right away: Telegram resends updates that take too long, and the handlers run on their own
+    this._send(res, 200, { ok: true });
+    this.bot.processUpdate(update);
+  }
+
+  /**
+   * Read a request body
+   * @private
+   * @param {Object} req - HTTP request
+   * @returns {Promise<string>} - Body
+   */
+  _readBody(req) {
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let size = 0;
+
+      req.on('data', chunk => {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) {
+          reject(new Error('Body too large'));
+          req.destroy();
+          return;
+        }
+        chunks.push(chunk);
+      });
+      req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+      req.on('error', reject);
+    });
+  }
+
+  /**
+   * Check the Telegram API, calling it when no call went through recently
+   * @private
+   * @returns {Promise<boolean>} - True if the API answered recently
+   */
+  async _checkTelegramApi() {
+    const staleAfter = config.webhook.apiStaleMinutes * 60 * 1000;
+    if (this.lastApiSuccessAt && Date.now() - this.lastApiSuccessAt.getTime() < staleAfter) {
+      return true;
+    }
+
+    try {
+      await this.bot.getMe();
+      this.recordApiSuccess();
+      return true;
+    } catch (error) {
+      logger.warn(`Telegram API check failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Send a JSON response
+   * @private
+   * @param {Object} res - HTTP response
+   * @param {number} statusCode - HTTP status
+   * @param {Object} body - Response body
+   */
+  _send(res, statusCode, body) {
+    if (res.headersSent) return;
+
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+module.exports = new WebhookService();
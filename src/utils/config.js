@@ -1,4 +1,5 @@
 require('dotenv').config();
+const path = require('path');
 const constants = require('../../config/constants');
 const logger = require('./logger');
 
@@ -9,9 +10,16 @@ const config = {
   // Bot configuration
   telegram: {
     token: process.env.TELEGRAM_BOT_TOKEN,
-    options: {
-      polling: true
-    }
+    mode: (process.env.BOT_MODE || 'polling').toLowerCase() // 'polling' or 'webhook'
+  },
+  
+  // Webhook server configuration (BOT_MODE=webhook)
+  webhook: {
+    url: process.env.WEBHOOK_URL, // Public HTTPS base URL Telegram posts updates to
+    path: process.env.WEBHOOK_PATH || '/telegram/webhook',
+    port: parseInt(process.env.WEBHOOK_PORT) || 8080,
+    secretToken: process.env.WEBHOOK_SECRET, // Random per start when not set
+    apiStaleMinutes: parseInt(process.env.HEALTH_API_STALE_MINUTES) || 5
   },
   
   // Database configuration
@@ -26,6 +34,87 @@ const config = {
       []
   },
   
+  // Alert scheduler configuration
+  alerts: {
+    checkIntervalMinutes: parseInt(process.env.ALERT_CHECK_INTERVAL_MINUTES) || 15,
+    cooldownMinutes: parseInt(process.env.ALERT_COOLDOWN_MINUTES) || 360
+  },
+  
+  // Snapshot refresher configuration
+  snapshots: {
+    refreshIntervalHours: parseInt(process.env.SNAPSHOT_REFRESH_INTERVAL_HOURS) || 6
+  },
+  
+  // Digest scheduler configuration
+  digest: {
+    checkIntervalMinutes: parseInt(process.env.DIGEST_CHECK_INTERVAL_MINUTES) || 5
+  },
+  
+  // Broadcast delivery configuration
+  broadcast: {
+    checkIntervalMinutes: parseInt(process.env.BROADCAST_CHECK_INTERVAL_MINUTES) || 1,
+    messagesPerSecond: parseInt(process.env.BROADCAST_MESSAGES_PER_SECOND) || 25,
+    maxRetries: parseInt(process.env.BROADCAST_MAX_RETRIES) || 3
+  },
+  
+  // Token check queue configuration
+  checkQueue: {
+    concurrency: parseInt(process.env.CHECK_QUEUE_CONCURRENCY) || 4,
+    perUserConcurrency: parseInt(process.env.CHECK_QUEUE_PER_USER) || 1
+  },
+  
+  // Browser pool configuration (screenshots and charts)
+  browserPool: {
+    size: parseInt(process.env.BROWSER_POOL_SIZE) || 2,
+    maxPagesPerContext: parseInt(process.env.BROWSER_POOL_MAX_PAGES) || 50,
+    queueLimit: parseInt(process.env.BROWSER_POOL_QUEUE_LIMIT) || 20,
+    queueTimeout: parseInt(process.env.BROWSER_POOL_QUEUE_TIMEOUT) || 120000,
+    taskTimeout: parseInt(process.env.BROWSER_POOL_TASK_TIMEOUT) || 90000
+  },
+  
+  // REST API configuration (disabled unless API_PORT is set)
+  api: {
+    port: parseInt(process.env.API_PORT) || null,
+    rateLimit: parseInt(process.env.API_RATE_LIMIT) || 60 // Requests per key per RATE_LIMIT_WINDOW_SECONDS
+  },
+  
+  // Outbound event webhooks configuration
+  eventWebhooks: {
+    maxAttempts: parseInt(process.env.EVENT_WEBHOOK_MAX_ATTEMPTS) || 6,
+    retrySeconds: parseInt(process.env.EVENT_WEBHOOK_RETRY_SECONDS) || 30, // First retry delay, doubled after each failure
+    timeoutMs: parseInt(process.env.EVENT_WEBHOOK_TIMEOUT_MS) || 10000
+  },
+  
+  // /wallet portfolio reports
+  wallet: {
+    provider: process.env.WALLET_HOLDINGS_PROVIDER || null, // 'fixture' (JSON file of sample wallets), /wallet is off when empty
+    fixtureFile: process.env.WALLET_FIXTURE_FILE || path.join(__dirname, '../../config/walletHoldings.fixture.json'),
+    maxTokens: parseInt(process.env.WALLET_MAX_TOKENS) || 30,
+    minDecentralisationScore: parseInt(process.env.WALLET_MIN_SCORE) || 40, // Flag positions in tokens scoring below this
+    maxTopHolderPercent: parseInt(process.env.WALLET_MAX_TOP_HOLDER_PERCENT) || 30, // ...or whose largest holder owns more
+    reportTTLMinutes: parseInt(process.env.WALLET_REPORT_TTL_MINUTES) || 10
+  },
+  
+  // Per-user token check rate limit (private chats and groups)
+  rateLimit: {
+    maxChecks: parseInt(process.env.RATE_LIMIT_MAX_CHECKS) || 10,
+    windowSeconds: parseInt(process.env.RATE_LIMIT_WINDOW_SECONDS) || 60
+  },
+  
+  // Address to chain resolution configuration
+  chainResolution: {
+    refreshAfterHours: parseInt(process.env.CHAIN_RESOLUTION_REFRESH_HOURS) || 24
+  },
+  
+  // API response cache configuration
+  cache: {
+    backend: process.env.CACHE_BACKEND || 'memory', // 'memory' or 'mongo' (memory in front of MongoDB)
+    maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES) || 1000,
+    minTTLMinutes: parseInt(process.env.CACHE_MIN_TTL_MINUTES) || 5,
+    maxTTLMinutes: parseInt(process.env.CACHE_MAX_TTL_MINUTES) || 360,
+    negativeTTLMinutes: parseInt(process.env.CACHE_NEGATIVE_TTL_MINUTES) || 10
+  },
+  
   // API endpoints from constants
   endpoints: constants.endpoints,
   
@@ -43,6 +132,25 @@ function validateConfig() {
     isValid = false;
   }
   
+  if (!['polling', 'webhook'].includes(config.telegram.mode)) {
+    logger.error(`Invalid BOT_MODE "${config.telegram.mode}", use polling or webhook`);
+    isValid = false;
+  }
+  
+  if (config.telegram.mode === 'webhook' && !config.webhook.url) {
+    logger.error('Missing WEBHOOK_URL in environment variables (required with BOT_MODE=webhook)');
+    isValid = false;
+  }
+  
+  if (config.webhook.secretToken && !/^[A-Za-z0-9_-]{1,256}$/.test(config.webhook.secretToken)) {
+    logger.error('WEBHOOK_SECRET must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+    isValid = false;
+  }
+  
+  if (config.wallet.provider && config.wallet.provider !== 'fixture') {
+    logger.warn(`Unknown WALLET_HOLDINGS_PROVIDER "${config.wallet.provider}", /wallet stays off unless a provider with that name is registered`);
+  }
+  
   if (!config.mongodb.uri) {
     logger.error('Missing MONGODB_URI in environment variables');
     isValid = false;
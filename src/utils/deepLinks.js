@@ -0,0 +1,86 @@
+const validation = require('./validation');
+
+// Telegram only accepts A-Z, a-z, 0-9, _ and - in start payloads, up to 64 characters
+const PAYLOAD_REGEX = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Supported /start payload actions, keyed by payload prefix
+ */
+const actions = {
+  check: 'check',
+  fav: 'favorite'
+};
+
+/**
+ * Deep-link utilities for t.me links (bot start payloads and group messages)
+ */
+module.exports = {
+  actions,
+
+  /**
+   * Parse a /start payload into an action and token reference
+   * Payloads have the form `<prefix>_<chain>_<address>`
+   * @param {string} payload - Raw start payload
+   * @returns {Object} - { action, chain, contractAddress } or { error } if the payload is invalid
+   */
+  parseStartPayload: (payload) => {
+    if (!payload || typeof payload !== 'string' || !PAYLOAD_REGEX.test(payload)) {
+      return { error: 'malformed' };
+    }
+
+    const [prefix, chain, ...rest] = payload.split('_');
+    const contractAddress = rest.join('_');
+
+    if (!Object.prototype.hasOwnProperty.call(actions, prefix)) {
+      return { error: 'unknown' };
+    }
+
+    if (!validation.isValidChain(chain) || !validation.isValidContractAddress(contractAddress)) {
+      return { error: 'invalid' };
+    }
+
+    // Solana addresses are only valid on Solana, EVM addresses only on EVM chains
+    const normalizedChain = chain.toLowerCase();
+    if ((normalizedChain === 'sol') === contractAddress.startsWith('0x')) {
+      return { error: 'invalid' };
+    }
+
+    return {
+      action: actions[prefix],
+      chain: normalizedChain,
+      contractAddress
+    };
+  },
+
+  /**
+   * Build a deep link that opens the bot with a start payload
+   * @param {string} botUsername - Bot username without @
+   * @param {string} prefix - Payload prefix (e.g. 'check')
+   * @param {string} chain - Chain ID
+   * @param {string} contractAddress - Contract address
+   * @returns {string} - Deep link URL
+   */
+  buildStartLink: (botUsername, prefix, chain, contractAddress) => {
+    return `https://t.me/${botUsername}?start=${prefix}_${chain}_${contractAddress}`;
+  },
+
+  /**
+   * Build a t.me link to a message in a group
+   * @param {Object} chat - Telegram chat object
+   * @param {number} messageId - Message ID
+   * @returns {string|null} - Message link, or null for basic groups (their messages can't be linked)
+   */
+  buildMessageLink: (chat, messageId) => {
+    if (chat.username) {
+      return `https://t.me/${chat.username}/${messageId}`;
+    }
+
+    // Private supergroups use the chat ID without its -100 prefix
+    const chatId = String(chat.id);
+    if (chat.type === 'supergroup' && chatId.startsWith('-100')) {
+      return `https://t.me/c/${chatId.slice(4)}/${messageId}`;
+    }
+
+    return null;
+  }
+};
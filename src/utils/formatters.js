@@ -81,6 +81,22 @@ function formatPopularChains(chains) {
   return chains.map(chain => `- ${chain.id.toUpperCase()}: ${chain.count}`).join('\n');
 }
 
+/**
+ * Format when a digest subscription is posted
+ * @param {Object} subscription - DigestSubscription document (optional)
+ * @returns {string} - Schedule, or 'Off'
+ */
+function formatDigestSchedule(subscription) {
+  if (!subscription || !subscription.isActive) {
+    return 'Off';
+  }
+  
+  const hour = `${String(subscription.hourUTC).padStart(2, '0')}:00 UTC`;
+  return subscription.frequency === constants.digestFrequencies.WEEKLY
+    ? `Weekly, ${moment.utc().day(constants.digestWeekday).format('dddd')}s at ${hour}`
+    : `Daily at ${hour}`;
+}
+
 /**
  * Format currency values with appropriate precision
  * @param {number} value - Currency value
@@ -137,6 +153,56 @@ function formatLargeNumber(value) {
   return value.toLocaleString('en-US');
 }
 
+/**
+ * Format a 0-100 score as a text progress bar
+ * @param {number} score - Score (0-100)
+ * @param {number} length - Number of bar segments
+ * @returns {string} - Bar string
+ */
+function formatScoreBar(score, length = 10) {
+  const filled = Math.max(0, Math.min(length, Math.round((score || 0) / (100 / length))));
+  return '█'.repeat(filled) + '░'.repeat(length - filled);
+}
+
+/**
+ * Describe an alert rule in plain words
+ * @param {string} type - Alert type
+ * @param {number} threshold - Rule threshold
+ * @returns {string} - Rule description
+ */
+function describeAlertRule(type, threshold) {
+  switch (type) {
+    case constants.alertTypes.PRICE_CHANGE:
+      return `Price moves ±${threshold}% in 24h`;
+    case constants.alertTypes.TOP_HOLDER:
+      return `Top holder exceeds ${threshold}%`;
+    case constants.alertTypes.DECENTRALISATION:
+      return `Decentralisation score drops below ${threshold}`;
+    default:
+      return `${type} ${threshold}`;
+  }
+}
+
+/**
+ * Format the change between two values with a direction arrow
+ * @param {number} current - Current value
+ * @param {number} previous - Previous value
+ * @param {string} unit - Unit suffix for the change
+ * @returns {string} - Change string, empty if either value is missing
+ */
+function formatDelta(current, previous, unit = '') {
+  if (typeof current !== 'number' || typeof previous !== 'number') {
+    return '';
+  }
+  
+  const change = current - previous;
+  if (Math.abs(change) < 0.05) {
+    return ' (no change)';
+  }
+  
+  return ` (${change > 0 ? '▲' : '▼'} ${Math.abs(change).toFixed(1)}${unit})`;
+}
+
 /**
  * Formatting utilities for bot responses
  */
@@ -149,9 +215,10 @@ module.exports = {
    * @param {Object} marketData - Market data from CoinGecko (optional)
    * @param {Object} ratingData - Token rating data (optional)
    * @param {string} userRating - User's rating for this token (optional)
+   * @param {Object} healthRating - Token health rating from tokenRatingService (optional)
    * @returns {string} - Formatted message
    */
-  formatTokenInfo: (mapData, metaData, chain, marketData = null, ratingData = null, userRating = null) => {
+  formatTokenInfo: (mapData, metaData, chain, marketData = null, ratingData = null, userRating = null, healthRating = null) => {
     if (!mapData || !metaData) {
       return 'No data available';
     }
@@ -213,6 +280,16 @@ module.exports = {
                 `👍 ${ratingData.likesCount} (${likePercentage}%) | 👎 ${ratingData.dislikesCount} (${dislikePercentage}%)\n\n`;
     }
     
+    // Add health rating if available
+    if (healthRating) {
+      const { components } = healthRating;
+      message += `🩺 *Health:* ${healthRating.overallHealthScore}/100 (${healthRating.ratingLabel})\n` +
+                `\`${formatScoreBar(components.decentralizationScore)}\` Decentralization ${components.decentralizationScore}\n` +
+                `\`${formatScoreBar(components.holderStabilityScore)}\` Stability ${components.holderStabilityScore}\n` +
+                `\`${formatScoreBar(components.riskConcentrationScore)}\` Concentration ${components.riskConcentrationScore}\n` +
+                `\`${formatScoreBar(components.addressActivityScore)}\` Activity ${components.addressActivityScore}\n\n`;
+    }
+    
     // Add supply distribution data
     message += `📊 *Supply Distribution:*\n` +
               `*CEXs:* ${cexPercent.toFixed(2)}%\n` +
@@ -234,9 +311,10 @@ module.exports = {
    * @param {Object} metaData - Metadata from Bubblemaps API
    * @param {string} chain - Chain ID
    * @param {Object} marketData - Market data from CoinGecko (optional)
+   * @param {Object} healthRating - Token health rating from tokenRatingService (optional)
    * @returns {string} - Formatted brief message
    */
-  formatBriefTokenInfo: (mapData, metaData, chain, marketData = null) => {
+  formatBriefTokenInfo: (mapData, metaData, chain, marketData = null, healthRating = null) => {
     if (!mapData || !metaData) {
       return 'No data available';
     }
@@ -263,7 +341,11 @@ module.exports = {
     
     // Build enhanced message with better formatting
     let message = `*${full_name || 'Unknown Token'} (${symbol || '???'})*\n`;
-    message += `Chain: ${chain.toUpperCase()} | Score: ${decentralisation_score ? decentralisation_score.toFixed(2) : 'N/A'}/100\n\n`;
+    message += `Chain: ${chain.toUpperCase()} | Score: ${decentralisation_score ? decentralisation_score.toFixed(2) : 'N/A'}/100\n`;
+    if (healthRating) {
+      message += `🩺 Health: ${healthRating.overallHealthScore}/100 (${healthRating.ratingLabel})\n`;
+    }
+    message += `\n`;
     
     // Add market data if available (in an improved format)
     if (marketData && marketData.price && marketData.price > 0) {
@@ -290,6 +372,423 @@ module.exports = {
     return message;
   },
   
+  /**
+   * Format a detailed explanation of a token health rating
+   * @param {Object} healthRating - Token health rating from tokenRatingService
+   * @param {string} chain - Chain ID
+   * @returns {string} - Formatted message
+   */
+  formatHealthBreakdown: (healthRating, chain) => {
+    if (!healthRating) {
+      return 'No health data available';
+    }
+    
+    const { components, metrics, metadata } = healthRating;
+    const tokenLabel = metadata.tokenName
+      ? `${metadata.tokenName} (${metadata.tokenSymbol || '???'})`
+      : 'Unknown Token';
+    
+    return `*🩺 Health Breakdown: ${tokenLabel}*\n` +
+           `Chain: ${chain.toUpperCase()} | Holders analysed: ${metadata.totalHolders}\n\n` +
+           `*Overall:* ${healthRating.overallHealthScore}/100 (${healthRating.ratingLabel})\n` +
+           `\`${formatScoreBar(healthRating.overallHealthScore, 20)}\`\n\n` +
+           `*Decentralization* (40% weight): ${components.decentralizationScore}/100\n` +
+           `How evenly supply is spread. Top 10 hold ${metrics.top10Percent.toFixed(2)}% of mapped supply, ` +
+           `Gini coefficient ${metrics.giniCoefficient.toFixed(2)} (0 = equal, 1 = one holder).\n\n` +
+           `*Holder Stability* (25% weight): ${components.holderStabilityScore}/100\n` +
+           `Fewer transfer links between holders suggest less movement. ` +
+           `${metrics.linksPerHolder.toFixed(2)} links per holder.\n\n` +
+           `*Risk Concentration* (25% weight): ${components.riskConcentrationScore}/100\n` +
+           `Exposure to a few large wallets. Largest holder owns ${metrics.largestHolderPercent.toFixed(2)}% of supply, ` +
+           `top 5 hold ${metrics.top5Percent.toFixed(2)}% of mapped supply.\n\n` +
+           `*Address Activity* (10% weight): ${components.addressActivityScore}/100\n` +
+           `How connected the holder network is, based on links per holder and network density.\n\n` +
+           `_Higher scores are healthier. Ratings are computed from the Bubblemaps holder graph and are not financial advice._`;
+  },
+  
+  /**
+   * Describe an alert rule in plain words
+   * @param {string} type - Alert type
+   * @param {number} threshold - Rule threshold
+   * @returns {string} - Rule description
+   */
+  describeAlertRule: describeAlertRule,
+  
+  /**
+   * Format the alert rules of a favorite token
+   * @param {Object} favorite - Favorite token entry
+   * @param {Array} alerts - Alert documents for this token
+   * @returns {string} - Formatted message
+   */
+  formatTokenAlerts: (favorite, alerts) => {
+    const displayName = favorite.name && favorite.symbol
+      ? `${favorite.name} (${favorite.symbol})`
+      : `${favorite.contractAddress.substring(0, 8)}...`;
+    
+    let message = `🔔 *Alerts for ${displayName}* on ${favorite.chain.toUpperCase()}\n\n`;
+    
+    if (!alerts || alerts.length === 0) {
+      message += 'No alert rules yet. Pick a rule below to get notified.';
+      return message;
+    }
+    
+    alerts.forEach((alert, index) => {
+      const status = alert.isActive ? '🟢' : '⏸';
+      const lastTriggered = alert.lastTriggeredAt ? ` • Last fired ${moment(alert.lastTriggeredAt).fromNow()}` : '';
+      message += `${status} ${index + 1}. ${describeAlertRule(alert.type, alert.threshold)}${lastTriggered}\n`;
+    });
+    
+    message += `\nPick a preset below to add or change a rule.`;
+    return message;
+  },
+  
+  /**
+   * Format an alert notification
+   * @param {Object} alert - Alert document
+   * @param {number} value - Observed value that fired the rule
+   * @returns {string} - Formatted message
+   */
+  formatAlertNotification: (alert, value) => {
+    const displayName = alert.name && alert.symbol
+      ? `${alert.name} (${alert.symbol})`
+      : `${alert.contractAddress.substring(0, 6)}...${alert.contractAddress.substring(alert.contractAddress.length - 4)}`;
+    const mapUrl = `${constants.endpoints.bubblemapsUrl}${alert.chain}/token/${alert.contractAddress}`;
+    
+    let observed;
+    switch (alert.type) {
+      case constants.alertTypes.PRICE_CHANGE:
+        observed = `Price ${value > 0 ? '🟢 +' : '🔴 '}${value.toFixed(2)}% in 24h`;
+        break;
+      case constants.alertTypes.TOP_HOLDER:
+        observed = `Top holder now holds ${value.toFixed(2)}%`;
+        break;
+      case constants.alertTypes.DECENTRALISATION:
+        observed = `Decentralisation score is ${value.toFixed(2)}/100`;
+        break;
+      default:
+        observed = `Value: ${value}`;
+    }
+    
+    return `🚨 *Alert: ${displayName}*\n\n` +
+           `*Rule:* ${describeAlertRule(alert.type, alert.threshold)}\n` +
+           `*Now:* ${observed}\n` +
+           `*Chain:* ${alert.chain.toUpperCase()}\n\n` +
+           `[View on BubbleMaps](${mapUrl})`;
+  },
+  
+  /**
+   * Format a side-by-side comparison of several tokens
+   * @param {Array} entries - Comparison entries ({ contractAddress, chain, available, symbol, marketData, tokenRating, distribution })
+   * @returns {string} - Formatted message
+   */
+  formatTokenComparison: (entries) => {
+    if (!entries || entries.length === 0) {
+      return 'No tokens to compare';
+    }
+    
+    const available = entries.filter(entry => entry.available && entry.distribution);
+    const unavailable = entries.filter(entry => !entry.available || !entry.distribution);
+    
+    let message = `*⚖️ Token Comparison*\n\n`;
+    
+    if (available.length > 0) {
+      const labelWidth = 9;
+      const columnWidth = 10;
+      const cell = (value) => String(value).substring(0, columnWidth - 1).padStart(columnWidth);
+      const percent = (value) => (typeof value === 'number' ? `${value.toFixed(1)}%` : 'N/A');
+      
+      const rows = [
+        ['', entry => entry.symbol || entry.contractAddress.substring(0, 6)],
+        ['Chain', entry => entry.chain.toUpperCase()],
+        ['Price', entry => (entry.marketData && entry.marketData.price > 0 ? `$${formatCurrency(entry.marketData.price)}` : 'N/A')],
+        ['MCap', entry => (entry.marketData && entry.marketData.market_cap > 0 ? `$${formatLargeNumber(entry.marketData.market_cap)}` : 'N/A')],
+        ['Score', entry => (entry.distribution.decentralisationScore !== null ? entry.distribution.decentralisationScore.toFixed(1) : 'N/A')],
+        ['CEXs', entry => percent(entry.distribution.cexPercent)],
+        ['Contract', entry => percent(entry.distribution.contractPercent)],
+        ['Top hold', entry => percent(entry.distribution.topHolderPercent)],
+        ['Gini', entry => entry.distribution.giniCoefficient.toFixed(2)],
+        ['Rating', entry => (entry.tokenRating ? `+${entry.tokenRating.likesCount}/-${entry.tokenRating.dislikesCount}` : '-')]
+      ];
+      
+      const table = rows.map(([label, getValue]) =>
+        label.padEnd(labelWidth) + available.map(entry => cell(getValue(entry))).join('')
+      ).join('\n');
+      
+      message += '```\n' + table + '\n```\n';
+      
+      // Call out the leaders on the key distribution metrics
+      const mostDecentralised = available
+        .filter(entry => entry.distribution.decentralisationScore !== null)
+        .sort((a, b) => b.distribution.decentralisationScore - a.distribution.decentralisationScore)[0];
+      const mostEqual = [...available]
+        .sort((a, b) => a.distribution.giniCoefficient - b.distribution.giniCoefficient)[0];
+      
+      if (available.length > 1) {
+        if (mostDecentralised) {
+          message += `🏆 Highest score: *${mostDecentralised.symbol || 'Unknown'}* (${mostDecentralised.distribution.decentralisationScore.toFixed(1)})\n`;
+        }
+        message += `⚖️ Most even distribution: *${mostEqual.symbol || 'Unknown'}* (Gini ${mostEqual.distribution.giniCoefficient.toFixed(2)})\n`;
+      }
+    }
+    
+    if (unavailable.length > 0) {
+      message += `\n⚠️ *Data not available:*\n`;
+      unavailable.forEach(entry => {
+        message += `• \`${entry.contractAddress}\` (${entry.chain.toUpperCase()})\n`;
+      });
+    }
+    
+    return message;
+  },
+  
+  /**
+   * Format where a wallet sits in the holder graph of a token
+   * @param {Object} location - Result of tokenRatingService.locateHolder
+   * @param {Object} token - { contractAddress, chain, name, symbol }
+   * @returns {string} - Formatted message
+   */
+  formatHolderLocation: (location, token) => {
+    const strip = (text) => String(text).replace(/[_*`[\]]/g, '');
+    const shorten = (address) => `${address.slice(0, 6)}...${address.slice(-4)}`;
+    const kind = location.isExchange ? ' (exchange)' : location.isContract ? ' (contract)' : '';
+    
+    let message = `*📍 Wallet in ${strip(token.name || 'Unknown Token')} (${strip(token.symbol || '???')})*\n` +
+                  `${token.chain.toUpperCase()} • \`${token.contractAddress}\`\n\n` +
+                  `\`${location.address}\`${location.name ? ` - ${strip(location.name)}` : ''}${kind}\n` +
+                  `*Rank:* #${location.rank} of ${location.holderCount} mapped holders\n` +
+                  `*Share of supply:* ${location.percent.toFixed(2)}%\n\n`;
+    
+    if (location.linked.length === 0) {
+      message += '🫧 Not linked to any other mapped holder by transfers.';
+      return message;
+    }
+    
+    message += `*🔗 Cluster:* ${location.linked.length + 1} wallets holding ${location.clusterPercent.toFixed(2)}% together\n` +
+               `Linked wallets hold ${location.linkedPercent.toFixed(2)}% (${location.directLinks} linked directly):\n`;
+    
+    const shown = location.linked.slice(0, 10);
+    shown.forEach(holder => {
+      const name = holder.name ? strip(holder.name) : shorten(holder.address);
+      message += `• ${name}: ${holder.percent.toFixed(2)}%${holder.direct ? '' : ' (indirect)'}\n`;
+    });
+    if (location.linked.length > shown.length) {
+      message += `• ...and ${location.linked.length - shown.length} more\n`;
+    }
+    
+    return message;
+  },
+  
+  /**
+   * Format one page of a wallet report
+   * @param {Object} report - Wallet report from walletService
+   * @param {number} page - Page number (1-based)
+   * @param {number} pageSize - Positions per page
+   * @returns {string} - Formatted message
+   */
+  formatWalletReport: (report, page = 1, pageSize = constants.walletPageSize) => {
+    const pageCount = Math.max(1, Math.ceil(report.positions.length / pageSize));
+    const strip = (text) => String(text).replace(/[_*`[\]]/g, '');
+    const percent = (value) => (typeof value === 'number' ? `${value.toFixed(1)}%` : 'N/A');
+    
+    let message = `*👛 Wallet Report*\n\`${report.walletAddress}\`\n\n`;
+    message += `Positions: ${report.positions.length}`;
+    if (report.totalValue > 0) {
+      message += ` • Value: $${formatLargeNumber(report.totalValue)}`;
+    }
+    message += '\n';
+    
+    if (report.flaggedCount > 0) {
+      const flaggedShare = report.totalValue > 0 ? ` (${percent((report.flaggedValue / report.totalValue) * 100)} of value)` : '';
+      message += `⚠️ ${report.flaggedCount} position${report.flaggedCount === 1 ? '' : 's'} in poorly distributed tokens${flaggedShare}\n`;
+    } else {
+      message += '✅ No positions in poorly distributed tokens\n';
+    }
+    
+    const largest = report.positions.find(position => position.sharePercent !== null);
+    if (largest) {
+      message += `📊 Largest position: ${strip(largest.symbol || largest.name || 'Unknown')} (${percent(largest.sharePercent)} of value)\n`;
+    }
+    if (report.omitted > 0) {
+      message += `ℹ️ ${report.omitted} smaller position${report.omitted === 1 ? '' : 's'} not analysed\n`;
+    }
+    message += '\n';
+    
+    const start = (page - 1) * pageSize;
+    report.positions.slice(start, start + pageSize).forEach((position, index) => {
+      const label = strip(position.symbol || position.name || `${position.contractAddress.substring(0, 8)}...`);
+      const value = position.valueUsd !== null ? ` • $${formatLargeNumber(position.valueUsd)} (${percent(position.sharePercent)})` : '';
+      
+      message += `*${start + index + 1}.* ${position.flagged ? '⚠️ ' : ''}${label} (${position.chain.toUpperCase()})${value}\n`;
+      if (!position.available) {
+        message += '   No Bubblemaps data for this token\n\n';
+        return;
+      }
+      
+      const score = position.decentralisationScore !== null ? position.decentralisationScore.toFixed(1) : 'N/A';
+      message += `   Score: ${score} • Top holder: ${percent(position.topHolderPercent)}`;
+      message += position.ratingLabel ? ` • Health: ${position.ratingLabel}\n` : '\n';
+      if (position.flagged) {
+        message += `   Poorly distributed: ${position.reasons.join(', ')}\n`;
+      }
+      message += '\n';
+    });
+    
+    if (pageCount > 1) {
+      message += `Page ${page}/${pageCount}`;
+    }
+    
+    return message;
+  },
+  
+  /**
+   * Format the snapshot history of a token
+   * @param {Array} snapshots - TokenSnapshot documents, newest first
+   * @returns {string} - Formatted message
+   */
+  formatTokenHistory: (snapshots) => {
+    if (!snapshots || snapshots.length === 0) {
+      return constants.messages.noHistory;
+    }
+    
+    const [latest, previous] = snapshots;
+    const latestPrice = latest.marketData && latest.marketData.price > 0 ? latest.marketData.price : null;
+    const previousPrice = previous && previous.marketData && previous.marketData.price > 0 ? previous.marketData.price : null;
+    const percent = (value) => (typeof value === 'number' ? `${value.toFixed(1)}%` : 'N/A');
+    
+    let message = `*📈 History: ${latest.name || 'Unknown Token'} (${latest.symbol || '???'})*\n` +
+                  `Chain: ${latest.chain.toUpperCase()}\n` +
+                  `Contract: \`${latest.contractAddress}\`\n\n`;
+    
+    message += `*Latest* (${moment(latest.createdAt).format('YYYY-MM-DD HH:mm')})`;
+    message += previous ? `, compared with ${moment(previous.createdAt).fromNow()}:\n` : ':\n';
+    
+    const prev = previous || {};
+    message += `• Score: ${typeof latest.decentralisationScore === 'number' ? latest.decentralisationScore.toFixed(1) : 'N/A'}` +
+               `${formatDelta(latest.decentralisationScore, prev.decentralisationScore)}\n`;
+    message += `• Top holder: ${percent(latest.topHolderPercent)}${formatDelta(latest.topHolderPercent, prev.topHolderPercent, ' pp')}\n`;
+    message += `• Top 10 holders: ${percent(latest.top10Percent)}${formatDelta(latest.top10Percent, prev.top10Percent, ' pp')}\n`;
+    message += `• In CEXs: ${percent(latest.cexPercent)}${formatDelta(latest.cexPercent, prev.cexPercent, ' pp')}\n`;
+    message += `• In contracts: ${percent(latest.contractPercent)}${formatDelta(latest.contractPercent, prev.contractPercent, ' pp')}\n`;
+    message += `• Holders in map: ${latest.holderCount}\n`;
+    
+    if (latestPrice) {
+      const priceChange = previousPrice ? formatDelta((latestPrice / previousPrice - 1) * 100, 0, '%') : '';
+      message += `• Price: $${formatCurrency(latestPrice)}${priceChange}\n`;
+    }
+    
+    if (snapshots.length > 1) {
+      const row = (date, score, top, top10, price) =>
+        date.padEnd(12) + score.padStart(6) + top.padStart(7) + top10.padStart(7) + price.padStart(11);
+      
+      const table = [row('Date', 'Score', 'Top1', 'Top10', 'Price')].concat(snapshots.map(snapshot => row(
+        moment(snapshot.createdAt).format('MM-DD HH:mm'),
+        typeof snapshot.decentralisationScore === 'number' ? snapshot.decentralisationScore.toFixed(1) : '-',
+        percent(snapshot.topHolderPercent),
+        percent(snapshot.top10Percent),
+        snapshot.marketData && snapshot.marketData.price > 0 ? `$${formatCurrency(snapshot.marketData.price)}`.substring(0, 10) : '-'
+      ))).join('\n');
+      
+      message += `\n*Timeline:*\n\`\`\`\n${table}\n\`\`\``;
+    } else {
+      message += `\nThis is the first snapshot. Check the token again later to see how it changes.`;
+    }
+    
+    return message;
+  },
+  
+  /**
+   * Format the progress of a queued token check
+   * @param {string} stage - Check stage (constants.checkStages)
+   * @param {Object} details - Stage details ({ position } while waiting in a queue)
+   * @returns {string} - Progress message
+   */
+  formatCheckProgress: (stage, details = {}) => {
+    const text = constants.messages.checkProgress[stage] || constants.messages.processing;
+    return details.position ? `${text} position ${details.position}` : text;
+  },
+  
+  /**
+   * Format a daily or weekly digest
+   * @param {Object} digest - { frequency, trendingTokens, topRatedTokens, popularChains, scoreChanges }; scoreChanges is null for groups
+   * @returns {string} - Formatted message
+   */
+  formatDigest: (digest) => {
+    const weekly = digest.frequency === constants.digestFrequencies.WEEKLY;
+    const period = weekly ? '7 Days' : '24h';
+    
+    let message = `*📰 ${weekly ? 'Weekly' : 'Daily'} Digest* · ${moment.utc().format('MMM D, YYYY')}\n\n` +
+                  `*🔥 Trending Tokens (${period})*\n${formatTopTokens(digest.trendingTokens, 5)}\n\n` +
+                  `*👍 Top Rated by Community*\n${formatTopRatedTokensPreview(digest.topRatedTokens, 5)}\n\n`;
+    
+    if (digest.scoreChanges) {
+      const changes = digest.scoreChanges.length > 0
+        ? digest.scoreChanges.map((item, index) => {
+            const shortAddress = `${item.contractAddress.substring(0, 6)}...${item.contractAddress.substring(item.contractAddress.length - 4)}`;
+            const ticker = item.symbol ? ` ${item.symbol}` : '';
+            const mapUrl = `${constants.endpoints.bubblemapsUrl}${item.chain}/token/${item.contractAddress}`;
+            const arrow = item.change > 0 ? '🔺' : '🔻';
+            return `${index + 1}. [${shortAddress}${ticker}](${mapUrl}) (${item.chain.toUpperCase()}): ` +
+                   `${item.from.toFixed(1)} → ${item.to.toFixed(1)} (${arrow}${Math.abs(item.change).toFixed(1)})`;
+          }).join('\n')
+        : 'No changes';
+      message += `*⭐️ Score Changes in Your Favorites*\n${changes}\n\n`;
+    }
+    
+    message += `*⛓️ Most Checked Chains (${period})*\n${formatTopChains(digest.popularChains, 5)}`;
+    
+    return message;
+  },
+  
+  /**
+   * Format the schedule of a digest subscription
+   * @param {Object} subscription - DigestSubscription document (null if never subscribed)
+   * @returns {string} - Formatted schedule
+   */
+  formatDigestSubscription: (subscription) => {
+    if (!subscription || !subscription.isActive) {
+      return 'Digest: *Off*';
+    }
+    
+    return `Digest: *${formatDigestSchedule(subscription)}*\n` +
+           `Next: ${moment(subscription.nextRunAt).utc().format('MMM D, HH:mm')} UTC`;
+  },
+  
+  /**
+   * Format the vote counts shown under a group report
+   * @param {Object} groupRating - GroupTokenRating document (null if nobody voted in the group)
+   * @param {Object} tokenRating - TokenRating document (null if nobody voted)
+   * @returns {string} - Formatted votes, starting with a blank line
+   */
+  formatGroupVotes: (groupRating, tokenRating) => {
+    const votes = (rating) => `👍 ${rating ? rating.likesCount : 0} · 👎 ${rating ? rating.dislikesCount : 0}`;
+    
+    return `\n\n👥 *This group:* ${votes(groupRating)} | *All users:* ${votes(tokenRating)}`;
+  },
+  
+  /**
+   * Format the current settings of a group
+   * @param {Object} settings - GroupSettings document
+   * @param {Object} digest - DigestSubscription document of the group (optional)
+   * @returns {string} - Formatted settings
+   */
+  formatGroupSettings: (settings, digest = null) => {
+    const chainName = (id) => (constants.chains.find(c => c.id === id) || { name: id.toUpperCase() }).name;
+    
+    const allowedChains = settings.allowedChains.length > 0
+      ? settings.allowedChains.map(chainName).join(', ')
+      : 'All';
+    
+    return `• Auto-detect contracts: *${settings.autoDetect ? 'On' : 'Off'}*\n` +
+           `• Report: *${settings.reportFormat === constants.groupReportFormats.FULL ? 'Full' : 'Brief'}*` +
+           `${settings.screenshots ? ' with map image' : ', no image'}\n` +
+           `• Default chain: *${settings.defaultChain ? chainName(settings.defaultChain) : 'Ask each time'}*\n` +
+           `• Allowed chains: *${allowedChains}*\n` +
+           `• On failure: *${settings.failureMode === constants.groupFailureModes.SILENT ? 'Stay silent' : 'Reply with an error'}*\n` +
+           `• Cooldown per token: *${settings.tokenCooldownMinutes ? `${settings.tokenCooldownMinutes} min` : 'Off'}*\n` +
+           `• Repeated tokens: *${settings.repeatMode === constants.groupRepeatModes.SILENT ? 'Stay silent' : 'Point to the last report'}*\n` +
+           `• Digest: *${formatDigestSchedule(digest)}*`;
+  },
+  
   /**
    * Format user statistics
    * @param {Object} stats - User statistics object
@@ -378,9 +877,19 @@ module.exports = {
                          `- Today: ${(todayUserChecks + todayGroupChecks).toLocaleString()}\n`;
     }
 
+    let cacheStatsText = '';
+    if (systemStats.cacheStats && systemStats.cacheStats.length > 0) {
+      cacheStatsText = `*🗄 Cache:*\n` +
+                      systemStats.cacheStats.map(cache =>
+                        `- ${cache.namespace}: ${Math.round(cache.hitRate * 100)}% hit rate ` +
+                        `(${cache.hits} hits, ${cache.negativeHits} negative, ${cache.misses} misses, ${cache.size} entries)`
+                      ).join('\n') + '\n';
+    }
+
     return `*🤖 Bot System Statistics*\n\n` +
            userStatsText + '\n' +
-           activityStatsText;
+           activityStatsText +
+           (cacheStatsText ? '\n' + cacheStatsText : '');
   },
 
   /**
@@ -486,6 +995,35 @@ module.exports = {
     return message;
   },
   
+  /**
+   * Format the token check statistics of one group
+   * @param {string} title - Group title
+   * @param {Object} stats - Group statistics from statisticsService.getGroupChatStats
+   * @returns {string} - Formatted message
+   */
+  formatGroupChatStats: (title, stats) => {
+    if (!stats || stats.totalChecks === 0) {
+      return constants.messages.noGroupStats;
+    }
+    
+    // Names are shown without @ so the leaderboard doesn't notify members
+    const members = stats.topMembers.length > 0
+      ? stats.topMembers.map((member, index) => {
+          const name = (member.firstName || member.username || `User ${member.telegramId}`).replace(/([_*`[])/g, '\\$1');
+          return `${index + 1}. ${name}: ${member.checkCount} checks`;
+        }).join('\n')
+      : 'None';
+    
+    // Markdown can't be escaped inside the bold title, so drop those characters instead
+    return `*📊 ${(title || 'Group').replace(/[_*`[\]]/g, '')} Token Stats*\n\n` +
+           `👁️ ${stats.totalChecks.toLocaleString()} tokens checked in this group\n\n` +
+           `*🔝 Most Checked Tokens (All Time)*\n${formatTopTokens(stats.topTokens, 5)}\n\n` +
+           `*🔥 Trending (24h)*\n${formatTopTokens(stats.trendingDay)}\n\n` +
+           `*🔥 Trending (7 Days)*\n${formatTopTokens(stats.trendingWeek)}\n\n` +
+           `*🏅 Most Active Members (7 Days)*\n${members}\n\n` +
+           `*⛓️ Chain Mix*\n${formatTopChains(stats.popularChains, 5)}`;
+  },
+  
   /**
    * Format top rated tokens for display
    * @param {Array} tokens - Array of token rating objects
@@ -578,6 +1116,122 @@ module.exports = {
       }
     });
     
+    return message;
+  },
+  
+  /**
+   * Format the notice sent to bot admins when the bot is added to a group
+   * @param {Object} group - Group document
+   * @param {Object} addedBy - Telegram user who added the bot
+   * @param {boolean} isNew - Whether the bot had never been in the group before
+   * @returns {string} - Formatted notice
+   */
+  formatGroupJoinedNotice: (group, addedBy, isNew) => {
+    const escape = (text) => String(text).replace(/([_*`[])/g, '\\$1');
+    let adder = 'Unknown';
+    if (addedBy) {
+      adder = escape([addedBy.first_name, addedBy.last_name].filter(Boolean).join(' ') || 'Unknown');
+      if (addedBy.username) adder += ` (@${escape(addedBy.username)})`;
+      adder += ` — \`${addedBy.id}\``;
+    }
+    
+    let message = isNew ? '*🆕 Added to a new community*\n\n' : '*🔁 Added back to a community*\n\n';
+    message += `• Group: ${escape(group.name)}${group.username ? ` (@${escape(group.username)})` : ''}\n`;
+    message += `• ID: \`${group.chatId}\`\n`;
+    message += `• Members: ${group.memberCount || 'Unknown'}\n`;
+    message += `• Bot status: ${group.botStatus}\n`;
+    message += `• Added by: ${adder}`;
+    
+    return message;
+  },
+  
+  /**
+   * Format the REST API keys for the admin view
+   * @param {Array} keys - ApiKey documents
+   * @returns {string} - Formatted key list
+   */
+  formatApiKeyList: (keys) => {
+    if (!keys || keys.length === 0) {
+      return '*🔑 API Keys*\n\nNo API keys yet. Create one with `/apikey create <name>`.';
+    }
+    
+    let message = `*🔑 API Keys (${keys.length})*\n\n`;
+    keys.forEach(key => {
+      const lastUsed = key.lastUsedAt ? moment(key.lastUsedAt).fromNow() : 'never';
+      message += `${key.isActive ? '✅' : '🚫'} \`${key.prefix}\` ${key.name.replace(/[_*`[\]]/g, '')}\n`;
+      message += `   ${key.requestCount} requests • last used ${lastUsed}${key.rateLimit ? ` • ${key.rateLimit} per window` : ''}\n`;
+    });
+    
+    return message;
+  },
+  
+  /**
+   * Format the outbound webhook subscriptions for the admin view
+   * @param {Array} subscriptions - WebhookSubscription documents
+   * @returns {string} - Formatted list
+   */
+  formatWebhookSubscriptions: (subscriptions) => {
+    if (!subscriptions || subscriptions.length === 0) {
+      return '*🪝 Webhooks*\n\nNo webhooks yet. Add one with `/webhooks add <url> [events]`.';
+    }
+    
+    let message = `*🪝 Webhooks (${subscriptions.length})*\n\n`;
+    subscriptions.forEach(subscription => {
+      const lastDelivery = subscription.lastDeliveryAt
+        ? `${moment(subscription.lastDeliveryAt).fromNow()} (${subscription.lastDeliveryStatus})`
+        : 'never';
+      message += `\`${subscription._id}\`\n`;
+      message += `   ${subscription.url.replace(/[_*`[\]]/g, '')}\n`;
+      message += `   ${subscription.events.join(', ')}\n`;
+      message += `   Last delivery: ${lastDelivery.replace(/[_*`[\]]/g, '')}\n\n`;
+    });
+    
+    return message;
+  },
+  
+  /**
+   * Format the text (or caption) a broadcast is sent with
+   * @param {string} message - Broadcast message
+   * @returns {string} - Formatted announcement
+   */
+  formatBroadcastContent: (message) => {
+    return message ? `*Announcement*\n\n${message}` : '*Announcement*';
+  },
+  
+  /**
+   * Format a broadcast's audience, schedule and delivery status for the admin
+   * @param {Object} broadcast - BroadcastMessage document
+   * @param {number} recipientCount - Number of matching chats (drafts only, before recipients are resolved)
+   * @returns {string} - Formatted summary
+   */
+  formatBroadcastSummary: (broadcast, recipientCount = null) => {
+    const segment = broadcast.segment || {};
+    const filters = [];
+    if (segment.activeDays) filters.push(`active in the last ${segment.activeDays} days`);
+    if (segment.chain) filters.push(`chain ${(constants.chains.find(c => c.id === segment.chain) || { name: segment.chain }).name}`);
+    if (segment.token) filters.push(`checked \`${segment.token}\``);
+    if (segment.language) filters.push(`language ${segment.language}`);
+    
+    let message = `*📣 Broadcast* — ${broadcast.status.replace('_', ' ')}\n\n`;
+    message += `• Audience: ${segment.audience || constants.broadcastAudiences.USERS}\n`;
+    message += `• Filters: ${filters.length > 0 ? filters.join(', ') : 'none'}\n`;
+    message += `• Content: ${broadcast.photoFileId ? 'photo with caption' : 'text'}`;
+    if (broadcast.buttons && broadcast.buttons.length > 0) {
+      message += `, ${broadcast.buttons.length} button${broadcast.buttons.length === 1 ? '' : 's'}`;
+    }
+    message += '\n';
+    if (broadcast.scheduledAt) {
+      message += `• Scheduled: ${moment.utc(broadcast.scheduledAt).format('YYYY-MM-DD HH:mm')} UTC\n`;
+    }
+    
+    if (recipientCount !== null) {
+      message += `• Recipients: ${recipientCount}\n`;
+    } else if (broadcast.targetCount > 0) {
+      message += `• Recipients: ${broadcast.targetCount}\n`;
+      message += `• Delivered: ${broadcast.deliveredCount}\n`;
+      message += `• Failed: ${broadcast.failedCount}\n`;
+    }
+    
     return message;
   }
 }; 
\ No newline at end of file
@@ -1,5 +1,5 @@
 const constants = require('../../config/constants');
-const bubblemapsService = require('../services/bubblemapsService');
+const chainResolutionService = require('../services/chainResolutionService');
 const logger = require('./logger');
 
 /**
@@ -46,9 +46,9 @@ module.exports = {
   },
   
   /**
-   * Detect chain for EVM address by checking multiple chains in parallel
+   * Detect chain for EVM address, using the stored resolution or probing all chains
    * @param {string} address - Contract address (EVM format)
-   * @returns {Promise<string>} - Detected chain ID or default chain if detection fails
+   * @returns {Promise<string>} - Detected chain ID (the first one if the address is on several) or default chain if detection fails
    */
   detectEVMChain: async (address) => {
     // Only process EVM addresses
@@ -57,27 +57,11 @@ module.exports = {
     }
     
     try {
-      logger.info(`Attempting to detect chain for EVM address: ${address}`);
+      const chains = await chainResolutionService.resolveChains(address);
       
-      // List of chains to check (excluding Solana)
-      const chainsToCheck = constants.chains
-        .filter(chain => chain.id !== 'sol')
-        .map(chain => chain.id);
-      
-      // Check all chains in parallel
-      const results = await Promise.allSettled(
-        chainsToCheck.map(chain => 
-          bubblemapsService.validateContract(address, chain)
-        )
-      );
-      
-      // Find the first chain that returns valid data
-      for (let i = 0; i < results.length; i++) {
-        if (results[i].status === 'fulfilled' && results[i].value === true) {
-          const detectedChain = chainsToCheck[i];
-          logger.info(`Chain detected for ${address}: ${detectedChain}`);
-          return detectedChain;
-        }
+      if (chains.length > 0) {
+        logger.info(`Chain detected for ${address}: ${chains[0]}`);
+        return chains[0];
       }
       
       // If no chain is detected, log and return default
@@ -117,6 +101,35 @@ module.exports = {
     return adminIds.includes(userId.toString());
   },
   
+  /**
+   * Extract all distinct contract addresses from message text, in order of appearance
+   * @param {string} text - Message text that may contain contract addresses
+   * @returns {Array<string>} - Extracted contract addresses
+   */
+  extractContractAddresses: (text) => {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+    
+    const addresses = [];
+    const seen = new Set();
+    
+    // Check each whitespace/comma separated part so EVM and Solana addresses can be mixed
+    for (const part of text.split(/[\s,;]+/)) {
+      const address = module.exports.extractContractAddress(part);
+      if (!address) continue;
+      
+      // EVM addresses are case-insensitive, Solana addresses are not
+      const key = address.startsWith('0x') ? address.toLowerCase() : address;
+      if (!seen.has(key)) {
+        seen.add(key);
+        addresses.push(address);
+      }
+    }
+    
+    return addresses;
+  },
+  
   /**
    * Extract contract address from message text
    * @param {string} text - Message text that may contain a contract address